@@ -0,0 +1,169 @@
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { runCompleteWebsiteAnalysis } from "./website-analysis.js";
+
+const TERMINAL_STATUSES = new Set(["completed", "failed", "cancelled"]);
+const MAX_EVENTS_PER_JOB = 2000;
+
+/**
+ * Queues complete website analyses and runs them one at a time in the background.
+ * Emits "progress" with (job, event) for every structured progress event and
+ * "finished" with (job) once a job completes, fails or is cancelled.
+ */
+class AnalysisJobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.maxFinishedJobs = options.maxFinishedJobs || 50;
+    this.browserPool = options.browserPool || null;
+    this.jobs = new Map();
+    this.queue = [];
+    this.activeJob = null;
+  }
+
+  enqueue(url, options, { scheduleId = null, auth = null } = {}) {
+    const job = {
+      id: randomUUID(),
+      url,
+      options,
+      // Credentials stay on the in-memory job and are never serialized
+      auth,
+      authenticated: Boolean(auth),
+      scheduleId,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      har: null,
+      error: null,
+      events: [],
+      eventSequence: 0,
+      controller: new AbortController(),
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    console.log(`Queued analysis job ${job.id} for ${url}`);
+    this.recordEvent(job, { type: "status", status: job.status });
+
+    this.processQueue();
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job || TERMINAL_STATUSES.has(job.status)) return job || null;
+
+    if (job.status === "queued") {
+      this.queue = this.queue.filter((queuedJob) => queuedJob.id !== id);
+      this.finishJob(job, "cancelled");
+    } else {
+      job.status = "cancelling";
+      this.recordEvent(job, { type: "status", status: job.status });
+      job.controller.abort(new Error("Analysis cancelled"));
+    }
+
+    console.log(`Cancellation requested for analysis job ${id}`);
+    return job;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  async processQueue() {
+    if (this.activeJob || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.activeJob = job;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    this.recordEvent(job, { type: "status", status: job.status });
+
+    try {
+      const { har = null, ...result } = await runCompleteWebsiteAnalysis(job.url, job.options, {
+        signal: job.controller.signal,
+        onProgress: (event) => this.recordEvent(job, event),
+        browserPool: this.browserPool,
+        auth: job.auth,
+      });
+      // The HAR log is served on its own endpoint instead of inflating every status poll
+      job.result = result;
+      job.har = har;
+      this.finishJob(job, "completed");
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        console.log(`Analysis job ${job.id} cancelled`);
+        this.finishJob(job, "cancelled");
+      } else {
+        console.error(`Analysis job ${job.id} failed:`, error);
+        job.error = error.message;
+        this.finishJob(job, "failed");
+      }
+    } finally {
+      this.activeJob = null;
+      this.processQueue();
+    }
+  }
+
+  finishJob(job, status) {
+    job.auth = null;
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.recordEvent(job, { type: "status", status, error: job.error });
+    this.emit("finished", job);
+    this.pruneFinishedJobs();
+  }
+
+  recordEvent(job, event) {
+    const recorded = {
+      ...event,
+      id: ++job.eventSequence,
+      timestamp: new Date().toISOString(),
+    };
+
+    job.events.push(recorded);
+    if (job.events.length > MAX_EVENTS_PER_JOB) job.events.shift();
+
+    this.emit("progress", job, recorded);
+  }
+
+  getEventsSince(job, lastEventId = 0) {
+    return job.events.filter((event) => event.id > lastEventId);
+  }
+
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter((job) => this.isFinished(job));
+    const excess = finished.length - this.maxFinishedJobs;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  serializeJob(job) {
+    const position = this.queue.findIndex((queuedJob) => queuedJob.id === job.id);
+
+    return {
+      id: job.id,
+      url: job.url,
+      options: job.options,
+      authenticated: job.authenticated,
+      scheduleId: job.scheduleId,
+      status: job.status,
+      queuePosition: position === -1 ? null : position + 1,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      data: job.status === "completed" ? job.result : null,
+    };
+  }
+}
+
+export { AnalysisJobManager };
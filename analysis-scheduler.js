@@ -0,0 +1,224 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import cronParser from "cron-parser";
+import { normalizeAnalysisOptions, validateAnalysisOptions } from "./website-analysis.js";
+import { validateCrawlScopeOptions } from "./crawl-scope.js";
+import { validateRoutePatterns } from "./endpoint-templates.js";
+
+const DEFAULT_SCHEDULES_FILE = fileURLToPath(new URL("./data/schedules.json", import.meta.url));
+const MIN_INTERVAL_MINUTES = 5;
+
+/**
+ * Runs complete website analyses on cron expressions or fixed intervals.
+ * Schedules are persisted to a JSON file and enqueued through the AnalysisJobManager,
+ * so scheduled runs follow the same pipeline and are saved like manual ones.
+ */
+class AnalysisScheduler {
+  constructor({ jobManager, file, tickInterval = 30000 } = {}) {
+    this.jobManager = jobManager;
+    this.file = file || process.env.SCHEDULES_FILE || DEFAULT_SCHEDULES_FILE;
+    this.tickInterval = tickInterval;
+    this.schedules = new Map();
+    this.timer = null;
+    this.writeChain = Promise.resolve();
+
+    this.jobManager.on("finished", (job) => this.recordJobOutcome(job));
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, "utf8"));
+      stored.forEach((schedule) => this.schedules.set(schedule.id, schedule));
+      console.log(`Loaded ${this.schedules.size} analysis schedules`);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  list() {
+    return Array.from(this.schedules.values());
+  }
+
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  async create(input) {
+    const now = new Date();
+    const schedule = {
+      id: randomUUID(),
+      name: input.name || "",
+      url: input.url,
+      cron: input.cron || null,
+      intervalMinutes: input.cron ? null : Number(input.intervalMinutes),
+      options: normalizeAnalysisOptions(input.options),
+      paused: false,
+      createdAt: now.toISOString(),
+      nextRunAt: null,
+      lastRunAt: null,
+      lastJobId: null,
+      lastStatus: null,
+      lastAlertCounts: null,
+      lastAlerts: [],
+      lastAlertedAt: null,
+    };
+
+    schedule.nextRunAt = computeNextRun(schedule, now).toISOString();
+    this.schedules.set(schedule.id, schedule);
+    await this.save();
+
+    console.log(`Created analysis schedule ${schedule.id} for ${schedule.url}`);
+    return schedule;
+  }
+
+  async setPaused(id, paused) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+
+    schedule.paused = paused;
+    // Resuming starts counting from now instead of firing every missed run
+    if (!paused) schedule.nextRunAt = computeNextRun(schedule, new Date()).toISOString();
+    await this.save();
+    return schedule;
+  }
+
+  async remove(id) {
+    const existed = this.schedules.delete(id);
+    if (existed) await this.save();
+    return existed;
+  }
+
+  tick() {
+    const now = new Date();
+    let changed = false;
+
+    this.schedules.forEach((schedule) => {
+      if (schedule.paused || new Date(schedule.nextRunAt) > now) return;
+
+      const lastJob = schedule.lastJobId ? this.jobManager.getJob(schedule.lastJobId) : null;
+      if (lastJob && !this.jobManager.isFinished(lastJob)) {
+        // Previous run still in progress; skip this slot rather than piling up jobs
+        console.log(`Skipping scheduled analysis of ${schedule.url}: previous run still active`);
+      } else {
+        const job = this.jobManager.enqueue(schedule.url, schedule.options, { scheduleId: schedule.id });
+        schedule.lastRunAt = now.toISOString();
+        schedule.lastJobId = job.id;
+        schedule.lastStatus = job.status;
+      }
+
+      schedule.nextRunAt = computeNextRun(schedule, now).toISOString();
+      changed = true;
+    });
+
+    if (changed) {
+      this.save().catch((error) => console.error("Failed to save analysis schedules:", error));
+    }
+  }
+
+  recordJobOutcome(job) {
+    const schedule = job.scheduleId ? this.schedules.get(job.scheduleId) : null;
+    if (!schedule || schedule.lastJobId !== job.id) return;
+
+    const alerts = job.result?.alerts || [];
+    const criticalAlerts = alerts.filter((alert) => alert.type === "critical");
+
+    schedule.lastStatus = job.status;
+    schedule.lastAlertCounts = {
+      critical: criticalAlerts.length,
+      warning: alerts.filter((alert) => alert.type === "warning").length,
+    };
+    // The critical alerts of the latest run stay on the schedule until the next run replaces them
+    schedule.lastAlerts = criticalAlerts.map((alert) => ({
+      category: alert.category,
+      metric: alert.metric,
+      message: alert.message,
+      page: alert.page || null,
+    }));
+
+    if (criticalAlerts.length > 0) {
+      schedule.lastAlertedAt = new Date().toISOString();
+      console.warn(
+        `Scheduled analysis of ${schedule.url} raised ${criticalAlerts.length} critical alerts:\n` +
+          criticalAlerts.map((alert) => `  - ${alert.message} (${alert.page || schedule.url})`).join("\n")
+      );
+    }
+
+    this.save().catch((error) => console.error("Failed to save analysis schedules:", error));
+  }
+
+  async save() {
+    const write = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tempPath = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.list(), null, 2));
+      await fs.rename(tempPath, this.file);
+    });
+
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Validates a schedule creation request
+ * @param {Object} input - Request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateScheduleInput(input) {
+  if (!input.url) return "URL is required";
+
+  try {
+    new URL(input.url);
+  } catch {
+    return "Invalid URL format";
+  }
+
+  const optionsError = validateAnalysisOptions(input.options);
+  if (optionsError) return optionsError;
+
+  const scopeError = validateCrawlScopeOptions(input.options);
+  if (scopeError) return scopeError;
+
+  const routePatternsError = validateRoutePatterns(input.options?.routePatterns);
+  if (routePatternsError) return routePatternsError;
+
+  if (input.cron && input.intervalMinutes) return "Provide either cron or intervalMinutes, not both";
+
+  if (input.cron) {
+    try {
+      cronParser.parseExpression(input.cron);
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+    return null;
+  }
+
+  const interval = Number(input.intervalMinutes);
+  if (!Number.isFinite(interval) || interval < MIN_INTERVAL_MINUTES) {
+    return `intervalMinutes must be a number of at least ${MIN_INTERVAL_MINUTES}`;
+  }
+
+  return null;
+}
+
+function computeNextRun(schedule, from) {
+  if (schedule.cron) {
+    return cronParser.parseExpression(schedule.cron, { currentDate: from }).next().toDate();
+  }
+  return new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000);
+}
+
+export { AnalysisScheduler, validateScheduleInput };
@@ -0,0 +1,89 @@
+import { EventEmitter } from "events";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { AnalysisScheduler, validateScheduleInput } from "./analysis-scheduler.js";
+
+describe("validateScheduleInput", () => {
+  const valid = { url: "https://shop.example.com", intervalMinutes: 60 };
+
+  test("accepts an interval or a cron expression", () => {
+    expect(validateScheduleInput(valid)).toBeNull();
+    expect(validateScheduleInput({ url: valid.url, cron: "0 3 * * *" })).toBeNull();
+  });
+
+  test.each([
+    [{ intervalMinutes: 60 }, "URL is required"],
+    [{ ...valid, url: "not a url" }, "Invalid URL format"],
+    [{ ...valid, cron: "0 3 * * *" }, "Provide either cron or intervalMinutes, not both"],
+    [{ url: valid.url, cron: "every day" }, /^Invalid cron expression/],
+    [{ ...valid, intervalMinutes: 2 }, "intervalMinutes must be a number of at least 5"],
+    [{ ...valid, intervalMinutes: "soon" }, "intervalMinutes must be a number of at least 5"],
+    [{ ...valid, options: { maxPages: -1 } }, "maxPages must be a positive integer"],
+    [{ ...valid, options: { includePatterns: "/blog" } }, "includePatterns must be an array of strings"],
+    [{ ...valid, options: { routePatterns: ["api/:id"] } }, /^Invalid route pattern/],
+  ])("rejects %j", (input, error) => {
+    expect(validateScheduleInput(input)).toEqual(expect.stringMatching(error));
+  });
+});
+
+describe("AnalysisScheduler", () => {
+  let dir;
+  let jobManager;
+  let scheduler;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "schedules-"));
+    let jobCount = 0;
+    jobManager = Object.assign(new EventEmitter(), {
+      enqueue: (url, options, extra) => ({ id: `job-${++jobCount}`, status: "queued", url, ...extra }),
+      getJob: () => null,
+      isFinished: () => true,
+    });
+    scheduler = new AnalysisScheduler({ jobManager, file: path.join(dir, "schedules.json") });
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await scheduler.writeChain;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("stores the critical alerts of a scheduled run on its schedule", async () => {
+    const schedule = await scheduler.create({ url: "https://shop.example.com", intervalMinutes: 60 });
+    schedule.nextRunAt = new Date(0).toISOString();
+    scheduler.tick();
+    expect(schedule.lastJobId).toBe("job-1");
+
+    jobManager.emit("finished", {
+      id: "job-1",
+      scheduleId: schedule.id,
+      status: "completed",
+      result: {
+        alerts: [
+          { type: "critical", category: "Core Web Vitals", metric: "LCP", message: "LCP is 6s", page: "/a" },
+          { type: "warning", category: "Performance", metric: "TBT", message: "TBT is high" },
+        ],
+      },
+    });
+    await scheduler.writeChain;
+
+    expect(schedule.lastStatus).toBe("completed");
+    expect(schedule.lastAlertCounts).toEqual({ critical: 1, warning: 1 });
+    expect(schedule.lastAlerts).toEqual([
+      { category: "Core Web Vitals", metric: "LCP", message: "LCP is 6s", page: "/a" },
+    ]);
+    expect(schedule.lastAlertedAt).not.toBeNull();
+
+    const stored = JSON.parse(await fs.readFile(path.join(dir, "schedules.json"), "utf8"));
+    expect(stored[0].lastAlerts).toHaveLength(1);
+  });
+
+  test("ignores jobs that are not the schedule's latest run", async () => {
+    const schedule = await scheduler.create({ url: "https://shop.example.com", intervalMinutes: 60 });
+    jobManager.emit("finished", { id: "job-9", scheduleId: schedule.id, status: "completed", result: {} });
+
+    expect(schedule.lastStatus).toBeNull();
+    expect(schedule.lastAlerts).toEqual([]);
+  });
+});
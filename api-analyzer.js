@@ -1,25 +1,32 @@
-import lighthouse from "lighthouse";
-import chromeLauncher from "chrome-launcher";
+import { BrowserPool } from "./browser-pool.js";
+import { runLighthouse } from "./lighthouse-runner.js";
+import { redactSessionHeaders } from "./auth-session.js";
+import { buildHar } from "./har-builder.js";
+import { aggregateEndpoints, isFailedCall } from "./endpoint-templates.js";
+import { collectRequests } from "./network-events.js";
+import { detectRedundantCalls } from "./api-redundancy.js";
+import { analyzeGraphqlCall } from "./graphql-operations.js";
+import { isApiRequest } from "./website-crawler.js";
 
 /**
- * Analyzes API calls made by a website
+ * Analyzes API calls made by a website in a Lighthouse run of its own. analyzeSite reuses its
+ * page audit instead and only calls this with { separateApiRun }
  * @param {string} url - The URL to analyze
- * @returns {Object} - API call metrics and analysis
+ * @param {Object} options - Run options ({ signal } closes the browser when aborted, { browserPool } to share browsers,
+ *   { authSession } from prepareAuthSession for authenticated pages, { captureHar } to return the traffic as HAR,
+ *   { routePatterns } to group calls by user-defined routes)
+ * @returns {Object} - API call metrics and analysis, plus har when captured
  */
-async function analyzeApiCalls(url) {
-  let chrome = null;
+async function analyzeApiCalls(url, { signal, browserPool, authSession, captureHar = false, routePatterns = [] } = {}) {
+  const pool = browserPool || new BrowserPool({ maxBrowsers: 1 });
 
   try {
-    // Launch Chrome
-    chrome = await chromeLauncher.launch({
-      chromeFlags: ["--headless", "--disable-gpu", "--no-sandbox"],
-    });
+    signal?.throwIfAborted();
 
     const options = {
       logLevel: "info",
       output: "json",
       onlyCategories: ["performance"],
-      port: chrome.port,
       // Enable network recording
       throttling: {
         rttMs: 40,
@@ -31,178 +38,179 @@ async function analyzeApiCalls(url) {
       },
     };
 
-    // Run Lighthouse
-    const runnerResult = await lighthouse(url, options);
+    // Run Lighthouse on an exclusively leased browser
+    const runnerResult = await runLighthouse(url, options, {
+      browserPool: pool,
+      signal,
+      authSession,
+      includeDevtoolsLog: true,
+    });
+    signal?.throwIfAborted();
+
+    const har = captureHar
+      ? buildHar([{ url, events: runnerResult.devtoolsLog || [] }], {
+          redactHeaders: (headers) => redactSessionHeaders(headers, authSession),
+        })
+      : undefined;
+
+    return {
+      ...analyzeLighthouseApiCalls(runnerResult.lhr, { routePatterns, devtoolsLog: runnerResult.devtoolsLog }),
+      har,
+    };
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    console.error("API call analysis failed:", error);
+    throw error;
+  } finally {
+    // Always close a private pool's browser
+    if (!browserPool) await pool.close();
+  }
+}
+
+/**
+ * Extracts and analyzes the API calls in a Lighthouse result's network-requests audit, so the
+ * run that produced a page's scores also provides its API data
+ * @param {Object} lhr - Lighthouse result
+ * @param {Object} options - { routePatterns } user-defined routes for the per-endpoint stats, { devtoolsLog } of the
+ *   same run to read request methods and GraphQL operations, which the audit leaves out
+ * @returns {Object} - API call metrics ({ apiCalls, analysis })
+ */
+function analyzeLighthouseApiCalls(lhr, { routePatterns = [], devtoolsLog = null } = {}) {
+  // Check if network-requests audit exists and has the expected structure
+  const networkRequestsAudit = lhr.audits["network-requests"];
+  if (!networkRequestsAudit) {
+    console.warn("Network requests audit not found in Lighthouse results");
+    return { apiCalls: [], analysis: analyzeApiCallsData([], { routePatterns }) };
+  }
+
+  if (!networkRequestsAudit.details || !networkRequestsAudit.details.items) {
+    console.warn("Network requests audit details or items not found");
+    return { apiCalls: [], analysis: analyzeApiCallsData([], { routePatterns }) };
+  }
+
+  // Extract network requests from the Lighthouse audit
+  const networkRequests = networkRequestsAudit.details.items;
+
+  console.log(`Found ${networkRequests.length} network requests`);
+
+  // Same classification as the crawler; Lighthouse reports resource types capitalized ("XHR", "Fetch")
+  const apiCalls = networkRequests.filter((request) => isApiRequest(request.url, request.resourceType?.toLowerCase()));
+
+  console.log(`Filtered to ${apiCalls.length} API calls`);
+
+  // Both the audit and the log list requests in start order, so the n-th audit item for a URL
+  // is the n-th logged request to it
+  const loggedRequests = devtoolsLog ? collectRequests(devtoolsLog) : [];
+  const takeLoggedRequest = (url) => {
+    const index = loggedRequests.findIndex((request) => request.request.url === url);
+    return index === -1 ? null : loggedRequests.splice(index, 1)[0];
+  };
+
+  // Process and format API calls
+  const formattedApiCalls = apiCalls.map((call) => {
+    const loggedRequest = takeLoggedRequest(call.url);
+    const method = loggedRequest?.request.method || call.method || "GET";
+    try {
+      // Extract path from URL
+      const urlObj = new URL(call.url);
+      const path = urlObj.pathname;
+
+      // Only timings Lighthouse actually recorded are reported; anything else is left unmeasured
+      const { timeTaken, timingSource } = getMeasuredTiming(call);
+      // Response bodies are not recorded by Lighthouse, so GraphQL errors stay unknown (errors: null)
+      const graphql = analyzeGraphqlCall({ url: call.url, postData: loggedRequest?.request.postData });
+
+      console.log(`API Call: ${path} - Time: ${timeTaken ?? "unavailable"}${timeTaken !== null ? "ms" : ""}`);
 
-    // Check if network-requests audit exists and has the expected structure
-    const networkRequestsAudit = runnerResult.lhr.audits["network-requests"];
-    if (!networkRequestsAudit) {
-      console.warn("Network requests audit not found in Lighthouse results");
       return {
-        apiCalls: [],
-        analysis: {
-          slowestApis: [],
-          highPayloadApis: [],
-          errorProneApis: [],
-          totalApiCalls: 0,
-          averageResponseTime: 0,
-        },
+        // GraphQL operations share one URL and are told apart by name
+        endpoint: graphql ? `${path} (${graphql.label})` : path,
+        url: call.url,
+        method,
+        status: call.statusCode || "Unknown",
+        timeTaken: timeTaken,
+        avgResponseTime: timeTaken,
+        maxTaken: timeTaken,
+        timingSource,
+        payloadSize: formatBytes(call.transferSize || 0),
+        errors: call.statusCode >= 400 ? `Error ${call.statusCode}` : "-",
+        graphql,
+        postData: loggedRequest?.request.postData,
+        rawData: call,
       };
-    }
-
-    if (!networkRequestsAudit.details || !networkRequestsAudit.details.items) {
-      console.warn("Network requests audit details or items not found");
+    } catch (error) {
+      console.error("Error processing API call:", error);
       return {
-        apiCalls: [],
-        analysis: {
-          slowestApis: [],
-          highPayloadApis: [],
-          errorProneApis: [],
-          totalApiCalls: 0,
-          averageResponseTime: 0,
-        },
+        endpoint: "Error parsing URL",
+        url: call.url,
+        method,
+        status: call.statusCode || "Unknown",
+        timeTaken: null,
+        avgResponseTime: null,
+        maxTaken: null,
+        timingSource: "unavailable",
+        payloadSize: "0B",
+        errors: "Error parsing call data",
+        rawData: call,
       };
     }
+  });
 
-    // Extract network requests from the Lighthouse audit
-    const networkRequests = networkRequestsAudit.details.items;
-
-    console.log(`Found ${networkRequests.length} network requests`);
-
-    // Filter for API calls (typically XHR or Fetch requests)
-    const apiCalls = networkRequests.filter((request) => {
-      // Filter for XHR, Fetch, and API-like requests
-      return (
-        request.resourceType === "XHR" ||
-        request.resourceType === "Fetch" ||
-        request.url.includes("/api/") ||
-        request.url.includes("/graphql") ||
-        request.url.includes("/rest/") ||
-        request.url.includes("/v1/") ||
-        request.url.includes("/v2/")
-      );
-    });
+  // Sort by time taken (descending), unmeasured calls last
+  formattedApiCalls.sort(compareByTimeTaken);
 
-    console.log(`Filtered to ${apiCalls.length} API calls`);
-
-    // Process and format API calls
-    const formattedApiCalls = apiCalls.map((call) => {
-      try {
-        // Extract path from URL
-        const urlObj = new URL(call.url);
-        const path = urlObj.pathname;
-
-        // Fix timing calculation - use multiple fallback methods
-        let timeTaken = 0;
-
-        // Method 1: Use endTime - startTime if available
-        if (call.endTime && call.startTime) {
-          timeTaken = Math.round(call.endTime - call.startTime);
-        }
-
-        // Method 2: Use networkEndTime - networkRequestTime if available
-        else if (call.networkEndTime && call.networkRequestTime) {
-          timeTaken = Math.round(call.networkEndTime - call.networkRequestTime);
-        }
-
-        // Method 3: Use responseReceivedTime - requestTime if available
-        else if (call.responseReceivedTime && call.requestTime) {
-          timeTaken = Math.round((call.responseReceivedTime - call.requestTime) * 1000); // Convert to ms
-        }
-
-        // Method 4: Use finished - started if available
-        else if (call.finished && call.started) {
-          timeTaken = Math.round(call.finished - call.started);
-        }
-
-        // Method 5: Use lcp timing if available
-        else if (call.timing) {
-          const timing = call.timing;
-          if (timing.receiveHeadersEnd && timing.requestTime) {
-            timeTaken = Math.round(timing.receiveHeadersEnd - timing.requestTime);
-          }
-        }
-
-        // Method 6: Generate realistic timing based on resource size and type
-        else {
-          const size = call.transferSize || call.resourceSize || 0;
-          const baseTime = 50; // Base latency
-          const sizeTime = Math.max(10, Math.min(500, size / 1000)); // Size-based timing
-          timeTaken = Math.round(baseTime + sizeTime + Math.random() * 100);
-        }
-
-        // Ensure minimum realistic timing
-        if (timeTaken <= 0) {
-          timeTaken = Math.round(20 + Math.random() * 80); // Random between 20-100ms
-        }
-
-        console.log(`API Call: ${path} - Time: ${timeTaken}ms (Method used: ${getTimingMethod(call)})`);
-
-        return {
-          endpoint: path,
-          method: call.method || "GET",
-          status: call.statusCode || "Unknown",
-          timeTaken: timeTaken,
-          avgResponseTime: timeTaken,
-          maxTaken: timeTaken,
-          payloadSize: formatBytes(call.transferSize || 0),
-          errors: call.statusCode >= 400 ? `Error ${call.statusCode}` : "-",
-          rawData: call,
-        };
-      } catch (error) {
-        console.error("Error processing API call:", error);
-        return {
-          endpoint: "Error parsing URL",
-          method: call.method || "GET",
-          status: call.statusCode || "Unknown",
-          timeTaken: Math.round(50 + Math.random() * 100), // Fallback timing
-          avgResponseTime: Math.round(50 + Math.random() * 100),
-          maxTaken: Math.round(50 + Math.random() * 100),
-          payloadSize: "0B",
-          errors: "Error parsing call data",
-          rawData: call,
-        };
-      }
-    });
+  // Analyze API calls
+  const analysis = analyzeApiCallsData(formattedApiCalls, { routePatterns });
+
+  return {
+    apiCalls: formattedApiCalls,
+    analysis: analysis,
+  };
+}
 
-    // Sort by time taken (descending)
-    formattedApiCalls.sort((a, b) => b.timeTaken - a.timeTaken);
+/**
+ * Reads a request's duration from the fields Lighthouse recorded for it
+ * @param {Object} call - Item of Lighthouse's network-requests audit
+ * @returns {Object} - { timeTaken, timingSource }; timeTaken is null and timingSource "unavailable" when the
+ *   request has no usable start and end times, e.g. because it never finished
+ */
+function getMeasuredTiming(call) {
+  const unavailable = { timeTaken: null, timingSource: "unavailable" };
+  if (call.finished === false) return unavailable;
 
-    // Analyze API calls
-    const analysis = analyzeApiCallsData(formattedApiCalls);
+  // Lighthouse 10+ reports networkRequestTime/networkEndTime; older versions startTime/endTime (all in ms)
+  const [start, end] = Number.isFinite(call.networkEndTime)
+    ? [call.networkRequestTime, call.networkEndTime]
+    : [call.startTime, call.endTime];
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return unavailable;
 
-    return {
-      apiCalls: formattedApiCalls,
-      analysis: analysis,
-    };
-  } catch (error) {
-    console.error("API call analysis failed:", error);
-    throw error;
-  } finally {
-    // Always kill Chrome
-    if (chrome) {
-      await chrome.kill();
-    }
-  }
+  return { timeTaken: Math.round(end - start), timingSource: "measured" };
 }
 
 /**
- * Determines which timing method was used for debugging
- * @param {Object} call - Network request object
- * @returns {string} - Method description
+ * Orders formatted API calls slowest first, with calls whose timing is unavailable at the end
+ * @param {Object} a - Formatted API call
+ * @param {Object} b - Formatted API call
+ * @returns {number} - Sort order
  */
-function getTimingMethod(call) {
-  if (call.endTime && call.startTime) return "endTime-startTime";
-  if (call.networkEndTime && call.networkRequestTime) return "networkEndTime-networkRequestTime";
-  if (call.responseReceivedTime && call.requestTime) return "responseReceivedTime-requestTime";
-  if (call.finished && call.started) return "finished-started";
-  if (call.timing) return "timing object";
-  return "estimated";
+function compareByTimeTaken(a, b) {
+  return (b.timeTaken ?? -1) - (a.timeTaken ?? -1);
 }
 
-function analyzeApiCallsData(apiCalls) {
+/**
+ * Flags slow, high-payload and error-prone calls
+ * @param {Array} apiCalls - Formatted API calls ({ endpoint, url, method, status, timeTaken, timingSource, payloadSize,
+ *   rawData })
+ * @param {Object} options - { routePatterns } user-defined routes for the per-endpoint stats
+ * @returns {Object} - Summary with slowestApis, highPayloadApis, errorProneApis, totalApiCalls, averageResponseTime
+ *   (over measured calls; null when none was measured), unmeasuredApiCalls, endpoints (per route template,
+ *   see aggregateEndpoints) and redundancy (see detectRedundantCalls)
+ */
+function analyzeApiCallsData(apiCalls, { routePatterns = [] } = {}) {
+  const measuredApiCalls = apiCalls.filter((call) => call.timingSource === "measured");
+
   // Identify slow APIs (taking more than 500ms)
-  const slowApis = apiCalls
+  const slowApis = measuredApiCalls
     .filter((call) => call.timeTaken > 500)
     .map((call) => ({
       endpoint: call.endpoint,
@@ -222,9 +230,9 @@ function analyzeApiCallsData(apiCalls) {
       payloadSize: call.payloadSize,
     }));
 
-  // Identify error-prone APIs (4xx/5xx status codes)
+  // Identify error-prone APIs (no response, 4xx/5xx status codes, or GraphQL errors reported with a 200)
   const errorProneApis = apiCalls
-    .filter((call) => call.status >= 400)
+    .filter(isFailedCall)
     .map((call) => ({
       endpoint: call.endpoint,
       method: call.method,
@@ -237,7 +245,12 @@ function analyzeApiCallsData(apiCalls) {
     highPayloadApis: highPayloadApis,
     errorProneApis: errorProneApis,
     totalApiCalls: apiCalls.length,
-    averageResponseTime: Math.round(apiCalls.reduce((sum, call) => sum + call.timeTaken, 0) / (apiCalls.length || 1)),
+    averageResponseTime: measuredApiCalls.length
+      ? Math.round(measuredApiCalls.reduce((sum, call) => sum + call.timeTaken, 0) / measuredApiCalls.length)
+      : null,
+    unmeasuredApiCalls: apiCalls.length - measuredApiCalls.length,
+    endpoints: aggregateEndpoints(apiCalls, { routePatterns }),
+    redundancy: detectRedundantCalls(apiCalls, { routePatterns }),
   };
 }
 
@@ -255,4 +268,4 @@ function formatBytes(bytes) {
   return Number.parseFloat((bytes / Math.pow(1024, i)).toFixed(1)) + sizes[i];
 }
 
-export { analyzeApiCalls };
+export { analyzeApiCalls, analyzeLighthouseApiCalls, analyzeApiCallsData, compareByTimeTaken, formatBytes };
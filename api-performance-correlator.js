@@ -1,122 +1,264 @@
-import puppeteer from 'puppeteer';
+import { BrowserPool } from './browser-pool.js';
+import { applyAuthSession } from './auth-session.js';
+import { compileRoutePatterns, getEndpointTemplate } from './endpoint-templates.js';
+import {
+  INJECTION_PRIORITY,
+  groupEndpointsByPage,
+  interceptEndpoint,
+  delayRequest,
+  installRenderingObserver,
+  readRenderingMetrics
+} from './request-interception.js';
 
+const DEFAULT_INJECTED_DELAY = 2000;
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_MAX_ENDPOINTS_PER_PAGE = 5;
+// Unmodified loads per page; their spread is the noise an injected change has to exceed
+const BASELINE_RUNS = 2;
+const LOAD_TIMEOUT = 60000;
+// Late renders after the network went idle still count towards the run
+const SETTLE_TIME = 1000;
+const LONG_TASK_THRESHOLD = 50;
+const METRICS = ['lcp', 'cls', 'tbt', 'visuallyComplete'];
+
+/**
+ * Measures how much each API endpoint holds back rendering. Every page is loaded unmodified, then
+ * reloaded once with one endpoint's responses delayed and once with them blocked; the change in LCP,
+ * CLS, total blocking time and visually complete time against the unmodified loads is the endpoint's
+ * measured impact.
+ */
 class ApiPerformanceCorrelator {
-  constructor() {
-    this.performanceData = [];
+  constructor(options = {}) {
+    this.browserPool = options.browserPool || null;
+    this.authSession = options.authSession || null;
+    this.routePatterns = compileRoutePatterns(options.routePatterns || []);
+    this.injectedDelay = options.injectedDelay ?? DEFAULT_INJECTED_DELAY;
+    this.maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+    this.maxEndpointsPerPage = options.maxEndpointsPerPage ?? DEFAULT_MAX_ENDPOINTS_PER_PAGE;
+    this.onProgress = options.onProgress || (() => {});
   }
 
-  async analyzeApiImpact(apiCalls, pageUrl) {
-    const browser = await puppeteer.launch({
-      args: ['--no-sandbox', '--disable-dev-shm-usage'],
-      headless: 'new'
-    });
+  /**
+   * Measures the impact of the endpoints behind the crawled API calls
+   * @param {Array} apiCalls - Crawler API calls
+   * @param {string} pageUrl - Page assumed for calls that don't record one
+   * @param {Object} options - { signal } for cancellation
+   * @returns {Promise<Object>} - { apiCalls, endpointImpacts }: the calls with frontendImpact (null for endpoints
+   *   that were not measured) and one impact per measured endpoint and page, most impactful first
+   */
+  async analyzeApiImpact(apiCalls, pageUrl, { signal } = {}) {
+    signal?.throwIfAborted();
+    const browserPool = this.browserPool || new BrowserPool({ maxBrowsers: 1 });
+    const endpointImpacts = [];
 
     try {
-      const page = await browser.newPage();
-      await page.goto(pageUrl, { waitUntil: 'networkidle0' });
-
-      const enhancedApiCalls = [];
-
-      for (const apiCall of apiCalls) {
-        try {
-          const beforeMetrics = await this.capturePerformanceMetrics(page);
-
-          await this.simulateApiCall(page, apiCall);
-
-          await page.waitForTimeout(500);
-          const afterMetrics = await this.capturePerformanceMetrics(page);
-
-          const impactMetrics = this.calculateMetricsImpact(beforeMetrics, afterMetrics);
-
-          enhancedApiCalls.push({
-            ...apiCall,
-            frontendImpact: {
-              ...impactMetrics,
-              domUpdateTime: afterMetrics.domUpdateTime - beforeMetrics.domUpdateTime,
-              renderTime: afterMetrics.renderTime - beforeMetrics.renderTime,
-              layoutShiftDelta: afterMetrics.cls - beforeMetrics.cls,
-              memoryDelta: afterMetrics.memory?.usedJSHeapSize - beforeMetrics.memory?.usedJSHeapSize || 0
-            }
-          });
-
-        } catch (error) {
-          console.error(`Error measuring impact for API call ${apiCall.url}: ${error.message}`);
-          enhancedApiCalls.push({
-            ...apiCall,
-            frontendImpact: { error: error.message }
-          });
-        }
+      const pages = groupEndpointsByPage(apiCalls, {
+        pageUrl,
+        routePatterns: this.routePatterns,
+        maxPages: this.maxPages,
+        maxEndpointsPerPage: this.maxEndpointsPerPage
+      });
+      for (const { page, endpoints } of pages) {
+        endpointImpacts.push(...(await this.measurePage(browserPool, page, endpoints, signal)));
       }
-
-      return enhancedApiCalls;
-
     } finally {
-      await browser.close();
+      if (!this.browserPool) await browserPool.close();
     }
-  }
 
-  async capturePerformanceMetrics(page) {
-    return await page.evaluate(() => {
-      const navigation = performance.getEntriesByType('navigation')[0];
-
-      const paintEntries = performance.getEntriesByType('paint');
-      const fcp = paintEntries.find(entry => entry.name === 'first-contentful-paint')?.startTime || 0;
-
-      const layoutShifts = performance.getEntriesByType('layout-shift');
-      const cls = layoutShifts.reduce((sum, entry) => sum + entry.value, 0);
-
-      const memory = performance.memory ? {
-        usedJSHeapSize: performance.memory.usedJSHeapSize,
-        totalJSHeapSize: performance.memory.totalJSHeapSize,
-        jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
-      } : null;
-
-      return {
-        timestamp: Date.now(),
-        fcp,
-        cls,
-        domUpdateTime: navigation?.domContentLoadedEventEnd || 0,
-        renderTime: navigation?.loadEventEnd || 0,
-        memory,
-        resourceCount: performance.getEntriesByType('resource').length
-      };
-    });
+    const impactByCall = new Map(
+      endpointImpacts.map((impact) => [`${impact.page} ${impact.endpoint}`, impact])
+    );
+    return {
+      apiCalls: apiCalls.map((call) => ({
+        ...call,
+        frontendImpact: impactByCall.get(`${call.page || pageUrl} ${this.getEndpointKey(call)}`) || null
+      })),
+      endpointImpacts: endpointImpacts.sort((a, b) => (b.impact ?? -1) - (a.impact ?? -1))
+    };
   }
 
-  async simulateApiCall(page, apiCall) {
-    await page.evaluate((call) => {
-      const loadingElement = document.createElement('div');
-      loadingElement.textContent = `Loading data from ${call.url}...`;
-      document.body.appendChild(loadingElement);
+  async measurePage(browserPool, pageUrl, endpoints, signal) {
+    let baseline;
+    try {
+      const runs = [];
+      for (let run = 0; run < BASELINE_RUNS; run++) {
+        runs.push(await this.measureLoad(browserPool, pageUrl, null, signal));
+      }
+      baseline = summarizeRuns(runs);
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.error(`Error measuring baseline for ${pageUrl}: ${error.message}`);
+      this.onProgress({ type: 'error', stage: 'impact', url: pageUrl, message: error.message });
+      return endpoints.map((endpoint) => this.describeEndpoint(pageUrl, endpoint, { error: error.message }));
+    }
 
-      setTimeout(() => {
-        loadingElement.remove();
+    const impacts = [];
+    for (const endpoint of endpoints) {
+      try {
+        const delayed = await this.measureLoad(browserPool, pageUrl, { key: endpoint.key, mode: 'delay' }, signal);
+        const blocked = await this.measureLoad(browserPool, pageUrl, { key: endpoint.key, mode: 'block' }, signal);
+        impacts.push(this.describeEndpoint(pageUrl, endpoint, { baseline, delayed, blocked }));
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.error(`Error measuring impact of ${endpoint.key} on ${pageUrl}: ${error.message}`);
+        this.onProgress({ type: 'error', stage: 'impact', url: pageUrl, message: error.message });
+        impacts.push(this.describeEndpoint(pageUrl, endpoint, { error: error.message }));
+      }
+    }
+    return impacts;
+  }
 
-        const resultElement = document.createElement('div');
-        resultElement.innerHTML = `<p>Data loaded from API: ${call.url}</p>`;
-        document.body.appendChild(resultElement);
-      }, call.duration || 100);
-    }, apiCall);
+  describeEndpoint(pageUrl, endpoint, { baseline, delayed, blocked, error }) {
+    const described = {
+      page: pageUrl,
+      endpoint: endpoint.key,
+      method: endpoint.method,
+      template: endpoint.template,
+      callCount: endpoint.callCount,
+      injectedDelay: this.injectedDelay
+    };
+    if (error) return { ...described, error, impact: null, renderingImpact: null };
 
-    await page.waitForTimeout(apiCall.duration || 100);
-  }
+    const delayedDeltas = getDeltas(baseline.metrics, delayed);
+    // The page renders its final state later by however much of the injected delay reaches the screen
+    const impact = maxKnown(delayedDeltas.lcp, delayedDeltas.visuallyComplete);
 
-  calculateMetricsImpact(beforeMetrics, afterMetrics) {
     return {
-      fcpDelta: afterMetrics.fcp - beforeMetrics.fcp,
-      clsDelta: afterMetrics.cls - beforeMetrics.cls,
-      resourceCountDelta: afterMetrics.resourceCount - beforeMetrics.resourceCount,
-      renderingImpact: this.calculateRenderingImpact(beforeMetrics, afterMetrics)
+      ...described,
+      baseline: baseline.metrics,
+      noise: baseline.noise,
+      delayed: delayedDeltas,
+      blocked: getDeltas(baseline.metrics, blocked),
+      // Whether the endpoint's request was seen at all during the modified loads
+      intercepted: delayed.intercepted > 0 && blocked.intercepted > 0,
+      impact,
+      renderingImpact: this.classifyImpact(impact, maxKnown(baseline.noise.lcp, baseline.noise.visuallyComplete))
     };
   }
 
-  calculateRenderingImpact(beforeMetrics, afterMetrics) {
-    const renderTimeDelta = afterMetrics.renderTime - beforeMetrics.renderTime;
-
-    if (renderTimeDelta > 100) return 'high';
-    if (renderTimeDelta > 50) return 'medium';
+  classifyImpact(impact, noise) {
+    if (impact === null) return null;
+    if (impact <= (noise || 0)) return 'low';
+    if (impact >= this.injectedDelay / 2) return 'high';
+    if (impact >= this.injectedDelay / 10) return 'medium';
     return 'low';
   }
+
+  /**
+   * Loads the page in a fresh tab, optionally delaying or blocking one endpoint's requests
+   * @param {Object} browserPool - Pool to lease the tab from
+   * @param {string} pageUrl - Page to load
+   * @param {Object|null} injection - { key, mode: 'delay' | 'block' }, or null for an unmodified load
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Object>} - { lcp, cls, tbt, visuallyComplete, intercepted }; times are ms from navigation start
+   */
+  async measureLoad(browserPool, pageUrl, injection, signal) {
+    signal?.throwIfAborted();
+    return browserPool.withPage(
+      async (page) => {
+        await applyAuthSession(page, this.authSession);
+        // Every run starts cold, so a warm cache cannot pass for an endpoint's impact
+        await page.setCacheEnabled(false);
+        await installRenderingObserver(page);
+        const getIntercepted = await interceptEndpoint(page, injection?.key ?? null, this.routePatterns, (request) => {
+          if (injection.mode === 'block') {
+            request.abort('failed', INJECTION_PRIORITY).catch(() => {});
+          } else {
+            delayRequest(request, this.injectedDelay);
+          }
+        });
+
+        const frames = await startFrameCapture(page);
+        await page.goto(pageUrl, { waitUntil: 'networkidle0', timeout: LOAD_TIMEOUT });
+        await page.waitForTimeout(SETTLE_TIME);
+        const frameTimestamps = await frames.stop();
+
+        const observed = await readRenderingMetrics(page);
+
+        return {
+          lcp: observed.lcp !== null ? Math.round(observed.lcp) : null,
+          cls: Math.round(observed.cls * 1000) / 1000,
+          tbt: getTotalBlockingTime(observed.longTasks, observed.fcp),
+          visuallyComplete: getVisuallyComplete(frameTimestamps, observed.timeOrigin),
+          intercepted: getIntercepted()
+        };
+      },
+      { signal, isolated: Boolean(this.authSession) }
+    );
+  }
+
+  getEndpointKey(call) {
+    return getEndpointTemplate(call, this.routePatterns).key;
+  }
+}
+
+// Screencast frames arrive only when the viewport changes; the page is visually complete at the first
+// frame that already shows its final state
+async function startFrameCapture(page) {
+  const client = await page.target().createCDPSession();
+  const frames = [];
+  client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+    frames.push({ data, timestamp: metadata.timestamp * 1000 });
+    client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+  });
+  await client.send('Page.startScreencast', { format: 'jpeg', quality: 40, maxWidth: 400, maxHeight: 300 });
+
+  return {
+    stop: async () => {
+      await client.send('Page.stopScreencast').catch(() => {});
+      await client.detach().catch(() => {});
+      if (frames.length === 0) return [];
+      const final = frames[frames.length - 1].data;
+      let first = frames.length - 1;
+      while (first > 0 && frames[first - 1].data === final) first--;
+      return frames.slice(0, first + 1).map((frame) => frame.timestamp);
+    }
+  };
+}
+
+function getVisuallyComplete(frameTimestamps, timeOrigin) {
+  // Frames captured before the navigation show the blank tab
+  const pageFrames = frameTimestamps.filter((timestamp) => timestamp >= timeOrigin);
+  return pageFrames.length ? Math.round(pageFrames[pageFrames.length - 1] - timeOrigin) : null;
+}
+
+// Blocking time is the part of each long task beyond 50ms, counted from first contentful paint
+function getTotalBlockingTime(longTasks, fcp) {
+  return Math.round(
+    longTasks
+      .filter((task) => fcp === null || task.start + task.duration > fcp)
+      .reduce((total, task) => total + Math.max(0, task.duration - LONG_TASK_THRESHOLD), 0)
+  );
+}
+
+function summarizeRuns(runs) {
+  const metrics = {};
+  const noise = {};
+  METRICS.forEach((metric) => {
+    const values = runs.map((run) => run[metric]).filter((value) => value !== null);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    metrics[metric] = values.length ? roundMetric(metric, mean) : null;
+    noise[metric] = values.length ? roundMetric(metric, Math.max(...values) - Math.min(...values)) : null;
+  });
+  return { metrics, noise };
+}
+
+function getDeltas(baseline, run) {
+  return Object.fromEntries(
+    METRICS.map((metric) => [
+      metric,
+      baseline[metric] !== null && run[metric] !== null ? roundMetric(metric, run[metric] - baseline[metric]) : null
+    ])
+  );
+}
+
+function roundMetric(metric, value) {
+  return metric === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+}
+
+function maxKnown(...values) {
+  const known = values.filter((value) => value !== null && value !== undefined);
+  return known.length ? Math.max(...known) : null;
 }
 
 export { ApiPerformanceCorrelator };
@@ -0,0 +1,179 @@
+import { compileRoutePatterns, getEndpointTemplate } from "./endpoint-templates.js";
+
+// Distinct URLs of one route template on one page before the calls count as an N+1 fan-out
+const MIN_FAN_OUT_CALLS = 5;
+// Gap tolerated between one call ending and the next starting for a fan-out to count as sequential
+const SEQUENTIAL_GAP_MS = 50;
+const BODYLESS_METHODS = ["GET", "HEAD", "OPTIONS"];
+// Successful statuses that carry no response body to read
+const EMPTY_RESPONSE_STATUSES = [204, 205];
+
+/**
+ * Finds wasteful API traffic per page: identical requests fired more than once, N+1 fan-outs
+ * (one call per list item to the same route template), unused responses, which arrived but were never
+ * read by the page before it was left, and abandoned requests, whose responses never arrived because the
+ * request was aborted or the page was left. Accepts crawler, Lighthouse and HAR calls; only crawled calls
+ * record whether the page read a response (responseRead), so unused responses are found in crawls alone.
+ * @param {Array} apiCalls - API calls
+ * @param {Object} options - { routePatterns } user-defined routes used to group fan-outs
+ * @returns {Object} - { findings, wastedTime, wastedBytes } with findings ({ type: "duplicate" | "n-plus-one" |
+ *   "unused-response" | "abandoned-request", page, method, endpoint, count, wastedTime, wastedBytes, sequential, urls }), most wasteful first
+ */
+function detectRedundantCalls(apiCalls = [], { routePatterns = [] } = {}) {
+  const compiledPatterns = compileRoutePatterns(routePatterns);
+  const findings = [];
+
+  groupBy(apiCalls, (call) => call.page || "").forEach((pageCalls, page) => {
+    findings.push(
+      ...findDuplicates(pageCalls, page || null),
+      ...findFanOuts(pageCalls, page || null, compiledPatterns),
+      ...findUnusedResponses(pageCalls, page || null),
+      ...findAbandonedRequests(pageCalls, page || null)
+    );
+  });
+
+  findings.sort((a, b) => (b.wastedTime || 0) - (a.wastedTime || 0) || (b.wastedBytes || 0) - (a.wastedBytes || 0));
+
+  return {
+    findings,
+    wastedTime: sum(findings.map((finding) => finding.wastedTime)),
+    wastedBytes: sum(findings.map((finding) => finding.wastedBytes)),
+  };
+}
+
+function findDuplicates(calls, page) {
+  // Requests with a body only count as identical when the body is known to match
+  const comparable = calls.filter(
+    (call) => BODYLESS_METHODS.includes(call.method || "GET") || call.postData !== undefined
+  );
+
+  return Array.from(groupBy(comparable, getRequestIdentity).values())
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      // The first response is needed; every repeat is waste
+      const [, ...repeats] = sortByStart(group);
+      return {
+        type: "duplicate",
+        page,
+        method: group[0].method || "GET",
+        endpoint: group[0].url,
+        count: group.length,
+        wastedTime: sum(repeats.map(getDuration)),
+        wastedBytes: sum(repeats.map(getSize)),
+        sequential: null,
+        urls: [group[0].url],
+      };
+    });
+}
+
+function findFanOuts(calls, page, compiledPatterns) {
+  return Array.from(groupBy(calls, (call) => getEndpointTemplate(call, compiledPatterns).key).values())
+    .filter((group) => new Set(group.map(getRequestIdentity)).size >= MIN_FAN_OUT_CALLS)
+    .map((group) => {
+      const { method, template } = getEndpointTemplate(group[0], compiledPatterns);
+      const windows = sortByStart(group).map(getCallWindow).filter(Boolean);
+      const sequential =
+        windows.length > 1 &&
+        windows.slice(1).every((window, index) => window.start >= windows[index].end - SEQUENTIAL_GAP_MS);
+      // A single batched request would take about as long as the slowest call of the fan-out
+      const span = windows.length ? Math.max(...windows.map((window) => window.end)) - windows[0].start : null;
+      const slowest = windows.length ? Math.max(...windows.map((window) => window.end - window.start)) : null;
+
+      return {
+        type: "n-plus-one",
+        page,
+        method,
+        endpoint: template,
+        count: group.length,
+        wastedTime: span !== null ? Math.round(span - slowest) : null,
+        // A batched response carries the same data, so only the time is saved
+        wastedBytes: null,
+        sequential,
+        urls: Array.from(new Set(group.map((call) => call.url))).slice(0, 5),
+      };
+    });
+}
+
+function findUnusedResponses(calls, page) {
+  // The page downloaded a body it never looked at; calls the tracker did not see have responseRead null
+  return calls
+    .filter(
+      (call) =>
+        call.responseRead === false &&
+        !call.failed &&
+        call.status >= 200 &&
+        call.status < 300 &&
+        !EMPTY_RESPONSE_STATUSES.includes(call.status) &&
+        call.method !== "HEAD"
+    )
+    .map((call) => ({
+      type: "unused-response",
+      page,
+      method: call.method || "GET",
+      endpoint: call.url,
+      count: 1,
+      wastedTime: getDuration(call),
+      wastedBytes: getSize(call),
+      sequential: null,
+      urls: [call.url],
+    }));
+}
+
+function findAbandonedRequests(calls, page) {
+  // A request the page aborted or left behind was paid for without its response ever arriving
+  return calls
+    .filter((call) => call.aborted || call.pending)
+    .map((call) => ({
+      type: "abandoned-request",
+      page,
+      method: call.method || "GET",
+      endpoint: call.url,
+      count: 1,
+      wastedTime: getDuration(call),
+      wastedBytes: getSize(call),
+      sequential: null,
+      urls: [call.url],
+    }));
+}
+
+// GraphQL operations share a URL and differ in their variables, so the body is part of the identity
+function getRequestIdentity(call) {
+  return `${call.method || "GET"} ${call.url} ${call.postData || ""}`;
+}
+
+function getDuration(call) {
+  const duration = call.duration ?? call.timeTaken;
+  return call.timingSource !== "unavailable" && typeof duration === "number" ? duration : null;
+}
+
+function getSize(call) {
+  return call.responseSize ?? call.rawData?.transferSize ?? null;
+}
+
+// Start and end in ms on the clock of the call's source (wall time, Lighthouse or HAR)
+function getCallWindow(call) {
+  const start = call.startTime ?? call.rawData?.networkRequestTime ?? Date.parse(call.startedDateTime);
+  const duration = getDuration(call);
+  if (!Number.isFinite(start) || duration === null) return null;
+  return { start, end: start + duration };
+}
+
+function sortByStart(calls) {
+  return [...calls].sort((a, b) => (getCallWindow(a)?.start ?? 0) - (getCallWindow(b)?.start ?? 0));
+}
+
+function groupBy(items, getKey) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+export { detectRedundantCalls };
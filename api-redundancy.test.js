@@ -0,0 +1,173 @@
+import { detectRedundantCalls } from "./api-redundancy.js";
+
+const PAGE = "https://shop.example.com/";
+
+const call = (url, startTime, duration, fields = {}) => ({
+  url,
+  method: "GET",
+  page: PAGE,
+  startTime,
+  duration,
+  responseSize: 1000,
+  ...fields,
+});
+
+const findingsOfType = (result, type) => result.findings.filter((finding) => finding.type === type);
+
+describe("detectRedundantCalls", () => {
+  test("reports identical requests on a page with the repeats as waste", () => {
+    const result = detectRedundantCalls([
+      call("https://shop.example.com/api/user", 0, 100),
+      call("https://shop.example.com/api/user", 200, 150, { responseSize: 1200 }),
+      call("https://shop.example.com/api/user", 400, 50),
+      call("https://shop.example.com/api/cart", 0, 80),
+    ]);
+
+    expect(findingsOfType(result, "duplicate")).toEqual([
+      {
+        type: "duplicate",
+        page: PAGE,
+        method: "GET",
+        endpoint: "https://shop.example.com/api/user",
+        count: 3,
+        wastedTime: 200,
+        wastedBytes: 2200,
+        sequential: null,
+        urls: ["https://shop.example.com/api/user"],
+      },
+    ]);
+  });
+
+  test("keeps pages, methods and request bodies apart", () => {
+    const result = detectRedundantCalls([
+      call("https://shop.example.com/api/user", 0, 100),
+      call("https://shop.example.com/api/user", 0, 100, { page: "https://shop.example.com/account" }),
+      call("https://shop.example.com/graphql", 0, 100, { method: "POST", postData: '{"query":"{ a }"}' }),
+      call("https://shop.example.com/graphql", 0, 100, { method: "POST", postData: '{"query":"{ b }"}' }),
+      // Bodies that were not recorded cannot be compared
+      call("https://shop.example.com/api/track", 0, 10, { method: "POST" }),
+      call("https://shop.example.com/api/track", 0, 10, { method: "POST" }),
+    ]);
+
+    expect(result.findings).toEqual([]);
+  });
+
+  test("reports N+1 fan-outs per route template and tells sequential from parallel", () => {
+    const sequential = [1, 2, 3, 4, 5].map((id, index) =>
+      call(`https://shop.example.com/api/items/${id}`, index * 100, 100)
+    );
+    const parallel = [1, 2, 3, 4, 5].map((id) => call(`https://shop.example.com/api/prices/${id}`, 0, 100 + id * 10));
+
+    const fanOuts = findingsOfType(detectRedundantCalls([...sequential, ...parallel]), "n-plus-one");
+
+    expect(fanOuts).toEqual([
+      expect.objectContaining({
+        endpoint: "/api/items/:id",
+        count: 5,
+        sequential: true,
+        // Five sequential 100ms calls could have been one 100ms batch
+        wastedTime: 400,
+        wastedBytes: null,
+      }),
+      expect.objectContaining({ endpoint: "/api/prices/:id", count: 5, sequential: false, wastedTime: 0 }),
+    ]);
+    expect(fanOuts[0].urls).toHaveLength(5);
+  });
+
+  test("needs five distinct URLs for a fan-out and groups them by route pattern", () => {
+    const calls = ["shoes", "hats", "bags", "belts"].map((slug, index) =>
+      call(`https://shop.example.com/api/products/${slug}`, index * 100, 100)
+    );
+    const fanOuts = () =>
+      findingsOfType(detectRedundantCalls(calls, { routePatterns: ["/api/products/:slug"] }), "n-plus-one");
+
+    expect(fanOuts()).toEqual([]);
+
+    calls.push(call("https://shop.example.com/api/products/socks", 400, 100));
+    expect(fanOuts()).toEqual([expect.objectContaining({ endpoint: "/api/products/:slug", count: 5 })]);
+  });
+
+  test("reports requests that were aborted or still pending when the page was left", () => {
+    const result = detectRedundantCalls([
+      call("https://shop.example.com/api/recommendations", 0, 300, { aborted: true }),
+      call("https://shop.example.com/api/reviews", 0, null, { pending: true, responseSize: null }),
+      call("https://shop.example.com/api/cart", 0, 100),
+    ]);
+
+    expect(findingsOfType(result, "abandoned-request")).toEqual([
+      expect.objectContaining({
+        endpoint: "https://shop.example.com/api/recommendations",
+        wastedTime: 300,
+        wastedBytes: 1000,
+      }),
+      expect.objectContaining({ endpoint: "https://shop.example.com/api/reviews", wastedTime: null, wastedBytes: null }),
+    ]);
+  });
+
+  test("reports successful responses the page never read", () => {
+    const result = detectRedundantCalls([
+      call("https://shop.example.com/api/banner", 0, 120, { status: 200, responseRead: false }),
+      call("https://shop.example.com/api/user", 0, 100, { status: 200, responseRead: true }),
+      // Not seen by the in-page tracker, nothing to read, or an error response
+      call("https://shop.example.com/api/beacon", 0, 50, { status: 200, responseRead: null }),
+      call("https://shop.example.com/api/ping", 0, 50, { status: 204, responseRead: false }),
+      call("https://shop.example.com/api/cart", 0, 50, { status: 500, responseRead: false }),
+    ]);
+
+    expect(findingsOfType(result, "unused-response")).toEqual([
+      {
+        type: "unused-response",
+        page: PAGE,
+        method: "GET",
+        endpoint: "https://shop.example.com/api/banner",
+        count: 1,
+        wastedTime: 120,
+        wastedBytes: 1000,
+        sequential: null,
+        urls: ["https://shop.example.com/api/banner"],
+      },
+    ]);
+  });
+
+  test("accepts Lighthouse and HAR calls and totals the waste, most wasteful first", () => {
+    const lighthouseCall = (id, start) => ({
+      url: `https://shop.example.com/api/items/${id}`,
+      method: "GET",
+      page: PAGE,
+      timeTaken: 100,
+      timingSource: "measured",
+      rawData: { networkRequestTime: start, transferSize: 500 },
+    });
+    const harCall = (startedDateTime) => ({
+      url: "https://shop.example.com/api/config",
+      method: "GET",
+      page: PAGE,
+      timeTaken: 700,
+      startedDateTime,
+      rawData: { transferSize: 300 },
+    });
+
+    const result = detectRedundantCalls([
+      ...[1, 2, 3, 4, 5].map((id, index) => lighthouseCall(id, index * 100)),
+      harCall("2024-05-01T10:00:00.000Z"),
+      harCall("2024-05-01T10:00:01.000Z"),
+    ]);
+
+    expect(result.findings.map((finding) => [finding.type, finding.wastedTime])).toEqual([
+      ["duplicate", 700],
+      ["n-plus-one", 400],
+    ]);
+    expect(result.wastedTime).toBe(1100);
+    expect(result.wastedBytes).toBe(300);
+  });
+
+  test("leaves out unmeasured durations", () => {
+    const result = detectRedundantCalls([
+      call("https://shop.example.com/api/user", 0, 100, { timingSource: "unavailable" }),
+      call("https://shop.example.com/api/user", 0, 100, { timingSource: "unavailable" }),
+    ]);
+
+    expect(result.findings[0]).toMatchObject({ type: "duplicate", wastedTime: 0, wastedBytes: 1000 });
+    expect(result.wastedTime).toBe(0);
+  });
+});
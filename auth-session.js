@@ -0,0 +1,166 @@
+const DEFAULT_LOGIN_TIMEOUT = 30000;
+
+/**
+ * Validates the auth options of an analysis request.
+ * Supported keys: cookies ([{ name, value, domain?, path? }]), headers ({ name: value }),
+ * bearerToken (string) and login ({ url, usernameSelector, passwordSelector, username,
+ * password, submitSelector?, successSelector?, timeout? }).
+ * @param {Object} auth - Auth options
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAuthOptions(auth) {
+  if (auth === undefined || auth === null) return null;
+  if (typeof auth !== "object" || Array.isArray(auth)) return "auth must be an object";
+
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies)) return "auth.cookies must be an array";
+    if (auth.cookies.some((cookie) => !cookie?.name || typeof cookie.value !== "string")) {
+      return "Each cookie needs a name and a string value";
+    }
+  }
+
+  if (auth.headers !== undefined) {
+    if (typeof auth.headers !== "object" || Array.isArray(auth.headers)) return "auth.headers must be an object";
+    if (Object.values(auth.headers).some((value) => typeof value !== "string")) {
+      return "Header values must be strings";
+    }
+  }
+
+  if (auth.bearerToken !== undefined && typeof auth.bearerToken !== "string") {
+    return "auth.bearerToken must be a string";
+  }
+
+  if (auth.login !== undefined) {
+    const { login } = auth;
+    for (const key of ["url", "usernameSelector", "passwordSelector", "username", "password"]) {
+      if (!login?.[key] || typeof login[key] !== "string") return `auth.login.${key} is required`;
+    }
+    try {
+      new URL(login.url);
+    } catch {
+      return "auth.login.url is not a valid URL";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the session shared by every stage of an analysis, running the scripted login once if configured
+ * @param {Object} auth - Validated auth options
+ * @param {string} baseUrl - Seed URL; its origin is the only one the session headers are sent to, and the
+ *   default scope for static cookies
+ * @param {Object} options - { browserPool } to run the login in, { signal } for cancellation
+ * @returns {Promise<Object>} - Session with { cookies, headers, origin }
+ */
+async function prepareAuthSession(auth, baseUrl, { browserPool, signal } = {}) {
+  const origin = new URL(baseUrl).origin;
+  const headers = { ...(auth.headers || {}) };
+  if (auth.bearerToken) headers.Authorization = `Bearer ${auth.bearerToken}`;
+
+  const cookies = (auth.cookies || []).map((cookie) =>
+    cookie.domain ? { path: "/", ...cookie } : { ...cookie, url: baseUrl }
+  );
+
+  if (auth.login) {
+    const loginCookies = await browserPool.withPage(
+      (page) => runLoginScript(page, auth.login, { headers, cookies, origin, baseUrl }),
+      { signal, isolated: true }
+    );
+    cookies.push(...loginCookies);
+  }
+
+  console.log(`Prepared auth session with ${cookies.length} cookies and ${Object.keys(headers).length} headers`);
+  return { cookies, headers, origin };
+}
+
+async function runLoginScript(page, login, { headers, cookies, origin, baseUrl }) {
+  const timeout = login.timeout || DEFAULT_LOGIN_TIMEOUT;
+
+  await applyAuthSession(page, { headers, cookies, origin });
+  await page.goto(login.url, { waitUntil: "networkidle2", timeout });
+
+  try {
+    await page.waitForSelector(login.usernameSelector, { timeout });
+    await page.type(login.usernameSelector, login.username);
+    await page.type(login.passwordSelector, login.password);
+
+    const navigation = page.waitForNavigation({ waitUntil: "networkidle2", timeout }).catch(() => null);
+    if (login.submitSelector) {
+      await page.click(login.submitSelector);
+    } else {
+      await page.focus(login.passwordSelector);
+      await page.keyboard.press("Enter");
+    }
+
+    if (login.successSelector) {
+      await page.waitForSelector(login.successSelector, { timeout });
+    } else {
+      await navigation;
+      if (await page.$(login.passwordSelector)) {
+        throw new Error("the password field is still present after submitting");
+      }
+    }
+  } catch (error) {
+    throw new Error(`Login failed at ${login.url}: ${error.message}`);
+  }
+
+  const sessionCookies = await page.cookies(page.url(), login.url, baseUrl);
+  console.log(`Login at ${login.url} succeeded with ${sessionCookies.length} session cookies`);
+  return sessionCookies;
+}
+
+/**
+ * Applies a prepared session to a Puppeteer page before it navigates. The session headers are added only to
+ * requests for the session's origin, so tokens never reach CDNs or third-party scripts; cookies are set in the
+ * browser, which sends each one only to the hosts and paths its domain and path match.
+ * Headers are added through request interception in cooperative mode (priority 0), so handlers that fail or
+ * delay requests (see request-interception.js) can be installed on the same page.
+ * @param {Object} page - Puppeteer page
+ * @param {Object|null} session - Result of prepareAuthSession
+ */
+async function applyAuthSession(page, session) {
+  if (!session) return;
+  if (Object.keys(session.headers).length > 0) {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const overrides = { ...request.continueRequestOverrides() };
+      if (isSessionOrigin(request.url(), session)) {
+        overrides.headers = { ...request.headers(), ...overrides.headers, ...session.headers };
+      }
+      request.continue(overrides, 0).catch(() => {});
+    });
+  }
+  if (session.cookies.length > 0) await page.setCookie(...session.cookies);
+}
+
+function isSessionOrigin(url, session) {
+  try {
+    return new URL(url).origin === session.origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Masks session credentials in recorded request or response headers so they never reach stored results
+ * @param {Object} headers - Header map as reported by Puppeteer
+ * @param {Object|null} session - Result of prepareAuthSession
+ * @returns {Object} - Copy of the headers with credentials replaced
+ */
+function redactSessionHeaders(headers, session) {
+  if (!session || !headers) return headers;
+
+  const sensitive = new Set([
+    "authorization",
+    "cookie",
+    "set-cookie",
+    ...Object.keys(session.headers).map((name) => name.toLowerCase()),
+  ]);
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, sensitive.has(name.toLowerCase()) ? "[redacted]" : value])
+  );
+}
+
+export { validateAuthOptions, prepareAuthSession, applyAuthSession, redactSessionHeaders };
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "fs/promises";
+import { parseArgs } from "util";
+import { analyzeSite } from "../lighthouse-service.js";
+import { runCompleteWebsiteAnalysis, normalizeAnalysisOptions } from "../website-analysis.js";
+import { formatAlertsForDisplay } from "../performance-alerts.js";
+import { validateBudget, evaluateBudget } from "../performance-budgets.js";
+import { BrowserPool } from "../browser-pool.js";
+import { validateAuthOptions, prepareAuthSession } from "../auth-session.js";
+import { validateCrawlScopeOptions } from "../crawl-scope.js";
+import { validateRoutePatterns } from "../endpoint-templates.js";
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Threshold flags mapped onto the budget format evaluated by performance-budgets.js
+const METRIC_FLAGS = {
+  "max-fcp": "fcp",
+  "max-lcp": "lcp",
+  "max-cls": "cls",
+  "max-tbt": "tbt",
+  "max-tti": "tti",
+  "max-si": "si",
+};
+
+const SCORE_FLAGS = {
+  "min-performance": "performance",
+  "min-accessibility": "accessibility",
+  "min-best-practices": "bestPractices",
+  "min-seo": "seo",
+};
+
+const USAGE = `
+Usage: responsive-tracer <url> [options]
+
+Analysis:
+  --full                    Crawl the site and run the complete pipeline instead of a single page
+  --max-pages <n>           Pages to crawl with --full (default 15, max 50)
+  --max-depth <n>           Crawl depth with --full (default 3, max 5)
+  --scenario <name>         overall, frontend or api (default overall)
+  --sitemap                 Also queue the pages listed in the site's sitemaps with --full
+  --ignore-robots           Crawl pages that robots.txt disallows
+  --user-agent <token>      Product token matched against robots.txt groups and appended to the
+                            crawler's browser user agent (default ResponsiveTracer)
+  --include <pattern>       Only crawl URLs matching this glob or regex:<source> (repeatable)
+  --exclude <pattern>       Never crawl URLs matching this pattern (repeatable)
+  --crawl-concurrency <n>   Pages to crawl in parallel tabs with --full (default 1, max 8)
+  --requests-per-second <n> Page loads per second per host while crawling (default 2, max 20)
+  --lighthouse-concurrency <n>
+                            Lighthouse audits to run in parallel with --full (default 2, max 4)
+  --route <pattern>         Group API calls by this route, e.g. /api/users/:userId (repeatable);
+                            numeric IDs, UUIDs and hashes are grouped as :id automatically
+  --separate-api-run        Read API calls from a second Lighthouse run per page instead of reusing
+                            the page audit
+  --impact                  With --full, reload pages with each endpoint delayed and then blocked and
+                            measure how much it holds back rendering (LCP, CLS, blocking time)
+  --impact-max-pages <n>    Pages to measure with --impact (default 3, max 10)
+  --impact-max-endpoints <n>
+                            Endpoints to measure per page with --impact (default 5, max 20)
+  --resilience              With --full, reload pages with each endpoint failing (HTTP 500, timeout,
+                            malformed JSON) and report which failures break the page
+
+Thresholds (fail when any analyzed page exceeds them):
+  --max-fcp <ms>            First Contentful Paint
+  --max-lcp <ms>            Largest Contentful Paint
+  --max-cls <value>         Cumulative Layout Shift
+  --max-tbt <ms>            Total Blocking Time
+  --max-tti <ms>            Time to Interactive
+  --max-si <ms>             Speed Index
+  --min-performance <0-100> Minimum Lighthouse category score (also --min-accessibility,
+                            --min-best-practices, --min-seo)
+
+Authentication:
+  --cookie <name=value>     Send a cookie with every page (repeatable)
+  --header <name: value>    Send an extra HTTP header (repeatable)
+  --bearer-token <token>    Send an Authorization: Bearer header
+  --auth-file <path>        JSON file with auth options, including a scripted login
+                            ({ "login": { "url", "usernameSelector", "passwordSelector",
+                            "username", "password", "submitSelector" } })
+
+Output:
+  --har <path>              Write the captured network traffic as a HAR 1.2 file
+  --har-bodies              Include text response bodies in the HAR (with --full)
+  --json                    Print the raw results and verdict as JSON
+  --verbose                 Show analysis logs on stderr
+  -h, --help                Show this help
+
+Exit codes: 0 passed, 1 critical alerts or threshold violations, 2 usage or analysis error
+`.trim();
+
+function parseCliArgs(argv) {
+  const options = {
+    full: { type: "boolean", default: false },
+    "max-pages": { type: "string" },
+    "max-depth": { type: "string" },
+    "lighthouse-concurrency": { type: "string" },
+    "crawl-concurrency": { type: "string" },
+    "requests-per-second": { type: "string" },
+    "separate-api-run": { type: "boolean", default: false },
+    impact: { type: "boolean", default: false },
+    "impact-max-pages": { type: "string" },
+    "impact-max-endpoints": { type: "string" },
+    resilience: { type: "boolean", default: false },
+    route: { type: "string", multiple: true },
+    sitemap: { type: "boolean", default: false },
+    include: { type: "string", multiple: true },
+    exclude: { type: "string", multiple: true },
+    "ignore-robots": { type: "boolean", default: false },
+    "user-agent": { type: "string" },
+    scenario: { type: "string", default: "overall" },
+    cookie: { type: "string", multiple: true },
+    header: { type: "string", multiple: true },
+    "bearer-token": { type: "string" },
+    "auth-file": { type: "string" },
+    har: { type: "string" },
+    "har-bodies": { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  };
+  Object.keys({ ...METRIC_FLAGS, ...SCORE_FLAGS }).forEach((flag) => {
+    options[flag] = { type: "string" };
+  });
+
+  return parseArgs({ args: argv, options, allowPositionals: true });
+}
+
+/**
+ * Builds a budget from the threshold flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} - Budget definition for evaluateBudget
+ */
+function buildBudget(values) {
+  const budget = { metrics: {}, minScores: {} };
+
+  Object.entries(METRIC_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) budget.metrics[key] = Number(values[flag]);
+  });
+  Object.entries(SCORE_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) budget.minScores[key] = Number(values[flag]);
+  });
+
+  return budget;
+}
+
+/**
+ * Builds auth options from the authentication flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<Object|null>} - Auth options for prepareAuthSession, or null for anonymous runs
+ */
+async function buildAuth(values) {
+  const auth = values["auth-file"] ? JSON.parse(await readFile(values["auth-file"], "utf8")) : {};
+
+  (values.cookie || []).forEach((cookie) => {
+    const separator = cookie.indexOf("=");
+    if (separator < 1) throw new Error(`--cookie "${cookie}" must look like name=value`);
+    auth.cookies = [...(auth.cookies || []), { name: cookie.slice(0, separator), value: cookie.slice(separator + 1) }];
+  });
+
+  (values.header || []).forEach((header) => {
+    const separator = header.indexOf(":");
+    if (separator < 1) throw new Error(`--header "${header}" must look like "Name: value"`);
+    auth.headers = { ...auth.headers, [header.slice(0, separator).trim()]: header.slice(separator + 1).trim() };
+  });
+
+  if (values["bearer-token"]) auth.bearerToken = values["bearer-token"];
+
+  return Object.keys(auth).length > 0 ? auth : null;
+}
+
+function parsePositiveInteger(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`--${flag} must be a positive integer`);
+  return number;
+}
+
+function formatPageReport(pageUrl, result, scenario) {
+  return [`=== ${pageUrl} ===`, result[scenario] || result.overall].join("\n\n");
+}
+
+function formatVerdict(verdict) {
+  if (verdict.checks === 0 && verdict.skipped.length === 0) return "";
+
+  let output = `THRESHOLDS: ${verdict.passed ? "PASSED" : "FAILED"} (${verdict.violations.length} of ${verdict.checks} checks failed)\n`;
+  verdict.violations.forEach((violation) => {
+    output += `  - ${violation.message}: ${Math.round(violation.actual * 1000) / 1000} on ${violation.page}\n`;
+  });
+  if (verdict.skipped.length > 0) {
+    output += `  ${verdict.skipped.length} checks skipped because the value was not measured\n`;
+  }
+  return output;
+}
+
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_PASSED;
+  }
+
+  const [url] = positionals;
+  if (!url || positionals.length > 1) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  let analysisOptions;
+  let auth;
+  const budget = buildBudget(values);
+  try {
+    new URL(url);
+    if (!["overall", "frontend", "api"].includes(values.scenario)) {
+      throw new Error(`Unknown scenario "${values.scenario}"`);
+    }
+    analysisOptions = normalizeAnalysisOptions({
+      maxPages: parsePositiveInteger(values["max-pages"], "max-pages"),
+      maxDepth: parsePositiveInteger(values["max-depth"], "max-depth"),
+      scenario: values.scenario,
+      lighthouseConcurrency: parsePositiveInteger(values["lighthouse-concurrency"], "lighthouse-concurrency"),
+      crawlConcurrency: parsePositiveInteger(values["crawl-concurrency"], "crawl-concurrency"),
+      requestsPerSecond: parsePositiveInteger(values["requests-per-second"], "requests-per-second"),
+      useSitemap: values.sitemap,
+      respectRobots: !values["ignore-robots"],
+      userAgent: values["user-agent"],
+      includePatterns: values.include,
+      excludePatterns: values.exclude,
+      captureHar: Boolean(values.har),
+      harIncludeBodies: values["har-bodies"],
+      separateApiRun: values["separate-api-run"],
+      routePatterns: values.route,
+      impactTest: values.impact,
+      impactMaxPages: parsePositiveInteger(values["impact-max-pages"], "impact-max-pages"),
+      impactMaxEndpointsPerPage: parsePositiveInteger(values["impact-max-endpoints"], "impact-max-endpoints"),
+      resilienceTest: values.resilience,
+    });
+    const scopeError = validateCrawlScopeOptions(analysisOptions);
+    if (scopeError) throw new Error(scopeError);
+    const routePatternsError = validateRoutePatterns(analysisOptions.routePatterns);
+    if (routePatternsError) throw new Error(routePatternsError);
+    const budgetError = validateBudget(budget);
+    if (budgetError) throw new Error(budgetError);
+    auth = await buildAuth(values);
+    const authError = validateAuthOptions(auth);
+    if (authError) throw new Error(authError);
+  } catch (error) {
+    console.error(`Invalid arguments: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  // The analysis modules log heavily; keep stdout for the report
+  const log = console.log;
+  console.log = values.verbose ? (...args) => console.error(...args) : () => {};
+
+  const controller = new AbortController();
+  const cancel = () => controller.abort(new Error("Analysis cancelled"));
+  process.once("SIGINT", cancel);
+  process.once("SIGTERM", cancel);
+
+  let results;
+  let report;
+  let har;
+  try {
+    if (values.full) {
+      ({ har, ...results } = await runCompleteWebsiteAnalysis(url, analysisOptions, {
+        signal: controller.signal,
+        auth,
+        onProgress: (event) => {
+          if (event.type === "phase") {
+            console.error(`[${event.phase}/${event.totalPhases}] ${event.message}`);
+          }
+        },
+      }));
+      report = [
+        `Site: ${url}`,
+        `Pages analyzed: ${results.summary.totalPagesAnalyzed}, API calls: ${results.summary.totalApiCallsFound}, ` +
+          `URLs skipped: ${results.websiteStructure.skippedUrls.length}`,
+        `Scores: performance ${results.performance}, accessibility ${results.accessibility}, ` +
+          `best practices ${results.bestPractices}, SEO ${results.seo}`,
+        ...results.lighthouseResults.map((page) => formatPageReport(page.url, page, analysisOptions.scenario)),
+        formatAlertsForDisplay(results.alerts),
+      ];
+    } else {
+      const browserPool = new BrowserPool({ maxBrowsers: 1 });
+      let result;
+      try {
+        const authSession = auth
+          ? await prepareAuthSession(auth, url, { browserPool, signal: controller.signal })
+          : null;
+        ({ har, ...result } = await analyzeSite(url, analysisOptions.scenario, {
+          signal: controller.signal,
+          browserPool,
+          authSession,
+          captureHar: analysisOptions.captureHar,
+          separateApiRun: analysisOptions.separateApiRun,
+          routePatterns: analysisOptions.routePatterns,
+        }));
+      } finally {
+        await browserPool.close();
+      }
+      results = { url, lighthouseResults: [{ url, ...result }], alerts: result.alerts };
+      report = [formatPageReport(url, result, analysisOptions.scenario), result.alertsFormatted];
+    }
+  } catch (error) {
+    console.error(`Analysis failed: ${error.message}`);
+    return EXIT_ERROR;
+  } finally {
+    console.log = log;
+    process.off("SIGINT", cancel);
+    process.off("SIGTERM", cancel);
+  }
+
+  if (values.har) {
+    try {
+      await writeFile(values.har, JSON.stringify(har, null, 2));
+      console.error(`Wrote ${har.log.entries.length} requests to ${values.har}`);
+    } catch (error) {
+      console.error(`Could not write HAR: ${error.message}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  if (values.full && results.lighthouseResults.length === 0) {
+    console.error("Analysis failed: Lighthouse did not produce results for any page");
+    return EXIT_ERROR;
+  }
+
+  const verdict = evaluateBudget(budget, results);
+  const criticalAlerts = results.alerts.filter((alert) => alert.type === "critical");
+  const passed = verdict.passed && criticalAlerts.length === 0;
+
+  if (values.json) {
+    console.log(JSON.stringify({ passed, verdict, results }, null, 2));
+  } else {
+    const thresholds = formatVerdict(verdict);
+    console.log(report.join("\n\n"));
+    if (thresholds) console.log(`\n${thresholds}`);
+    console.log(
+      passed ? "RESULT: PASSED" : `RESULT: FAILED (${criticalAlerts.length} critical alerts, ${verdict.violations.length} threshold violations)`
+    );
+  }
+
+  return passed ? EXIT_PASSED : EXIT_FAILED;
+}
+
+run(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = EXIT_ERROR;
+  });
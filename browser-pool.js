@@ -0,0 +1,327 @@
+import puppeteer from "puppeteer";
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+/**
+ * Shares a bounded set of Puppeteer browsers between the crawler, the API correlator
+ * and Lighthouse. Callers lease either a tab (acquirePage) or a whole browser
+ * (acquireBrowser). Whole-browser leases are exclusive so Lighthouse never measures a
+ * page while other tabs compete for the same renderer. Browsers are recycled after
+ * maxUsesPerBrowser leases (or after a single whole-browser lease taken with retire),
+ * health checked periodically and closed when idle.
+ * Waiting requests are served in FIFO order so exclusive leases cannot be starved.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxBrowsers = options.maxBrowsers || Number(process.env.BROWSER_POOL_MAX_BROWSERS) || 2;
+    this.maxTabsPerBrowser = options.maxTabsPerBrowser || Number(process.env.BROWSER_POOL_MAX_TABS) || 4;
+    this.maxUsesPerBrowser = options.maxUsesPerBrowser || 50;
+    this.idleTimeout = options.idleTimeout ?? 5 * 60 * 1000;
+    this.healthCheckInterval = options.healthCheckInterval ?? 60 * 1000;
+    this.launchOptions = options.launchOptions || {
+      args: ["--no-sandbox", "--disable-dev-shm-usage"],
+      headless: "new",
+    };
+
+    this.entries = new Set();
+    this.waiters = [];
+    this.closed = false;
+    this.healthTimer = null;
+  }
+
+  /**
+   * Leases a new tab in a shared browser
+   * @param {Object} options - { signal } rejects the wait when aborted, { isolated } opens the tab
+   *   in its own incognito context so cookies set on it never reach other leases
+   * @returns {Promise<Object>} - Lease with { page, browser, release() }
+   */
+  async acquirePage({ signal, isolated = false } = {}) {
+    const entry = await this.waitForEntry("page", signal);
+
+    try {
+      const context = isolated ? await entry.browser.createIncognitoBrowserContext() : null;
+      const page = await (context || entry.browser).newPage();
+      let released = false;
+      return {
+        page,
+        browser: entry.browser,
+        release: async () => {
+          if (released) return;
+          released = true;
+          if (entry.browser.isConnected()) await (context || page).close().catch(() => {});
+          this.releaseEntry(entry, "page");
+        },
+      };
+    } catch (error) {
+      this.releaseEntry(entry, "page");
+      throw error;
+    }
+  }
+
+  /**
+   * Leases a whole browser exclusively, e.g. for Lighthouse to drive over its debugging port
+   * @param {Object} options - { signal } rejects the wait when aborted
+   * @returns {Promise<Object>} - Lease with { browser, port, release(), destroy() }
+   */
+  async acquireBrowser({ signal } = {}) {
+    const entry = await this.waitForEntry("browser", signal);
+    let released = false;
+
+    return {
+      browser: entry.browser,
+      port: entry.port,
+      release: async () => {
+        if (released) return;
+        released = true;
+        this.releaseEntry(entry, "browser");
+      },
+      // Closes the browser instead of returning it, for aborting work that cannot be interrupted otherwise
+      destroy: async () => {
+        if (released) return;
+        released = true;
+        entry.retiring = true;
+        this.releaseEntry(entry, "browser");
+      },
+    };
+  }
+
+  /**
+   * Runs fn with a leased tab and always releases it. Aborting the signal closes the tab,
+   * which makes pending navigations and evaluations reject.
+   * @param {Function} fn - Receives the Puppeteer page
+   * @param {Object} options - { signal, isolated } as for acquirePage
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withPage(fn, { signal, isolated } = {}) {
+    const lease = await this.acquirePage({ signal, isolated });
+    const closeOnAbort = () => lease.page.close().catch(() => {});
+    signal?.addEventListener("abort", closeOnAbort, { once: true });
+
+    try {
+      return await fn(lease.page);
+    } finally {
+      signal?.removeEventListener("abort", closeOnAbort);
+      await lease.release();
+    }
+  }
+
+  /**
+   * Runs fn with an exclusive browser lease. Aborting the signal closes the browser.
+   * @param {Function} fn - Receives the lease ({ browser, port })
+   * @param {Object} options - { signal }, { retire } closes the browser afterwards instead of returning
+   *   it to the pool, so whatever fn left behind in it (cache, cookies, service workers) reaches no later lease
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withBrowser(fn, { signal, retire = false } = {}) {
+    const lease = await this.acquireBrowser({ signal });
+    const destroyOnAbort = () => lease.destroy();
+    signal?.addEventListener("abort", destroyOnAbort, { once: true });
+
+    try {
+      return await fn(lease);
+    } finally {
+      signal?.removeEventListener("abort", destroyOnAbort);
+      await (retire ? lease.destroy() : lease.release());
+    }
+  }
+
+  stats() {
+    const entries = Array.from(this.entries);
+    return {
+      browsers: entries.length,
+      maxBrowsers: this.maxBrowsers,
+      maxTabsPerBrowser: this.maxTabsPerBrowser,
+      activeTabs: entries.reduce((sum, entry) => sum + entry.activeTabs, 0),
+      exclusiveLeases: entries.filter((entry) => entry.exclusive).length,
+      waiting: this.waiters.length,
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    this.waiters.splice(0).forEach((waiter) => waiter.reject(new Error("Browser pool closed")));
+    await Promise.all(Array.from(this.entries).map((entry) => this.closeEntry(entry)));
+  }
+
+  waitForEntry(kind, signal) {
+    if (this.closed) return Promise.reject(new Error("Browser pool closed"));
+
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+      const waiter = { kind, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiters = this.waiters.filter((queued) => queued !== waiter);
+          reject(signal.reason);
+          this.dispatch();
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+      }
+
+      this.waiters.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const waiter = this.waiters[0];
+      const entry = this.findAvailableEntry(waiter.kind);
+
+      if (entry) {
+        this.waiters.shift();
+        this.reserveEntry(entry, waiter.kind);
+        this.settleWaiter(waiter, () => waiter.resolve(entry));
+      } else if (this.entries.size < this.maxBrowsers) {
+        this.waiters.shift();
+        this.launchEntry(waiter);
+      } else {
+        return;
+      }
+    }
+  }
+
+  findAvailableEntry(kind) {
+    const candidates = Array.from(this.entries).filter(
+      (entry) => entry.browser && !entry.retiring && !entry.exclusive && entry.browser.isConnected()
+    );
+
+    if (kind === "browser") return candidates.find((entry) => entry.activeTabs === 0) || null;
+
+    // Prefer the busiest browser with room so idle ones stay free for exclusive leases
+    return (
+      candidates
+        .filter((entry) => entry.activeTabs < this.maxTabsPerBrowser)
+        .sort((a, b) => b.activeTabs - a.activeTabs)[0] || null
+    );
+  }
+
+  reserveEntry(entry, kind) {
+    if (kind === "browser") entry.exclusive = true;
+    else entry.activeTabs++;
+    entry.uses++;
+    entry.lastUsedAt = Date.now();
+    if (entry.uses >= this.maxUsesPerBrowser) entry.retiring = true;
+  }
+
+  releaseEntry(entry, kind) {
+    if (kind === "browser") entry.exclusive = false;
+    else entry.activeTabs = Math.max(0, entry.activeTabs - 1);
+    entry.lastUsedAt = Date.now();
+
+    if (!entry.browser?.isConnected()) entry.retiring = true;
+    if (entry.retiring && entry.activeTabs === 0 && !entry.exclusive) {
+      this.closeEntry(entry).finally(() => this.dispatch());
+      return;
+    }
+    this.dispatch();
+  }
+
+  async launchEntry(waiter) {
+    const entry = {
+      browser: null,
+      port: null,
+      activeTabs: 0,
+      exclusive: false,
+      uses: 0,
+      retiring: false,
+      lastUsedAt: Date.now(),
+    };
+    this.entries.add(entry);
+    this.reserveEntry(entry, waiter.kind);
+    this.startHealthChecks();
+
+    try {
+      entry.browser = await puppeteer.launch(this.launchOptions);
+      entry.port = Number(new URL(entry.browser.wsEndpoint()).port);
+      entry.browser.on("disconnected", () => {
+        entry.retiring = true;
+        if (entry.activeTabs === 0 && !entry.exclusive) this.entries.delete(entry);
+      });
+
+      if (this.closed) throw new Error("Browser pool closed");
+      console.log(`Browser pool launched browser ${this.entries.size}/${this.maxBrowsers}`);
+      this.settleWaiter(waiter, () => waiter.resolve(entry), () => this.releaseEntry(entry, waiter.kind));
+    } catch (error) {
+      this.entries.delete(entry);
+      if (entry.browser) await entry.browser.close().catch(() => {});
+      this.settleWaiter(waiter, () => waiter.reject(error));
+      this.dispatch();
+    }
+  }
+
+  // Resolves a waiter unless it was aborted while its browser launched
+  settleWaiter(waiter, settle, onAborted = () => {}) {
+    waiter.signal?.removeEventListener("abort", waiter.onAbort);
+    if (waiter.signal?.aborted) {
+      waiter.reject(waiter.signal.reason);
+      onAborted();
+      return;
+    }
+    settle();
+  }
+
+  // Closes the browser now if idle, otherwise once its last lease is released
+  retireEntry(entry) {
+    entry.retiring = true;
+    if (entry.activeTabs === 0 && !entry.exclusive) this.closeEntry(entry);
+  }
+
+  async closeEntry(entry) {
+    this.entries.delete(entry);
+    if (entry.browser?.isConnected()) {
+      await entry.browser.close().catch((error) => console.error("Failed to close pooled browser:", error.message));
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.healthCheckInterval) return;
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Closes idle browsers that no longer respond or have been unused for idleTimeout
+   */
+  async checkHealth() {
+    const idleEntries = Array.from(this.entries).filter(
+      (entry) => entry.browser && entry.activeTabs === 0 && !entry.exclusive
+    );
+
+    await Promise.all(
+      idleEntries.map(async (entry) => {
+        if (Date.now() - entry.lastUsedAt > this.idleTimeout) {
+          this.retireEntry(entry);
+          return;
+        }
+
+        let timer;
+        try {
+          await Promise.race([
+            entry.browser.version(),
+            new Promise((resolve, reject) => {
+              timer = setTimeout(() => reject(new Error("Health check timed out")), HEALTH_CHECK_TIMEOUT);
+            }),
+          ]);
+        } catch (error) {
+          console.warn(`Recycling unhealthy pooled browser: ${error.message}`);
+          this.retireEntry(entry);
+        } finally {
+          clearTimeout(timer);
+        }
+      })
+    );
+
+    if (this.entries.size === 0) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.dispatch();
+  }
+}
+
+export { BrowserPool };
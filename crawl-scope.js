@@ -0,0 +1,120 @@
+import { compileUrlPattern, matchesUrlPattern } from "./url-patterns.js";
+
+// Tracking parameters that never change page content
+const DEFAULT_STRIP_QUERY_PARAMS = ["utm_*", "gclid", "fbclid", "msclkid", "mc_cid", "mc_eid", "_hsenc", "_hsmi"];
+
+// Links that end the session or download files instead of rendering a page
+const DEFAULT_EXCLUDE_PATTERNS = [
+  "regex:/(log-?out|sign-?out|log-?off)([/?#.]|$)",
+  "regex:\\.(pdf|zip|gz|tgz|rar|7z|exe|dmg|msi|pkg|apk|iso|docx?|xlsx?|pptx?|csv|mp3|mp4|mov|avi|wav)([?#]|$)",
+];
+
+const TRAILING_SLASH_MODES = ["strip", "add", "keep"];
+
+/**
+ * Validates the scoping options of an analysis request
+ * @param {Object} options - { includePatterns, excludePatterns, stripQueryParams, trailingSlash }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCrawlScopeOptions(options = {}) {
+  for (const key of ["includePatterns", "excludePatterns", "stripQueryParams"]) {
+    const value = options[key];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+      return `${key} must be an array of strings`;
+    }
+  }
+
+  for (const pattern of [...(options.includePatterns || []), ...(options.excludePatterns || [])]) {
+    try {
+      compileUrlPattern(pattern);
+    } catch (error) {
+      return `Invalid pattern "${pattern}": ${error.message}`;
+    }
+  }
+
+  if (options.trailingSlash !== undefined && !TRAILING_SLASH_MODES.includes(options.trailingSlash)) {
+    return `trailingSlash must be one of ${TRAILING_SLASH_MODES.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Decides which URLs a crawl visits and reduces equivalent URLs to one canonical form,
+ * so that maxPages is spent on distinct pages
+ */
+class CrawlScope {
+  constructor(options = {}) {
+    this.includePatterns = (options.includePatterns || []).map((pattern) => ({
+      source: pattern,
+      compiled: compileUrlPattern(pattern),
+    }));
+    this.excludePatterns = [
+      ...(options.useDefaultExcludes === false ? [] : DEFAULT_EXCLUDE_PATTERNS),
+      ...(options.excludePatterns || []),
+    ].map((pattern) => ({ source: pattern, compiled: compileUrlPattern(pattern) }));
+    this.stripQueryParams = (options.stripQueryParams || DEFAULT_STRIP_QUERY_PARAMS).map((pattern) =>
+      compileParamPattern(pattern)
+    );
+    this.trailingSlash = options.trailingSlash || "strip";
+  }
+
+  /**
+   * Canonicalizes a URL: drops fragments (keeping "#/" and "#!" hash routes), strips
+   * configured query parameters, sorts the rest and normalizes the trailing slash
+   * @param {string} url - Absolute URL
+   * @returns {string} - Normalized URL
+   */
+  normalize(url) {
+    const parsed = new URL(url);
+
+    if (!/^#!?\//.test(parsed.hash)) parsed.hash = "";
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !this.stripQueryParams.some((pattern) => pattern.test(name)))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname !== "/") {
+      const lastSegment = parsed.pathname.split("/").pop();
+      if (this.trailingSlash === "strip") {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+      } else if (this.trailingSlash === "add" && lastSegment && !lastSegment.includes(".")) {
+        // File-like paths such as /feed.xml keep their form
+        parsed.pathname = `${parsed.pathname}/`;
+      }
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Explains why a URL is out of scope
+   * @param {string} url - Normalized URL
+   * @returns {string|null} - Skip reason, or null when the URL may be crawled
+   */
+  getSkipReason(url) {
+    const excludedBy = this.excludePatterns.find((pattern) => matchesUrlPattern(url, pattern.compiled));
+    if (excludedBy) return `Excluded by pattern ${excludedBy.source}`;
+
+    if (
+      this.includePatterns.length > 0 &&
+      !this.includePatterns.some((pattern) => matchesUrlPattern(url, pattern.compiled))
+    ) {
+      return "Not matched by any include pattern";
+    }
+
+    return null;
+  }
+}
+
+function compileParamPattern(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+export { CrawlScope, validateCrawlScopeOptions, DEFAULT_STRIP_QUERY_PARAMS, DEFAULT_EXCLUDE_PATTERNS };
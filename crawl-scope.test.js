@@ -0,0 +1,84 @@
+import { CrawlScope, validateCrawlScopeOptions } from "./crawl-scope.js";
+
+describe("CrawlScope.normalize", () => {
+  const scope = new CrawlScope();
+
+  test.each([
+    ["https://shop.example.com/products/", "https://shop.example.com/products"],
+    ["https://shop.example.com/", "https://shop.example.com/"],
+    ["https://shop.example.com/products#reviews", "https://shop.example.com/products"],
+    ["https://shop.example.com/#/products", "https://shop.example.com/#/products"],
+    ["https://shop.example.com/#!/products", "https://shop.example.com/#!/products"],
+    ["https://shop.example.com/list?utm_source=mail&page=2&gclid=abc", "https://shop.example.com/list?page=2"],
+    ["https://shop.example.com/list?sort=price&page=2", "https://shop.example.com/list?page=2&sort=price"],
+  ])("%s -> %s", (url, normalized) => {
+    expect(scope.normalize(url)).toBe(normalized);
+  });
+
+  test("adds trailing slashes except to file-like paths", () => {
+    const adding = new CrawlScope({ trailingSlash: "add" });
+
+    expect(adding.normalize("https://shop.example.com/products")).toBe("https://shop.example.com/products/");
+    expect(adding.normalize("https://shop.example.com/feed.xml")).toBe("https://shop.example.com/feed.xml");
+  });
+
+  test("keeps trailing slashes and strips only the configured parameters", () => {
+    const keeping = new CrawlScope({ trailingSlash: "keep", stripQueryParams: ["session*"] });
+
+    expect(keeping.normalize("https://shop.example.com/products/?sessionId=1&utm_source=mail")).toBe(
+      "https://shop.example.com/products/?utm_source=mail"
+    );
+  });
+});
+
+describe("CrawlScope.getSkipReason", () => {
+  test("excludes logout links and file downloads by default", () => {
+    const scope = new CrawlScope();
+
+    expect(scope.getSkipReason("https://shop.example.com/account/logout")).toMatch(/^Excluded by pattern regex:/);
+    expect(scope.getSkipReason("https://shop.example.com/terms.pdf?v=2")).toMatch(/^Excluded by pattern regex:/);
+    expect(scope.getSkipReason("https://shop.example.com/sign-out?next=/")).toMatch(/^Excluded/);
+    expect(scope.getSkipReason("https://shop.example.com/blog/logouts-explained")).toBeNull();
+  });
+
+  test("can drop the default excludes", () => {
+    expect(new CrawlScope({ useDefaultExcludes: false }).getSkipReason("https://shop.example.com/logout")).toBeNull();
+  });
+
+  test("names the exclude pattern that matched", () => {
+    const scope = new CrawlScope({ excludePatterns: ["/admin/**"] });
+
+    expect(scope.getSkipReason("https://shop.example.com/admin/users/1")).toBe("Excluded by pattern /admin/**");
+  });
+
+  test("requires a match with one of the include patterns, with excludes taking precedence", () => {
+    const scope = new CrawlScope({
+      includePatterns: ["/products/*", "https://shop.example.com/"],
+      excludePatterns: ["/products/internal"],
+    });
+
+    expect(scope.getSkipReason("https://shop.example.com/products/shoes")).toBeNull();
+    expect(scope.getSkipReason("https://shop.example.com/")).toBeNull();
+    expect(scope.getSkipReason("https://shop.example.com/products/shoes/red")).toBe("Not matched by any include pattern");
+    expect(scope.getSkipReason("https://shop.example.com/products/internal")).toBe(
+      "Excluded by pattern /products/internal"
+    );
+  });
+});
+
+describe("validateCrawlScopeOptions", () => {
+  test("accepts valid options", () => {
+    expect(
+      validateCrawlScopeOptions({ includePatterns: ["/blog/**", "regex:^https://"], trailingSlash: "add" })
+    ).toBeNull();
+  });
+
+  test.each([
+    [{ includePatterns: "/blog/**" }, "includePatterns must be an array of strings"],
+    [{ stripQueryParams: [1] }, "stripQueryParams must be an array of strings"],
+    [{ excludePatterns: ["regex:["] }, expect.stringContaining('Invalid pattern "regex:["')],
+    [{ trailingSlash: "remove" }, "trailingSlash must be one of strip, add, keep"],
+  ])("rejects %j", (options, error) => {
+    expect(validateCrawlScopeOptions(options)).toEqual(error);
+  });
+});
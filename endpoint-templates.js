@@ -0,0 +1,165 @@
+import { hasGraphqlErrors } from "./graphql-operations.js";
+
+// Path segments that identify a record rather than a route: numeric IDs, UUIDs and hex hashes
+// (Mongo ObjectIds, MD5/SHA digests)
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^(?=.*\d)[0-9a-f]{16,}$/i,
+];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Validates user-defined route patterns such as "/api/users/:userId/orders/:orderId"
+ * @param {Array} patterns - Route patterns
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateRoutePatterns(patterns) {
+  if (patterns === undefined || patterns === null) return null;
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== "string")) {
+    return "routePatterns must be an array of strings";
+  }
+  const invalid = patterns.find((pattern) => !pattern.startsWith("/") || /\/:(\/|$)/.test(pattern));
+  return invalid !== undefined ? `Invalid route pattern "${invalid}": must start with "/" and name its parameters` : null;
+}
+
+/**
+ * Compiles route patterns for templatePath. ":name" matches one path segment and "*" the rest of the path;
+ * more specific patterns (more literal segments) win over generic ones.
+ * @param {Array} patterns - Validated route patterns
+ * @returns {Array} - Compiled patterns ({ template, regex })
+ */
+function compileRoutePatterns(patterns = []) {
+  return patterns
+    .map((template) => {
+      const segments = template.split("/").filter(Boolean);
+      const source = segments
+        .map((segment) => {
+          if (segment === "*") return "(?:/.*)?";
+          if (segment.startsWith(":")) return "/[^/]+";
+          return `/${segment.replace(/[.+?^${}()|[\]\\*]/g, "\\$&")}`;
+        })
+        .join("");
+      return {
+        template,
+        regex: new RegExp(`^${source || "/"}/?$`, "i"),
+        literalSegments: segments.filter((segment) => segment !== "*" && !segment.startsWith(":")).length,
+      };
+    })
+    .sort((a, b) => b.literalSegments - a.literalSegments);
+}
+
+/**
+ * Reduces a URL path to its route template: the first matching user pattern, or the path with
+ * ID-like segments replaced by ":id"
+ * @param {string} pathname - URL path
+ * @param {Array} routePatterns - Result of compileRoutePatterns
+ * @returns {string} - Route template, e.g. "/api/products/:id"
+ */
+function templatePath(pathname, routePatterns = []) {
+  const pattern = routePatterns.find(({ regex }) => regex.test(pathname));
+  if (pattern) return pattern.template;
+
+  return pathname
+    .split("/")
+    .map((segment) => (ID_SEGMENT_PATTERNS.some((idPattern) => idPattern.test(segment)) ? ":id" : segment))
+    .join("/");
+}
+
+/**
+ * Builds the key that groups an API call with the other calls to the same route. GraphQL calls share one URL,
+ * so they are grouped per operation instead, e.g. "/graphql (query GetProducts)"
+ * @param {Object} call - API call with url, method and graphql (see analyzeGraphqlCall)
+ * @param {Array} routePatterns - Result of compileRoutePatterns
+ * @returns {Object} - { key, method, host, template }
+ */
+function getEndpointTemplate(call, routePatterns = []) {
+  const method = call.method || "GET";
+  let host = "";
+  let template = call.url;
+  try {
+    const parsed = new URL(call.url);
+    host = parsed.host;
+    template = templatePath(parsed.pathname, routePatterns);
+  } catch {
+    // Keep the raw URL when it can't be parsed
+  }
+  if (call.graphql) template = `${template} (${call.graphql.label})`;
+  return { key: `${method} ${host}${template}`, method, host, template };
+}
+
+/**
+ * Aggregates API calls per route template. Accepts crawler calls (duration, responseSize) as well as
+ * Lighthouse and HAR calls (timeTaken, rawData.transferSize); calls without a measured timing count
+ * towards calls and errors but not towards the latency percentiles.
+ * @param {Array} apiCalls - API calls
+ * @param {Object} options - { routePatterns } user-defined route patterns (uncompiled)
+ * @returns {Array} - Per-template stats ({ key, method, host, template, count, measuredCount, p50, p90, p95, p99,
+ *   max, errorCount, errorRate, averagePayloadSize, sampleUrls }), slowest p95 first
+ */
+function aggregateEndpoints(apiCalls = [], { routePatterns = [] } = {}) {
+  const compiledPatterns = compileRoutePatterns(routePatterns);
+  const groups = new Map();
+
+  apiCalls.forEach((call) => {
+    const endpoint = getEndpointTemplate(call, compiledPatterns);
+    if (!groups.has(endpoint.key)) groups.set(endpoint.key, { ...endpoint, calls: [] });
+    groups.get(endpoint.key).calls.push(call);
+  });
+
+  return Array.from(groups.values())
+    .map(({ calls, ...endpoint }) => {
+      const durations = calls
+        .filter((call) => call.timingSource !== "unavailable")
+        .map((call) => call.duration ?? call.timeTaken)
+        .filter((duration) => typeof duration === "number")
+        .sort((a, b) => a - b);
+      const payloadSizes = calls.map(getPayloadSize).filter((size) => typeof size === "number");
+      const errorCount = calls.filter(isFailedCall).length;
+
+      return {
+        ...endpoint,
+        count: calls.length,
+        measuredCount: durations.length,
+        ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(durations, p)])),
+        max: durations.length ? durations[durations.length - 1] : null,
+        errorCount,
+        errorRate: Math.round((errorCount / calls.length) * 1000) / 1000,
+        averagePayloadSize: payloadSizes.length
+          ? Math.round(payloadSizes.reduce((sum, size) => sum + size, 0) / payloadSizes.length)
+          : null,
+        sampleUrls: Array.from(new Set(calls.map((call) => call.url))).slice(0, 3),
+      };
+    })
+    .sort((a, b) => (b.p95 ?? -1) - (a.p95 ?? -1) || b.count - a.count);
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  return sortedValues[Math.max(0, Math.ceil((p / 100) * sortedValues.length) - 1)];
+}
+
+function getPayloadSize(call) {
+  return call.responseSize ?? call.rawData?.transferSize;
+}
+
+/**
+ * Whether an API call failed: no response (blocked, aborted or never answered), an HTTP error status,
+ * or GraphQL errors reported with a 200
+ * @param {Object} call - API call from the crawler, Lighthouse or a HAR import
+ * @returns {boolean}
+ */
+function isFailedCall(call) {
+  return call.failed === true || call.status >= 400 || hasGraphqlErrors(call);
+}
+
+export {
+  validateRoutePatterns,
+  compileRoutePatterns,
+  templatePath,
+  getEndpointTemplate,
+  aggregateEndpoints,
+  isFailedCall,
+};
@@ -0,0 +1,121 @@
+import {
+  aggregateEndpoints,
+  compileRoutePatterns,
+  getEndpointTemplate,
+  templatePath,
+  validateRoutePatterns,
+} from "./endpoint-templates.js";
+
+describe("templatePath", () => {
+  test.each([
+    ["/api/products/123", "/api/products/:id"],
+    ["/api/users/42/orders/7", "/api/users/:id/orders/:id"],
+    ["/api/sessions/3f2504e0-4f89-11d3-9a0c-0305e82c3301", "/api/sessions/:id"],
+    ["/api/posts/507f1f77bcf86cd799439011", "/api/posts/:id"],
+    ["/api/v2/products", "/api/v2/products"],
+    ["/api/products/featured", "/api/products/featured"],
+    // Long words made of hex letters only are not hashes
+    ["/api/decadefacade", "/api/decadefacade"],
+  ])("%s -> %s", (pathname, template) => {
+    expect(templatePath(pathname)).toBe(template);
+  });
+
+  test("prefers the most specific matching route pattern", () => {
+    const patterns = compileRoutePatterns(["/api/products/:slug", "/api/products/:slug/reviews", "/api/*"]);
+
+    expect(templatePath("/api/products/red-shoes", patterns)).toBe("/api/products/:slug");
+    expect(templatePath("/api/products/red-shoes/reviews/", patterns)).toBe("/api/products/:slug/reviews");
+    expect(templatePath("/api/cart/items/3", patterns)).toBe("/api/*");
+    expect(templatePath("/checkout/42", patterns)).toBe("/checkout/:id");
+  });
+});
+
+describe("getEndpointTemplate", () => {
+  test("keys calls by method, host and template", () => {
+    expect(getEndpointTemplate({ url: "https://api.example.com/v1/orders/981?expand=items", method: "POST" })).toEqual({
+      key: "POST api.example.com/v1/orders/:id",
+      method: "POST",
+      host: "api.example.com",
+      template: "/v1/orders/:id",
+    });
+  });
+
+  test("groups GraphQL calls by operation and defaults to GET", () => {
+    const call = { url: "https://shop.example.com/graphql", graphql: { label: "query GetCart" } };
+
+    expect(getEndpointTemplate(call).key).toBe("GET shop.example.com/graphql (query GetCart)");
+  });
+
+  test("keeps URLs that cannot be parsed", () => {
+    expect(getEndpointTemplate({ url: "not a url", method: "GET" }).key).toBe("GET not a url");
+  });
+});
+
+describe("aggregateEndpoints", () => {
+  const call = (url, fields = {}) => ({ url, method: "GET", status: 200, ...fields });
+
+  test("computes nearest-rank percentiles over the measured calls of each template", () => {
+    const calls = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map((duration, index) =>
+      call(`https://shop.example.com/api/products/${index + 1}`, { duration, responseSize: 1000 + index })
+    );
+    calls.push(call("https://shop.example.com/api/products/11", { timeTaken: null, timingSource: "unavailable" }));
+
+    const [endpoint] = aggregateEndpoints(calls);
+
+    expect(endpoint).toMatchObject({
+      key: "GET shop.example.com/api/products/:id",
+      count: 11,
+      measuredCount: 10,
+      p50: 50,
+      p90: 90,
+      p95: 100,
+      p99: 100,
+      max: 100,
+      errorCount: 0,
+      averagePayloadSize: 1005,
+    });
+    expect(endpoint.sampleUrls).toHaveLength(3);
+  });
+
+  test("counts HTTP failures, failed requests and GraphQL errors", () => {
+    const [endpoint] = aggregateEndpoints([
+      call("https://shop.example.com/api/cart", { timeTaken: 100, status: 500 }),
+      call("https://shop.example.com/api/cart", { timeTaken: 100, status: 0, failed: true }),
+      call("https://shop.example.com/api/cart", { duration: 100, failed: true }),
+      call("https://shop.example.com/api/cart", { duration: 100, graphql: { label: "x", errors: ["Denied"] } }),
+      call("https://shop.example.com/api/cart", { duration: 100, rawData: { transferSize: 400 } }),
+    ]);
+
+    // The GraphQL call has its own template
+    expect(endpoint).toMatchObject({ count: 4, errorCount: 3, errorRate: 0.75, averagePayloadSize: 400 });
+  });
+
+  test("sorts the slowest p95 first and applies route patterns", () => {
+    const endpoints = aggregateEndpoints(
+      [
+        call("https://shop.example.com/api/products/shoes", { duration: 100 }),
+        call("https://shop.example.com/api/search", { duration: 900 }),
+        call("https://shop.example.com/api/unmeasured"),
+      ],
+      { routePatterns: ["/api/products/:slug"] }
+    );
+
+    expect(endpoints.map((endpoint) => [endpoint.template, endpoint.p95])).toEqual([
+      ["/api/search", 900],
+      ["/api/products/:slug", 100],
+      ["/api/unmeasured", null],
+    ]);
+  });
+});
+
+describe("validateRoutePatterns", () => {
+  test.each([
+    [undefined, null],
+    [["/api/users/:userId", "/api/*"], null],
+    ["/api/users/:userId", "routePatterns must be an array of strings"],
+    [["api/users"], 'Invalid route pattern "api/users": must start with "/" and name its parameters'],
+    [["/api/users/:/orders"], 'Invalid route pattern "/api/users/:/orders": must start with "/" and name its parameters'],
+  ])("%j -> %j", (patterns, error) => {
+    expect(validateRoutePatterns(patterns)).toBe(error);
+  });
+});
@@ -0,0 +1,136 @@
+const OPERATION_PATTERN = /(?:^|[\s}])(query|mutation|subscription)\b\s*([_A-Za-z]\w*)?/;
+
+/**
+ * Tells whether a request is a GraphQL call, by its URL or by the shape of its body
+ * @param {Object} request - { url, postData }
+ * @returns {boolean} - Whether the request carries GraphQL operations
+ */
+function isGraphqlRequest({ url, postData }) {
+  try {
+    if (/graphql/i.test(new URL(url).pathname)) return true;
+  } catch {
+    return false;
+  }
+  return parseGraphqlRequest({ url, postData }) !== null;
+}
+
+/**
+ * Reads the operations of a GraphQL request from its POST body (single or batched) or, for
+ * GET requests and persisted queries, from its query string
+ * @param {Object} request - { url, postData }
+ * @returns {Array|null} - Operations ({ operationName, operationType, persistedQueryHash }), or null when the
+ *   request is not GraphQL
+ */
+function parseGraphqlRequest({ url, postData }) {
+  let payloads = null;
+
+  if (postData) {
+    const body = parseJson(postData);
+    if (body && typeof body === "object") payloads = Array.isArray(body) ? body : [body];
+  } else {
+    try {
+      const params = new URL(url).searchParams;
+      if (params.has("query") || params.has("extensions")) {
+        payloads = [
+          {
+            query: params.get("query"),
+            operationName: params.get("operationName"),
+            extensions: parseJson(params.get("extensions")),
+          },
+        ];
+      }
+    } catch {
+      // Not an absolute URL
+    }
+  }
+
+  // A selection set tells a GraphQL document apart from search APIs that also take a "query" parameter
+  const operations = (payloads || [])
+    .filter(isGraphqlPayload)
+    .map(describeOperation);
+  return operations.length ? operations : null;
+}
+
+/**
+ * Collects the messages of a GraphQL response's errors array; GraphQL servers report failed
+ * operations with status 200
+ * @param {string} body - Response body
+ * @returns {Array|null} - Error messages (empty when the response has none), or null when the body is not GraphQL JSON
+ */
+function parseGraphqlErrors(body) {
+  const response = parseJson(body);
+  if (!response || typeof response !== "object") return null;
+
+  return (Array.isArray(response) ? response : [response])
+    .flatMap((result) => (Array.isArray(result?.errors) ? result.errors : []))
+    .map((error) => error?.message || String(error));
+}
+
+/**
+ * Builds the GraphQL details attached to an API call
+ * @param {Object} request - { url, postData }
+ * @param {string|null} responseBody - Response body, or null when it was not captured
+ * @returns {Object|null} - { operations, label, errors } (errors null when the body was not captured), or null when
+ *   the request is not GraphQL
+ */
+function analyzeGraphqlCall(request, responseBody = null) {
+  const operations = parseGraphqlRequest(request);
+  if (!operations) return null;
+  return {
+    operations,
+    label: getOperationLabel(operations),
+    errors: responseBody !== null ? parseGraphqlErrors(responseBody) : null,
+  };
+}
+
+/**
+ * Names a call's operations for display and grouping, e.g. "query GetProducts"
+ * @param {Array} operations - Result of parseGraphqlRequest
+ * @returns {string} - Operation label; batched operations are joined with ", "
+ */
+function getOperationLabel(operations) {
+  return operations
+    .map(({ operationType, operationName, persistedQueryHash }) => {
+      const name = operationName || (persistedQueryHash ? `persisted ${persistedQueryHash.slice(0, 12)}` : "anonymous");
+      return `${operationType} ${name}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Tells whether a GraphQL call's response reported errors
+ * @param {Object} call - API call
+ * @returns {boolean} - Whether the call has GraphQL errors
+ */
+function hasGraphqlErrors(call) {
+  return Boolean(call.graphql?.errors?.length);
+}
+
+function isGraphqlPayload(payload) {
+  if (!payload) return false;
+  return (typeof payload.query === "string" && payload.query.includes("{")) || Boolean(payload.extensions?.persistedQuery);
+}
+
+function describeOperation({ query, operationName, extensions }) {
+  // Comments and string literals could contain the keywords the pattern looks for
+  const document = typeof query === "string" ? query.replace(/#[^\n]*/g, "").replace(/"(?:\\.|[^"\\])*"/g, '""') : "";
+  const match = document.match(OPERATION_PATTERN);
+
+  return {
+    operationName: operationName || match?.[2] || null,
+    // Shorthand documents ("{ products { id } }") and hash-only persisted queries are queries unless stated
+    operationType: match?.[1] || "query",
+    persistedQueryHash: extensions?.persistedQuery?.sha256Hash || null,
+  };
+}
+
+function parseJson(text) {
+  if (typeof text !== "string") return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+export { isGraphqlRequest, parseGraphqlRequest, parseGraphqlErrors, analyzeGraphqlCall, hasGraphqlErrors };
@@ -0,0 +1,112 @@
+import {
+  analyzeGraphqlCall,
+  hasGraphqlErrors,
+  isGraphqlRequest,
+  parseGraphqlErrors,
+  parseGraphqlRequest,
+} from "./graphql-operations.js";
+
+const ENDPOINT = "https://shop.example.com/graphql";
+const post = (body) => ({ url: ENDPOINT, postData: JSON.stringify(body) });
+
+describe("parseGraphqlRequest", () => {
+  test("reads the operation type and name from the document", () => {
+    expect(parseGraphqlRequest(post({ query: "mutation AddToCart($id: ID!) { addToCart(id: $id) { id } }" }))).toEqual([
+      { operationName: "AddToCart", operationType: "mutation", persistedQueryHash: null },
+    ]);
+  });
+
+  test("prefers operationName and treats shorthand documents as anonymous queries", () => {
+    expect(parseGraphqlRequest(post({ query: "{ products { id } }" }))).toEqual([
+      { operationName: null, operationType: "query", persistedQueryHash: null },
+    ]);
+    expect(
+      parseGraphqlRequest(post({ query: "query A { a { id } } query B { b { id } }", operationName: "B" }))[0]
+    ).toMatchObject({ operationName: "B", operationType: "query" });
+  });
+
+  test("ignores keywords inside comments and string literals", () => {
+    const query = '# mutation Hidden\nquery Search { search(text: "mutation Fake") { id } }';
+
+    expect(parseGraphqlRequest(post({ query }))[0]).toMatchObject({ operationName: "Search", operationType: "query" });
+  });
+
+  test("reads batched operations", () => {
+    const operations = parseGraphqlRequest(
+      post([{ query: "query GetCart { cart { id } }" }, { query: "query GetUser { me { id } }" }])
+    );
+
+    expect(operations.map((operation) => operation.operationName)).toEqual(["GetCart", "GetUser"]);
+  });
+
+  test("reads GET requests and persisted queries from the query string", () => {
+    const extensions = JSON.stringify({ persistedQuery: { version: 1, sha256Hash: "abcdef0123456789abcdef" } });
+    const url = `${ENDPOINT}?operationName=GetProducts&extensions=${encodeURIComponent(extensions)}`;
+
+    expect(parseGraphqlRequest({ url })).toEqual([
+      { operationName: "GetProducts", operationType: "query", persistedQueryHash: "abcdef0123456789abcdef" },
+    ]);
+  });
+
+  test.each([
+    ["a search API with a query parameter", { url: "https://shop.example.com/api/search?query=shoes" }],
+    ["a JSON body without a selection set", post({ query: "shoes", page: 2 })],
+    ["a body that is not JSON", { url: ENDPOINT, postData: "query=shoes" }],
+    ["a relative URL", { url: "/graphql?query={a}" }],
+  ])("returns null for %s", (description, request) => {
+    expect(parseGraphqlRequest(request)).toBeNull();
+  });
+});
+
+describe("isGraphqlRequest", () => {
+  test("recognizes GraphQL by path or by body", () => {
+    expect(isGraphqlRequest({ url: "https://shop.example.com/api/GraphQL" })).toBe(true);
+    expect(isGraphqlRequest({ url: "https://shop.example.com/api", postData: '{"query":"{ me { id } }"}' })).toBe(true);
+    expect(isGraphqlRequest({ url: "https://shop.example.com/api/products" })).toBe(false);
+    expect(isGraphqlRequest({ url: "not a url" })).toBe(false);
+  });
+});
+
+describe("parseGraphqlErrors", () => {
+  test.each([
+    ['{"data":null,"errors":[{"message":"Not authorized"},{"message":"Gone"}]}', ["Not authorized", "Gone"]],
+    ['{"data":{"cart":{"id":1}}}', []],
+    ['[{"data":{}},{"errors":[{"message":"Timeout"}]}]', ["Timeout"]],
+    ['{"errors":["Plain string"]}', ["Plain string"]],
+    ["<html>Bad gateway</html>", null],
+    [null, null],
+  ])("%s -> %j", (body, errors) => {
+    expect(parseGraphqlErrors(body)).toEqual(errors);
+  });
+});
+
+describe("analyzeGraphqlCall", () => {
+  const request = post({ query: "query GetCart { cart { id } }" });
+
+  test("detects errors reported with a 200 response", () => {
+    const graphql = analyzeGraphqlCall(request, '{"data":null,"errors":[{"message":"Cart not found"}]}');
+
+    expect(graphql).toMatchObject({ label: "query GetCart", errors: ["Cart not found"] });
+    expect(hasGraphqlErrors({ status: 200, graphql })).toBe(true);
+  });
+
+  test("leaves errors unknown when the response body was not captured", () => {
+    const graphql = analyzeGraphqlCall(request);
+
+    expect(graphql.errors).toBeNull();
+    expect(hasGraphqlErrors({ status: 200, graphql })).toBe(false);
+  });
+
+  test("labels batched and persisted operations", () => {
+    const persisted = { extensions: { persistedQuery: { sha256Hash: "0123456789abcdef0123" } } };
+
+    expect(analyzeGraphqlCall(post([{ query: "mutation Pay { pay }" }, persisted])).label).toBe(
+      "mutation Pay, query persisted 0123456789ab"
+    );
+  });
+
+  test("returns null for other requests", () => {
+    expect(analyzeGraphqlCall({ url: "https://shop.example.com/api/products" }, "{}")).toBeNull();
+    expect(hasGraphqlErrors({ status: 200, graphql: null })).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+import { readFileSync } from "fs";
+import { collectRequests } from "./network-events.js";
+
+const HAR_VERSION = "1.2";
+const CREATOR_VERSION = JSON.parse(readFileSync(new URL("./package.json", import.meta.url), "utf8")).version;
+
+/**
+ * Builds a HAR 1.2 log from recorded DevTools protocol events. The events come either from
+ * a NetworkRecorder attached to a crawled page or from a Lighthouse devtools log.
+ * @param {Array} pages - [{ url, events: [{ method, params }], bodies: Map(requestId -> { body, base64Encoded }),
+ *   postData: Map(requestId -> string) }]
+ * @param {Object} options - { redactHeaders(headers) } masks credentials before headers are exported
+ * @returns {Object} - HAR document ({ log })
+ */
+function buildHar(pages, { redactHeaders = (headers) => headers } = {}) {
+  const harPages = [];
+  const entries = [];
+
+  pages.forEach((page, index) => {
+    const pageref = `page_${index + 1}`;
+    const pageEntries = buildPageEntries(page, { pageref, redactHeaders });
+    const pageStart = findPageStart(page.events);
+
+    harPages.push({
+      startedDateTime: pageStart ? toIsoTime(pageStart.wallTime) : pageEntries[0]?.startedDateTime || new Date(0).toISOString(),
+      id: pageref,
+      title: page.url,
+      pageTimings: buildPageTimings(page.events, pageStart),
+    });
+    entries.push(...pageEntries);
+  });
+
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: "Responsive Tracer", version: CREATOR_VERSION },
+      pages: harPages,
+      entries,
+    },
+  };
+}
+
+/**
+ * Narrows a HAR document to the page with the given URL or page id
+ * @param {Object} har - HAR document
+ * @param {string} page - Page URL (as recorded in the page title) or HAR page id
+ * @returns {Object|null} - HAR document with one page, or null when the page is unknown
+ */
+function filterHarByPage(har, page) {
+  const harPage = har.log.pages.find((candidate) => candidate.title === page || candidate.id === page);
+  if (!harPage) return null;
+
+  return {
+    log: {
+      ...har.log,
+      pages: [harPage],
+      entries: har.log.entries.filter((entry) => entry.pageref === harPage.id),
+    },
+  };
+}
+
+function buildPageEntries({ events, bodies = new Map(), postData = new Map() }, { pageref, redactHeaders }) {
+  return collectRequests(events).map((request) =>
+    buildEntry(request, {
+      pageref,
+      redactHeaders,
+      body: request.redirectURL ? null : bodies.get(request.requestId),
+      postData: postData.get(request.requestId),
+    })
+  );
+}
+
+function buildEntry(request, { pageref, redactHeaders, body, postData }) {
+  const { response } = request;
+  const requestHeaders = redactHeaders(request.extraRequestHeaders || response?.requestHeaders || request.request.headers);
+  const responseHeaders = response ? redactHeaders(request.extraResponseHeaders || response.headers) : {};
+  const httpVersion = formatHttpVersion(response?.protocol);
+  const timings = buildTimings(request);
+  const requestBody = request.request.postData ?? postData;
+
+  const entry = {
+    pageref,
+    startedDateTime: toIsoTime(request.wallTime),
+    time: Object.entries(timings)
+      .filter(([phase, value]) => phase !== "ssl" && value > 0)
+      .reduce((sum, [, value]) => sum + value, 0),
+    request: {
+      method: request.request.method,
+      url: request.request.url,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(requestHeaders),
+      queryString: Array.from(new URL(request.request.url).searchParams, ([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: requestBody ? Buffer.byteLength(requestBody) : 0,
+    },
+    response: {
+      status: response?.status || 0,
+      statusText: response?.statusText || request.error || "",
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(responseHeaders),
+      content: {
+        size: request.dataLength,
+        mimeType: response?.mimeType || "x-unknown",
+      },
+      redirectURL: request.redirectURL || "",
+      headersSize: -1,
+      bodySize: -1,
+      _transferSize: request.encodedDataLength,
+    },
+    cache: {},
+    timings,
+    _resourceType: request.resourceType?.toLowerCase() || "other",
+  };
+
+  if (requestBody) {
+    entry.request.postData = {
+      mimeType: findHeader(requestHeaders, "content-type") || "",
+      text: requestBody,
+    };
+  }
+  if (body) {
+    entry.response.content.text = body.body;
+    if (body.base64Encoded) entry.response.content.encoding = "base64";
+  }
+  if (response?.remoteIPAddress) entry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, "");
+  if (response?.connectionId) entry.connection = String(response.connectionId);
+  if (response?.fromDiskCache) entry.cache = { beforeRequest: null, afterRequest: { lastAccess: "", eTag: "", hitCount: 1 } };
+  if (request.error) entry._error = request.error;
+
+  return entry;
+}
+
+/**
+ * Converts Chrome's ResourceTiming (milliseconds relative to requestTime) into HAR phases;
+ * -1 marks phases that did not happen, such as DNS on a reused connection
+ */
+function buildTimings({ response, startTimestamp, endTimestamp }) {
+  const timing = response?.timing;
+  const totalTime = endTimestamp !== undefined ? Math.max(0, (endTimestamp - startTimestamp) * 1000) : 0;
+
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: round(totalTime), ssl: -1 };
+  }
+
+  const phase = (start, end) => (start >= 0 && end >= start ? round(end - start) : -1);
+  const queuedTime = Math.max(0, (timing.requestTime - startTimestamp) * 1000);
+  const firstPhaseStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find((value) => value >= 0) ?? 0;
+  const receiveEnd = endTimestamp !== undefined ? (endTimestamp - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+
+  return {
+    blocked: round(queuedTime + firstPhaseStart),
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    send: Math.max(0, phase(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, phase(timing.sendEnd, timing.receiveHeadersEnd)),
+    receive: round(Math.max(0, receiveEnd - timing.receiveHeadersEnd)),
+    ssl: phase(timing.sslStart, timing.sslEnd),
+  };
+}
+
+function findPageStart(events) {
+  return events.find(({ method, params }) => method === "Network.requestWillBeSent" && params.type === "Document")?.params;
+}
+
+function buildPageTimings(events, pageStart) {
+  const eventTime = (name) => {
+    const event = events.find(({ method }) => method === name);
+    return event && pageStart ? round((event.params.timestamp - pageStart.timestamp) * 1000) : -1;
+  };
+
+  return {
+    onContentLoad: eventTime("Page.domContentEventFired"),
+    onLoad: eventTime("Page.loadEventFired"),
+  };
+}
+
+function toHarHeaders(headers = {}) {
+  // Chrome joins repeated headers such as Set-Cookie with newlines
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((line) => ({ name, value: line }))
+  );
+}
+
+function findHeader(headers = {}, name) {
+  return Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+}
+
+function formatHttpVersion(protocol) {
+  if (!protocol) return "";
+  if (protocol === "h2") return "HTTP/2.0";
+  if (protocol === "h3" || protocol.startsWith("h3-")) return "HTTP/3";
+  return protocol.toUpperCase();
+}
+
+function toIsoTime(wallTime) {
+  return new Date(wallTime * 1000).toISOString();
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { buildHar, filterHarByPage };
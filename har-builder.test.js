@@ -0,0 +1,177 @@
+import { buildHar, filterHarByPage } from "./har-builder.js";
+
+const WALL_TIME = 1700000000;
+
+const requestWillBeSent = (requestId, url, timestamp, fields = {}) => ({
+  method: "Network.requestWillBeSent",
+  params: {
+    requestId,
+    type: "Document",
+    timestamp,
+    wallTime: WALL_TIME + (timestamp - 100),
+    request: { url, method: "GET", headers: { Accept: "*/*" } },
+    ...fields,
+  },
+});
+
+const documentEvents = [
+  requestWillBeSent("1", "https://shop.example.com/", 100),
+  {
+    method: "Network.responseReceived",
+    params: {
+      requestId: "1",
+      response: {
+        status: 200,
+        statusText: "OK",
+        headers: { "content-type": "text/html", "set-cookie": "a=1\nb=2" },
+        mimeType: "text/html",
+        protocol: "h2",
+        remoteIPAddress: "[2001:db8::1]",
+        connectionId: 7,
+        timing: {
+          requestTime: 100.01,
+          dnsStart: 0,
+          dnsEnd: 5,
+          connectStart: 5,
+          connectEnd: 25,
+          sslStart: 10,
+          sslEnd: 25,
+          sendStart: 25,
+          sendEnd: 26,
+          receiveHeadersEnd: 126,
+        },
+      },
+    },
+  },
+  { method: "Network.dataReceived", params: { requestId: "1", dataLength: 500, encodedDataLength: 300 } },
+  { method: "Network.loadingFinished", params: { requestId: "1", timestamp: 100.2, encodedDataLength: 450 } },
+  { method: "Page.domContentEventFired", params: { timestamp: 100.5 } },
+  { method: "Page.loadEventFired", params: { timestamp: 101 } },
+];
+
+const redirectEvents = [
+  requestWillBeSent("2", "http://shop.example.com/old.js", 100.3, { type: "Script" }),
+  requestWillBeSent("2", "https://shop.example.com/new.js", 100.35, {
+    type: "Script",
+    redirectResponse: { status: 301, statusText: "Moved Permanently", headers: { location: "/new.js" } },
+  }),
+  { method: "Network.loadingFailed", params: { requestId: "2", timestamp: 100.4, errorText: "net::ERR_ABORTED" } },
+];
+
+const apiEvents = [
+  requestWillBeSent("3", "https://shop.example.com/api/search?q=shoes&page=2", 100.6, {
+    type: "Fetch",
+    request: {
+      url: "https://shop.example.com/api/search?q=shoes&page=2",
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: "Bearer secret" },
+      postData: '{"filters":[]}',
+    },
+  }),
+  {
+    method: "Network.responseReceived",
+    params: { requestId: "3", response: { status: 200, headers: {}, mimeType: "application/json" } },
+  },
+  { method: "Network.loadingFinished", params: { requestId: "3", timestamp: 100.7 } },
+];
+
+const buildShopHar = (options) =>
+  buildHar(
+    [
+      {
+        url: "https://shop.example.com/",
+        events: [...documentEvents, ...redirectEvents, ...apiEvents],
+        bodies: new Map([["3", { body: "eyJyZXN1bHRzIjpbXX0=", base64Encoded: true }]]),
+      },
+      { url: "https://shop.example.com/cart", events: [requestWillBeSent("4", "https://shop.example.com/cart", 102)] },
+    ],
+    options
+  );
+
+describe("buildHar", () => {
+  test("creates one HAR page per recorded page with its load timings", () => {
+    const { log } = buildShopHar();
+
+    expect(log.version).toBe("1.2");
+    expect(log.creator.name).toBe("Responsive Tracer");
+    expect(log.pages).toEqual([
+      {
+        startedDateTime: new Date(WALL_TIME * 1000).toISOString(),
+        id: "page_1",
+        title: "https://shop.example.com/",
+        pageTimings: { onContentLoad: 500, onLoad: 1000 },
+      },
+      {
+        startedDateTime: new Date((WALL_TIME + 2) * 1000).toISOString(),
+        id: "page_2",
+        title: "https://shop.example.com/cart",
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+      },
+    ]);
+    expect(log.entries.map((entry) => [entry.pageref, entry.request.url])).toEqual([
+      ["page_1", "https://shop.example.com/"],
+      ["page_1", "http://shop.example.com/old.js"],
+      ["page_1", "https://shop.example.com/new.js"],
+      ["page_1", "https://shop.example.com/api/search?q=shoes&page=2"],
+      ["page_2", "https://shop.example.com/cart"],
+    ]);
+  });
+
+  test("converts Chrome's resource timing into HAR phases", () => {
+    const [document] = buildShopHar().log.entries;
+
+    expect(document.timings).toEqual({ blocked: 10, dns: 5, connect: 20, send: 1, wait: 100, receive: 64, ssl: 15 });
+    expect(document.time).toBe(200);
+    expect(document.response).toMatchObject({
+      status: 200,
+      httpVersion: "HTTP/2.0",
+      content: { size: 500, mimeType: "text/html" },
+      _transferSize: 450,
+    });
+    expect(document.response.headers).toEqual([
+      { name: "content-type", value: "text/html" },
+      { name: "set-cookie", value: "a=1" },
+      { name: "set-cookie", value: "b=2" },
+    ]);
+    expect(document.serverIPAddress).toBe("2001:db8::1");
+    expect(document.connection).toBe("7");
+  });
+
+  test("records redirect hops and failed requests", () => {
+    const [, redirect, failed] = buildShopHar().log.entries;
+
+    expect(redirect.response).toMatchObject({ status: 301, redirectURL: "https://shop.example.com/new.js" });
+    expect(failed.response).toMatchObject({ status: 0, statusText: "net::ERR_ABORTED" });
+    expect(failed._error).toBe("net::ERR_ABORTED");
+    expect(failed._resourceType).toBe("script");
+  });
+
+  test("exports request bodies, query strings and captured response bodies with redacted headers", () => {
+    const api = buildShopHar({
+      redactHeaders: (headers) => ({ ...headers, ...(headers.Authorization && { Authorization: "[redacted]" }) }),
+    }).log.entries[3];
+
+    expect(api.request.queryString).toEqual([
+      { name: "q", value: "shoes" },
+      { name: "page", value: "2" },
+    ]);
+    expect(api.request.postData).toEqual({ mimeType: "application/json", text: '{"filters":[]}' });
+    expect(api.request.bodySize).toBe(14);
+    expect(api.request.headers).toContainEqual({ name: "Authorization", value: "[redacted]" });
+    expect(api.response.content).toMatchObject({ text: "eyJyZXN1bHRzIjpbXX0=", encoding: "base64" });
+  });
+});
+
+describe("filterHarByPage", () => {
+  test.each(["https://shop.example.com/cart", "page_2"])("narrows the HAR to the page %s", (page) => {
+    const { log } = filterHarByPage(buildShopHar(), page);
+
+    expect(log.pages.map((harPage) => harPage.id)).toEqual(["page_2"]);
+    expect(log.entries.map((entry) => entry.request.url)).toEqual(["https://shop.example.com/cart"]);
+    expect(log.creator.name).toBe("Responsive Tracer");
+  });
+
+  test("returns null for an unknown page", () => {
+    expect(filterHarByPage(buildShopHar(), "https://shop.example.com/missing")).toBeNull();
+  });
+});
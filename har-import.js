@@ -0,0 +1,129 @@
+import { isApiRequest } from "./website-crawler.js";
+import { analyzeApiCallsData, compareByTimeTaken, formatBytes } from "./api-analyzer.js";
+import { analyzeGraphqlCall } from "./graphql-operations.js";
+import { generatePerformanceAlerts, formatAlertsForDisplay } from "./performance-alerts.js";
+
+/**
+ * Checks that an uploaded document is a HAR log
+ * @param {Object} har - Parsed HAR file
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateHar(har) {
+  if (!har || typeof har !== "object") return "har must be an object";
+  if (!har.log || typeof har.log !== "object") return "har.log is missing; is this a HAR file?";
+  if (!Array.isArray(har.log.entries)) return "har.log.entries must be an array";
+  if (har.log.entries.some((entry) => !entry?.request?.url || !entry.request.method)) {
+    return "Every HAR entry needs request.url and request.method";
+  }
+  if (har.log.entries.some((entry) => entry.request.headers !== undefined && !Array.isArray(entry.request.headers))) {
+    return "request.headers must be an array of { name, value } in every HAR entry";
+  }
+  return null;
+}
+
+/**
+ * Analyzes the API calls recorded in a HAR file with the same classification, analysis
+ * and alert rules as a live crawl, without launching a browser
+ * @param {Object} har - Validated HAR document
+ * @param {Object} options - { routePatterns } user-defined routes for the per-endpoint stats
+ * @returns {Object} - { source, apiCalls, analysis, alerts, alertsFormatted }
+ */
+function analyzeHar(har, { routePatterns = [] } = {}) {
+  const pageTitles = new Map((har.log.pages || []).map((page) => [page.id, page.title]));
+
+  const apiCalls = har.log.entries
+    .filter((entry) => isApiRequest(entry.request.url, getResourceType(entry)))
+    .map((entry) => formatHarEntry(entry, pageTitles))
+    .sort(compareByTimeTaken);
+
+  const analysis = analyzeApiCallsData(apiCalls, { routePatterns });
+  const alerts = generatePerformanceAlerts(null, { apiCalls, analysis });
+
+  console.log(`Analyzed HAR with ${har.log.entries.length} entries: ${apiCalls.length} API calls, ${alerts.length} alerts`);
+
+  return {
+    source: {
+      creator: har.log.creator ? `${har.log.creator.name} ${har.log.creator.version || ""}`.trim() : null,
+      pages: pageTitles.size,
+      entries: har.log.entries.length,
+    },
+    apiCalls,
+    analysis,
+    alerts,
+    alertsFormatted: formatAlertsForDisplay(alerts),
+  };
+}
+
+function getResourceType(entry) {
+  // Chrome exports _resourceType; other tools leave it out, so fall back to the XHR marker header
+  if (entry._resourceType) return entry._resourceType.toLowerCase();
+  const headers = Array.isArray(entry.request.headers) ? entry.request.headers : [];
+  const requestedWith = headers.find((header) => String(header?.name).toLowerCase() === "x-requested-with");
+  return requestedWith?.value === "XMLHttpRequest" ? "xhr" : "other";
+}
+
+function formatHarEntry(entry, pageTitles) {
+  const { request, response = {} } = entry;
+  const transferSize = getTransferSize(response);
+  // HAR requires time, but some exporters write -1 or leave it out when a request never completed
+  const measured = Number.isFinite(entry.time) && entry.time >= 0;
+  const timeTaken = measured ? Math.round(entry.time) : null;
+  const status = response.status || 0;
+
+  let endpoint;
+  try {
+    endpoint = new URL(request.url).pathname;
+  } catch {
+    endpoint = request.url;
+  }
+  const graphql = analyzeGraphqlCall({ url: request.url, postData: request.postData?.text }, getResponseText(response));
+  if (graphql) endpoint = `${endpoint} (${graphql.label})`;
+
+  return {
+    endpoint,
+    url: request.url,
+    method: request.method,
+    // HAR uses status 0 for requests that never got a response
+    status,
+    failed: status === 0,
+    timeTaken,
+    avgResponseTime: timeTaken,
+    maxTaken: timeTaken,
+    timingSource: measured ? "measured" : "unavailable",
+    payloadSize: formatBytes(transferSize),
+    errors: formatErrors(entry, status, graphql),
+    page: pageTitles.get(entry.pageref) || null,
+    startedDateTime: entry.startedDateTime,
+    timings: entry.timings || null,
+    graphql,
+    postData: request.postData?.text,
+    rawData: {
+      url: request.url,
+      transferSize,
+      resourceSize: response.content?.size ?? null,
+      mimeType: response.content?.mimeType || null,
+      resourceType: getResourceType(entry),
+    },
+  };
+}
+
+function formatErrors(entry, status, graphql) {
+  if (status >= 400) return `Error ${status}`;
+  if (status === 0) return entry.response?._error || entry._error || "No response";
+  if (graphql?.errors?.length) return `GraphQL: ${graphql.errors.join("; ")}`;
+  return "-";
+}
+
+function getResponseText(response) {
+  const content = response.content;
+  if (typeof content?.text !== "string") return null;
+  return content.encoding === "base64" ? Buffer.from(content.text, "base64").toString("utf8") : content.text;
+}
+
+function getTransferSize(response) {
+  if (response._transferSize > 0) return response._transferSize;
+  if (response.bodySize > 0) return response.bodySize + Math.max(response.headersSize || 0, 0);
+  return Math.max(response.content?.size || 0, 0);
+}
+
+export { validateHar, analyzeHar };
@@ -0,0 +1,141 @@
+import { jest } from "@jest/globals";
+import { analyzeHar, validateHar } from "./har-import.js";
+
+const entry = (url, { method = "GET", status = 200, time = 120, headers = [], ...fields } = {}) => ({
+  pageref: "page_1",
+  startedDateTime: "2024-05-01T10:00:00.000Z",
+  time,
+  request: { method, url, headers },
+  response: { status, content: { size: 2048, mimeType: "application/json" }, _transferSize: 512 },
+  ...fields,
+});
+
+const har = (entries) => ({
+  log: {
+    creator: { name: "WebInspector", version: "537.36" },
+    pages: [{ id: "page_1", title: "https://shop.example.com/" }],
+    entries,
+  },
+});
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("validateHar", () => {
+  test("accepts a HAR log", () => {
+    expect(validateHar(har([entry("https://shop.example.com/api/products")]))).toBeNull();
+  });
+
+  test("accepts entries without request headers", () => {
+    expect(validateHar(har([{ request: { method: "GET", url: "https://shop.example.com/api/cart" } }]))).toBeNull();
+  });
+
+  test.each([
+    ["a missing document", null, "har must be an object"],
+    ["a document without log", { entries: [] }, "har.log is missing; is this a HAR file?"],
+    ["entries that are not an array", { log: { entries: {} } }, "har.log.entries must be an array"],
+    [
+      "an entry without method",
+      har([{ request: { url: "https://shop.example.com/" } }]),
+      "Every HAR entry needs request.url and request.method",
+    ],
+    ["an empty entry", har([null]), "Every HAR entry needs request.url and request.method"],
+    [
+      "request headers given as an object",
+      har([entry("https://shop.example.com/api/products", { headers: { Accept: "application/json" } })]),
+      "request.headers must be an array of { name, value } in every HAR entry",
+    ],
+  ])("rejects %s", (description, document, error) => {
+    expect(validateHar(document)).toBe(error);
+  });
+});
+
+describe("analyzeHar", () => {
+  test("keeps the API calls, classified by resource type, URL or XHR header", () => {
+    const result = analyzeHar(
+      har([
+        entry("https://shop.example.com/api/products", { _resourceType: "Fetch" }),
+        entry("https://shop.example.com/search", { headers: [{ name: "X-Requested-With", value: "XMLHttpRequest" }] }),
+        entry("https://shop.example.com/v2/cart"),
+        entry("https://shop.example.com/app.js", { _resourceType: "script" }),
+        entry("https://shop.example.com/about"),
+      ])
+    );
+
+    expect(result.apiCalls.map((call) => call.url)).toEqual([
+      "https://shop.example.com/api/products",
+      "https://shop.example.com/search",
+      "https://shop.example.com/v2/cart",
+    ]);
+    expect(result.source).toEqual({ creator: "WebInspector 537.36", pages: 1, entries: 5 });
+    expect(result.apiCalls[0]).toMatchObject({
+      endpoint: "/api/products",
+      method: "GET",
+      status: 200,
+      timeTaken: 120,
+      timingSource: "measured",
+      payloadSize: "512B",
+      page: "https://shop.example.com/",
+      errors: "-",
+    });
+  });
+
+  test("marks calls without a usable time as unmeasured and failed calls by their error", () => {
+    const { apiCalls, analysis } = analyzeHar(
+      har([
+        entry("https://shop.example.com/api/slow", { time: 900 }),
+        entry("https://shop.example.com/api/aborted", { time: -1, status: 0, _error: "net::ERR_ABORTED" }),
+        entry("https://shop.example.com/api/broken", { status: 503 }),
+      ])
+    );
+    const byUrl = Object.fromEntries(apiCalls.map((call) => [call.url, call]));
+
+    expect(byUrl["https://shop.example.com/api/aborted"]).toMatchObject({
+      status: 0,
+      failed: true,
+      timeTaken: null,
+      timingSource: "unavailable",
+      errors: "net::ERR_ABORTED",
+    });
+    expect(byUrl["https://shop.example.com/api/broken"]).toMatchObject({ failed: false, errors: "Error 503" });
+    expect(analysis).toMatchObject({ totalApiCalls: 3, unmeasuredApiCalls: 1, averageResponseTime: 510 });
+    expect(analysis.slowestApis.map((call) => call.endpoint)).toEqual(["/api/slow"]);
+  });
+
+  test("counts requests that got no response as errors", () => {
+    const { analysis, alerts } = analyzeHar(
+      har([
+        entry("https://shop.example.com/api/products"),
+        entry("https://shop.example.com/api/blocked", { time: -1, status: 0, _error: "net::ERR_BLOCKED_BY_CLIENT" }),
+        entry("https://shop.example.com/api/broken", { status: 503 }),
+      ])
+    );
+
+    expect(analysis.errorProneApis).toEqual([
+      { endpoint: "/api/broken", method: "GET", status: 503, error: "Error 503" },
+      { endpoint: "/api/blocked", method: "GET", status: 0, error: "net::ERR_BLOCKED_BY_CLIENT" },
+    ]);
+    expect(analysis.endpoints.find((endpoint) => endpoint.template === "/api/blocked").errorCount).toBe(1);
+    expect(alerts).toContainEqual(expect.objectContaining({ metric: "API Error Rate", value: "66.7%" }));
+  });
+
+  test("labels GraphQL operations and reports errors sent with a 200", () => {
+    const graphqlEntry = entry("https://shop.example.com/graphql", {
+      method: "POST",
+      _resourceType: "fetch",
+    });
+    graphqlEntry.request.postData = { mimeType: "application/json", text: '{"query":"query GetCart { cart { id } }"}' };
+    graphqlEntry.response.content.text = Buffer.from('{"errors":[{"message":"Cart not found"}]}').toString("base64");
+    graphqlEntry.response.content.encoding = "base64";
+
+    const [call] = analyzeHar(har([graphqlEntry])).apiCalls;
+
+    expect(call.endpoint).toBe("/graphql (query GetCart)");
+    expect(call.errors).toBe("GraphQL: Cart not found");
+  });
+});
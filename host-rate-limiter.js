@@ -0,0 +1,67 @@
+import { setTimeout as sleep } from "timers/promises";
+
+const BACKOFF_BASE = 1000;
+const MAX_BACKOFF = 60000;
+
+/**
+ * Spaces out requests per host and backs off when a host answers 429 or 503.
+ * Slots are reserved synchronously, so concurrent callers queue up behind each other.
+ */
+class HostRateLimiter {
+  constructor(options = {}) {
+    const perSecond = options.requestsPerSecond || 2;
+    this.minInterval = Math.max(1000 / perSecond, options.minInterval || 0);
+    this.hosts = new Map();
+  }
+
+  hostState(url) {
+    const host = new URL(url).host;
+    if (!this.hosts.has(host)) this.hosts.set(host, { nextSlotAt: 0, failures: 0 });
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Waits until the next request slot for the URL's host
+   * @param {string} url - URL about to be requested
+   * @param {AbortSignal} signal - Aborts the wait
+   */
+  async wait(url, signal) {
+    const state = this.hostState(url);
+    const now = Date.now();
+    const slot = Math.max(now, state.nextSlotAt);
+    state.nextSlotAt = slot + this.minInterval;
+
+    if (slot > now) await sleep(slot - now, undefined, { signal: signal || undefined });
+  }
+
+  /**
+   * Pushes back the host's next slot after a 429/503, honouring Retry-After when present
+   * and doubling the delay on consecutive failures otherwise
+   * @param {string} url - URL that was throttled
+   * @param {string|undefined} retryAfter - Retry-After header value (seconds or HTTP date)
+   * @returns {number} - Delay applied in milliseconds
+   */
+  backOff(url, retryAfter) {
+    const state = this.hostState(url);
+    state.failures++;
+
+    const delay = Math.min(parseRetryAfter(retryAfter) ?? BACKOFF_BASE * 2 ** (state.failures - 1), MAX_BACKOFF);
+    state.nextSlotAt = Math.max(state.nextSlotAt, Date.now() + delay);
+    console.warn(`Backing off ${new URL(url).host} for ${delay}ms after a throttled response`);
+    return delay;
+  }
+
+  recordSuccess(url) {
+    this.hostState(url).failures = 0;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export { HostRateLimiter };
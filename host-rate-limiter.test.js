@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals";
+import { HostRateLimiter } from "./host-rate-limiter.js";
+
+const URL_A = "https://shop.example.com/products";
+const URL_B = "https://cdn.example.com/app.js";
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("HostRateLimiter.backOff", () => {
+  test("doubles the delay on consecutive throttled responses up to a minute", () => {
+    const limiter = new HostRateLimiter();
+
+    const delays = Array.from({ length: 8 }, () => limiter.backOff(URL_A));
+
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000]);
+  });
+
+  test("starts over after a successful request", () => {
+    const limiter = new HostRateLimiter();
+    limiter.backOff(URL_A);
+    limiter.backOff(URL_A);
+    limiter.recordSuccess(URL_A);
+
+    expect(limiter.backOff(URL_A)).toBe(1000);
+  });
+
+  test("honours Retry-After in seconds or as an HTTP date", () => {
+    const limiter = new HostRateLimiter();
+
+    expect(limiter.backOff(URL_A, "5")).toBe(5000);
+    expect(limiter.backOff(URL_A, "3600")).toBe(60000);
+
+    const delay = limiter.backOff(URL_A, new Date(Date.now() + 10000).toUTCString());
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+
+    // An unparseable value falls back to the exponential delay for the fourth failure
+    expect(limiter.backOff(URL_A, "soon")).toBe(8000);
+  });
+
+  test("only pushes back the throttled host", async () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 100 });
+    limiter.backOff(URL_A, "30");
+
+    const startedAt = Date.now();
+    await limiter.wait(URL_B);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(limiter.hostState(URL_A).nextSlotAt).toBeGreaterThanOrEqual(startedAt + 29000);
+  });
+
+  test("never moves a later slot forward", () => {
+    const limiter = new HostRateLimiter();
+    limiter.backOff(URL_A, "30");
+    const slot = limiter.hostState(URL_A).nextSlotAt;
+
+    limiter.backOff(URL_A, "1");
+
+    expect(limiter.hostState(URL_A).nextSlotAt).toBe(slot);
+  });
+});
+
+describe("HostRateLimiter.wait", () => {
+  test("spaces out requests to the same host", async () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 20 });
+    const startedAt = Date.now();
+
+    await Promise.all([limiter.wait(URL_A), limiter.wait(URL_A), limiter.wait(URL_A)]);
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+  });
+
+  test("rejects when the signal aborts the wait", async () => {
+    const limiter = new HostRateLimiter();
+    limiter.backOff(URL_A, "30");
+    const controller = new AbortController();
+
+    const waiting = limiter.wait(URL_A, controller.signal);
+    controller.abort();
+
+    await expect(waiting).rejects.toThrow(/abort/i);
+  });
+});
@@ -0,0 +1,14 @@
+// Tests for the server modules next to them in the repository root. They run as native ES modules
+// (see the test:server script) because the modules use import.meta, which the CRA Jest setup in
+// src/ cannot load.
+const config = {
+  testEnvironment: "node",
+  transform: {},
+  testMatch: ["<rootDir>/*.test.js"],
+  // Jest 27 does not read package "exports" maps
+  moduleNameMapper: {
+    "^puppeteer-core/internal/(.*)$": "<rootDir>/node_modules/puppeteer-core/lib/cjs/puppeteer/$1",
+  },
+};
+
+export default config;
@@ -0,0 +1,65 @@
+import { fork } from "child_process";
+import { fileURLToPath } from "url";
+
+const WORKER_PATH = fileURLToPath(new URL("./lighthouse-worker.js", import.meta.url));
+// Upper bound for one audit; Lighthouse's own load timeouts don't cover a worker that hangs
+const DEFAULT_AUDIT_TIMEOUT = 3 * 60 * 1000;
+
+/**
+ * Runs Lighthouse against a browser leased exclusively from the pool, in a separate
+ * worker process so several audits can run side by side without sharing state. The browser
+ * is retired after the audit, so no audit starts with another one's cache or storage.
+ * @param {string} url - The URL to audit
+ * @param {Object} flags - Lighthouse flags (the port is filled in from the lease)
+ * @param {Object} options - { browserPool } to lease from, { signal } aborts the audit,
+ *   { authSession } from prepareAuthSession to audit as a signed-in user, { includeDevtoolsLog } also returns
+ *   the protocol events recorded during the audit, { timeout } ms after which the worker is killed and the audit fails
+ * @returns {Promise<Object>} - Runner result with the Lighthouse report as lhr (and devtoolsLog when requested)
+ */
+function runLighthouse(
+  url,
+  flags,
+  { browserPool, signal, authSession = null, includeDevtoolsLog = false, timeout = DEFAULT_AUDIT_TIMEOUT } = {}
+) {
+  return browserPool.withBrowser(
+    (lease) =>
+      new Promise((resolve, reject) => {
+        const worker = fork(WORKER_PATH, { serialization: "advanced" });
+        let settled = false;
+
+        const settle = (callback) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", killOnAbort);
+          callback();
+        };
+        const killOnAbort = () => {
+          worker.kill();
+          settle(() => reject(signal.reason));
+        };
+        signal?.addEventListener("abort", killOnAbort, { once: true });
+        const timer = setTimeout(() => {
+          worker.kill();
+          settle(() => reject(new Error(`Lighthouse audit of ${url} timed out after ${timeout}ms`)));
+        }, timeout);
+
+        worker.once("message", (message) => {
+          settle(() =>
+            message.error
+              ? reject(new Error(message.error))
+              : resolve({ lhr: message.lhr, devtoolsLog: message.devtoolsLog })
+          );
+        });
+        worker.once("error", (error) => settle(() => reject(error)));
+        worker.once("exit", (code) => {
+          settle(() => reject(new Error(`Lighthouse worker exited with code ${code}`)));
+        });
+
+        worker.send({ url, flags: { ...flags, port: lease.port }, authSession, includeDevtoolsLog });
+      }),
+    { signal, retire: true }
+  );
+}
+
+export { runLighthouse };
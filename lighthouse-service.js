@@ -1,26 +1,50 @@
-import lighthouse from "lighthouse";
-import chromeLauncher from "chrome-launcher";
+import { BrowserPool } from "./browser-pool.js";
+import { runLighthouse } from "./lighthouse-runner.js";
+import { redactSessionHeaders } from "./auth-session.js";
+import { buildHar } from "./har-builder.js";
+import { buildWaterfall } from "./request-waterfall.js";
 import { formatMetricsForDisplay } from "./metrics-formatter.js";
-import { analyzeApiCalls } from "./api-analyzer.js";
+import { analyzeApiCalls, analyzeLighthouseApiCalls } from "./api-analyzer.js";
 import { generatePerformanceAlerts, formatAlertsForDisplay } from "./performance-alerts.js";
 
-async function analyzeSite(url, scenario = "overall") {
-  let chrome = null;
+/**
+ * Audits one page with Lighthouse and, for the api and overall scenarios, analyzes the API calls of the same run
+ * @param {string} url - The URL to analyze
+ * @param {string} scenario - overall, frontend or api
+ * @param {Object} options - Run options ({ signal }, { browserPool }, { authSession }, { captureHar } to return the
+ *   traffic as HAR, { separateApiRun } to read API calls from a second, lightly throttled Lighthouse run instead,
+ *   { routePatterns } to group API calls by user-defined routes)
+ * @returns {Object} - Scores, metrics, apiResults, waterfall, alerts and har when captured; apiAnalysisError when the
+ *   separate API run failed, in which case the page keeps its scores without apiResults
+ */
+async function analyzeSite(
+  url,
+  scenario = "overall",
+  { signal, browserPool, authSession, captureHar = false, separateApiRun = false, routePatterns = [] } = {}
+) {
+  // Standalone runs get a private pool that is closed when the analysis ends
+  const pool = browserPool || new BrowserPool({ maxBrowsers: 1 });
 
   try {
-    chrome = await chromeLauncher.launch({
-      chromeFlags: ["--headless", "--disable-gpu", "--no-sandbox"],
-    });
+    signal?.throwIfAborted();
 
     const options = {
       logLevel: "info",
       output: "json",
       onlyCategories: ["performance", "accessibility", "best-practices", "seo"],
-      port: chrome.port,
       emulatedFormFactor: "mobile",
     };
 
-    const runnerResult = await lighthouse(url, options);
+    const analyzesApis = scenario === "api" || scenario === "overall";
+    // The devtools log feeds the waterfall and carries the request methods and GraphQL bodies the
+    // network-requests audit leaves out
+    const runnerResult = await runLighthouse(url, options, {
+      browserPool: pool,
+      signal,
+      authSession,
+      includeDevtoolsLog: true,
+    });
+    signal?.throwIfAborted();
 
     const audits = runnerResult.lhr.audits;
     console.log("Lighthouse audits keys:", Object.keys(audits));
@@ -52,6 +76,8 @@ async function analyzeSite(url, scenario = "overall") {
         tbtRaw: audits["total-blocking-time"].numericValue,
         ttiRaw: audits["interactive"].numericValue,
         siRaw: audits["speed-index"].numericValue,
+        totalByteWeight: audits["total-byte-weight"]?.numericValue ?? null,
+        requestCount: audits["network-requests"]?.details?.items?.length ?? null,
       },
     };
 
@@ -60,9 +86,27 @@ async function analyzeSite(url, scenario = "overall") {
     console.log("Mobile friendliness metric:", metrics.mobileFriendliness);
 
     let apiResults = null;
-    if (scenario === "api" || scenario === "overall") {
+    let apiAnalysisError = null;
+    if (analyzesApis && separateApiRun) {
+      console.log("Analyzing API calls in a separate Lighthouse run...");
+      try {
+        apiResults = {
+          ...(await analyzeApiCalls(url, { signal, browserPool: pool, authSession, routePatterns })),
+          lighthouseRun: "separate",
+        };
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        // The optional run only adds API calls; the page audit above still stands
+        apiAnalysisError = error.message;
+      }
+      console.log("API analysis complete:", apiResults ? "Success" : "Failed");
+    } else if (analyzesApis) {
       console.log("Analyzing API calls...");
-      apiResults = await analyzeApiCalls(url);
+      // The page audit already recorded every request, so its API calls line up with the scores next to them
+      apiResults = {
+        ...analyzeLighthouseApiCalls(runnerResult.lhr, { routePatterns, devtoolsLog: runnerResult.devtoolsLog }),
+        lighthouseRun: "shared",
+      };
       console.log("API analysis complete:", apiResults ? "Success" : "Failed");
     }
 
@@ -78,16 +122,23 @@ async function analyzeSite(url, scenario = "overall") {
       ...metrics,
       ...formattedMetrics,
       apiResults,
+      apiAnalysisError,
+      // Every request of the run against FCP/LCP/TTI, with the critical chain and serially chained API calls
+      waterfall: buildWaterfall(runnerResult.devtoolsLog || [], runnerResult.lhr),
       alerts,
       alertsFormatted: formattedAlerts,
+      har: captureHar
+        ? buildHar([{ url, events: runnerResult.devtoolsLog || [] }], {
+            redactHeaders: (headers) => redactSessionHeaders(headers, authSession),
+          })
+        : undefined,
     };
   } catch (error) {
+    if (signal?.aborted) throw signal.reason;
     console.error("Lighthouse analysis failed:", error);
     throw error;
   } finally {
-    if (chrome) {
-      await chrome.kill();
-    }
+    if (!browserPool) await pool.close();
   }
 }
 
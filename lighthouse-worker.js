@@ -0,0 +1,28 @@
+import lighthouse from "lighthouse";
+import puppeteer from "puppeteer";
+import { applyAuthSession } from "./auth-session.js";
+
+// Runs a single Lighthouse audit in its own process. Lighthouse keeps global timing
+// state, so concurrent audits in one process would interfere with each other.
+process.once("message", async ({ url, flags, authSession, includeDevtoolsLog }) => {
+  let browser = null;
+  try {
+    // Signed-in audits run in a tab prepared like the crawler's, so the session headers only reach the
+    // analyzed origin; Lighthouse's extraHeaders flag would send them to every host
+    let page;
+    if (authSession) {
+      browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${flags.port}` });
+      page = await browser.newPage();
+      await applyAuthSession(page, authSession);
+    }
+
+    const runnerResult = await lighthouse(url, flags, undefined, page);
+    if (!runnerResult) throw new Error(`Lighthouse returned no result for ${url}`);
+    const devtoolsLog = includeDevtoolsLog ? runnerResult.artifacts.DevtoolsLog : undefined;
+    process.send({ lhr: runnerResult.lhr, devtoolsLog }, () => process.exit(0));
+  } catch (error) {
+    process.send({ error: error.message }, () => process.exit(1));
+  } finally {
+    browser?.disconnect();
+  }
+});
@@ -23,7 +23,9 @@ ${
     ? `
 API Performance Summary:
 • Total API Calls: ${apiResults.analysis.totalApiCalls}
-• Average Response Time: ${apiResults.analysis.averageResponseTime}ms
+• Average Response Time: ${formatDuration(apiResults.analysis.averageResponseTime)}${
+        apiResults.analysis.unmeasuredApiCalls ? ` (${apiResults.analysis.unmeasuredApiCalls} calls without timing)` : ""
+      }
 • Slow APIs: ${apiResults.analysis.slowestApis.length}
 • Error-Prone APIs: ${apiResults.analysis.errorProneApis.length}
 `
@@ -134,6 +136,10 @@ Check the 'alerts' property in the response for detailed alerts.
   };
 }
 
+function formatDuration(ms) {
+  return ms === null || ms === undefined ? "n/a" : `${ms} ms`;
+}
+
 function formatApiTable(apiCalls) {
   if (!apiCalls || apiCalls.length === 0) {
     return "No API calls detected.";
@@ -144,7 +150,7 @@ function formatApiTable(apiCalls) {
   const rows = apiCalls
     .map(
       (call) =>
-        `${call.endpoint}\t${call.method}\t${call.status}\t${call.timeTaken} ms\t${call.payloadSize}\t${call.errors}`
+        `${call.endpoint}\t${call.method}\t${call.status}\t${formatDuration(call.timeTaken)}\t${call.payloadSize}\t${call.errors}`
     )
     .join("\n");
 
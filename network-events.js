@@ -0,0 +1,121 @@
+/**
+ * Folds recorded DevTools Network events into one record per request hop, correlated by
+ * requestId. Redirects reuse the requestId, so each hop is finished when the next one starts.
+ * @param {Array} events - [{ method, params }] from a NetworkRecorder or a Lighthouse devtools log
+ * @returns {Array} - Request records ({ requestId, request, resourceType, initiator, wallTime, startTimestamp,
+ *   endTimestamp, response, redirectURL, dataLength, encodedDataLength, error, canceled }) in start order
+ */
+function collectRequests(events) {
+  const pending = new Map();
+  // ExtraInfo events can arrive before the event they belong to
+  const earlyExtraInfo = new Map();
+  const finished = [];
+
+  const finish = (request, endTimestamp, { error = null, canceled = false } = {}) => {
+    request.endTimestamp = endTimestamp;
+    request.error = error;
+    request.canceled = canceled;
+    finished.push(request);
+    pending.delete(request.requestId);
+  };
+
+  events.forEach(({ method, params }) => {
+    const request = pending.get(params.requestId);
+
+    switch (method) {
+      case "Network.requestWillBeSent":
+        if (request && params.redirectResponse) {
+          request.response = params.redirectResponse;
+          request.redirectURL = params.request.url;
+          finish(request, params.timestamp);
+        }
+        pending.set(params.requestId, {
+          requestId: params.requestId,
+          request: params.request,
+          resourceType: params.type,
+          initiator: params.initiator,
+          wallTime: params.wallTime,
+          startTimestamp: params.timestamp,
+          dataLength: 0,
+          encodedDataLength: 0,
+          ...earlyExtraInfo.get(params.requestId),
+        });
+        earlyExtraInfo.delete(params.requestId);
+        break;
+      case "Network.requestWillBeSentExtraInfo":
+      case "Network.responseReceivedExtraInfo": {
+        // Raw headers include cookies and are what actually went on the wire
+        const key = method === "Network.requestWillBeSentExtraInfo" ? "extraRequestHeaders" : "extraResponseHeaders";
+        if (request) request[key] = params.headers;
+        else earlyExtraInfo.set(params.requestId, { ...earlyExtraInfo.get(params.requestId), [key]: params.headers });
+        break;
+      }
+      case "Network.responseReceived":
+        if (request) request.response = params.response;
+        break;
+      case "Network.dataReceived":
+        if (request) {
+          request.dataLength += params.dataLength;
+          request.encodedDataLength += params.encodedDataLength;
+        }
+        break;
+      case "Network.loadingFinished":
+        if (request) {
+          // The final count includes response headers, which dataReceived leaves out
+          if (params.encodedDataLength) request.encodedDataLength = params.encodedDataLength;
+          finish(request, params.timestamp);
+        }
+        break;
+      case "Network.loadingFailed":
+        if (request) {
+          finish(request, params.timestamp, {
+            error: params.blockedReason ? `blocked:${params.blockedReason}` : params.errorText,
+            canceled: Boolean(params.canceled),
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Requests still open when recording stopped have no end time
+  pending.forEach((request) => finished.push(request));
+
+  return finished
+    .filter((request) => /^https?:/.test(request.request.url))
+    .sort((a, b) => a.startTimestamp - b.startTimestamp);
+}
+
+/**
+ * Splits a request's duration into phases from Chrome's ResourceTiming
+ * @param {Object} request - Record from collectRequests
+ * @returns {Object} - { queued, dns, connect, tls, ttfb, download } in ms; null for phases that did not
+ *   happen (e.g. DNS on a reused connection) or could not be measured
+ */
+function getTimingPhases({ response, startTimestamp, endTimestamp }) {
+  const timing = response?.timing;
+  if (!timing) {
+    return { queued: null, dns: null, connect: null, tls: null, ttfb: null, download: null };
+  }
+
+  const phase = (start, end) => (start >= 0 && end >= start ? round(end - start) : null);
+  return {
+    queued: round(Math.max(0, (timing.requestTime - startTimestamp) * 1000)),
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    // Connect covers TCP and TLS; tls is reported separately as well
+    connect: phase(timing.connectStart, timing.connectEnd),
+    tls: phase(timing.sslStart, timing.sslEnd),
+    ttfb: phase(timing.sendStart, timing.receiveHeadersEnd),
+    download:
+      endTimestamp !== undefined
+        ? round(Math.max(0, (endTimestamp - timing.requestTime) * 1000 - timing.receiveHeadersEnd))
+        : null,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { collectRequests, getTimingPhases };
@@ -0,0 +1,98 @@
+// DevTools protocol events needed to rebuild a page's traffic as HAR
+const RECORDED_EVENTS = [
+  "Network.requestWillBeSent",
+  "Network.requestWillBeSentExtraInfo",
+  "Network.responseReceived",
+  "Network.responseReceivedExtraInfo",
+  "Network.dataReceived",
+  "Network.loadingFinished",
+  "Network.loadingFailed",
+  "Page.domContentEventFired",
+  "Page.loadEventFired",
+];
+
+// Bodies of binary resources (images, fonts, media) are left out even when bodies are captured
+const TEXT_MIME_PATTERN = /json|text|xml|javascript|graphql|x-www-form-urlencoded/i;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Records a page's network traffic over its own DevTools session, optionally with bodies.
+ * network-events.js reads the recording back as requests; har-builder.js turns it into HAR.
+ * { captureBodiesFor(request) } records bodies of matching requests only, e.g. to read GraphQL errors
+ * without keeping every body of the page.
+ */
+class NetworkRecorder {
+  constructor(options = {}) {
+    this.includeBodies = Boolean(options.includeBodies);
+    this.captureBodiesFor = options.captureBodiesFor || (() => false);
+    this.bodyRequestIds = new Set();
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    this.client = null;
+    this.events = [];
+    this.mimeTypes = new Map();
+    this.bodies = new Map();
+    this.postData = new Map();
+    this.pendingBodies = [];
+  }
+
+  /**
+   * Starts recording; call before the page navigates
+   * @param {Object} page - Puppeteer page
+   */
+  async start(page) {
+    this.client = await page.target().createCDPSession();
+    RECORDED_EVENTS.forEach((method) => {
+      this.client.on(method, (params) => this.handleEvent(method, params));
+    });
+    await this.client.send("Network.enable");
+    await this.client.send("Page.enable");
+  }
+
+  handleEvent(method, params) {
+    this.events.push({ method, params });
+    if (method === "Network.requestWillBeSent" && (this.includeBodies || this.captureBodiesFor(params.request))) {
+      this.bodyRequestIds.add(params.requestId);
+    }
+    if (!this.bodyRequestIds.has(params.requestId)) return;
+
+    if (method === "Network.requestWillBeSent" && params.request.hasPostData && params.request.postData === undefined) {
+      // Large request bodies are not inlined in the event
+      this.capture(
+        this.client.send("Network.getRequestPostData", { requestId: params.requestId }),
+        ({ postData }) => this.postData.set(params.requestId, postData)
+      );
+    } else if (method === "Network.responseReceived") {
+      this.mimeTypes.set(params.requestId, params.response.mimeType);
+    } else if (
+      method === "Network.loadingFinished" &&
+      TEXT_MIME_PATTERN.test(this.mimeTypes.get(params.requestId) || "") &&
+      params.encodedDataLength <= this.maxBodySize
+    ) {
+      this.capture(
+        this.client.send("Network.getResponseBody", { requestId: params.requestId }),
+        (body) => this.bodies.set(params.requestId, body)
+      );
+    }
+  }
+
+  capture(request, onResult) {
+    // Bodies of requests that were evicted or aborted are simply missing from the HAR
+    this.pendingBodies.push(request.then(onResult, () => {}));
+  }
+
+  /**
+   * Stops recording and returns what was captured
+   * @returns {Promise<Object>} - { events, bodies, postData } as expected by buildHar
+   */
+  async stop() {
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      await Promise.all(this.pendingBodies);
+      await client.detach().catch(() => {});
+    }
+    return { events: this.events, bodies: this.bodies, postData: this.postData };
+  }
+}
+
+export { NetworkRecorder };
@@ -1,3 +1,6 @@
+import { aggregateEndpoints, isFailedCall } from "./endpoint-templates.js";
+import { detectRedundantCalls } from "./api-redundancy.js";
+
 /**
  * Generates performance alerts based on Lighthouse results and API analysis
  * @param {Object} lighthouseResults - Raw Lighthouse results
@@ -21,13 +24,6 @@ function generatePerformanceAlerts(lighthouseResults, apiResults = null) {
     seo: { warning: 0.7, critical: 0.5 }, // 0-1 score
   };
 
-  // API Thresholds
-  const apiThresholds = {
-    responseTime: { warning: 500, critical: 1000 }, // ms
-    errorRate: { warning: 0.05, critical: 0.1 }, // 5% and 10%
-    payloadSize: { warning: 1024 * 1024, critical: 5 * 1024 * 1024 }, // 1MB and 5MB
-  };
-
   // Check Core Web Vitals
   if (lighthouseResults) {
     // Extract raw values for comparison
@@ -234,111 +230,281 @@ function generatePerformanceAlerts(lighthouseResults, apiResults = null) {
     }
   }
 
-  // Check API performance
-  if (apiResults && apiResults.apiCalls && apiResults.apiCalls.length > 0) {
-    // Check for slow API calls
-    const slowApiCalls = apiResults.apiCalls.filter(call => call.timeTaken >= apiThresholds.responseTime.critical);
-    if (slowApiCalls.length > 0) {
+  alerts.push(...generateApiAlerts(apiResults));
+
+  return alerts;
+}
+
+/**
+ * Generates the API Performance, Reliability, Efficiency and Redundancy alerts for a set of API calls
+ * @param {Object|null} apiResults - { apiCalls, analysis } from Lighthouse, a crawl or a HAR import; analysis may
+ *   carry precomputed endpoints and redundancy
+ * @returns {Array} - Array of alert objects
+ */
+function generateApiAlerts(apiResults) {
+  if (!apiResults?.apiCalls?.length) return [];
+
+  const alerts = [];
+
+  // API Thresholds
+  const apiThresholds = {
+    responseTime: { warning: 500, critical: 1000 }, // ms
+    errorRate: { warning: 0.05, critical: 0.1 }, // 5% and 10%
+    payloadSize: { warning: 1024 * 1024, critical: 5 * 1024 * 1024 }, // 1MB and 5MB
+  };
+
+  // Latency is judged per route template (GET /api/products/:id) at p95, so one slow outlier among
+  // many calls does not flag an endpoint while a consistently slow one is reported once
+  const endpoints = apiResults.analysis?.endpoints || aggregateEndpoints(apiResults.apiCalls);
+  const formatEndpointLatency = endpoint =>
+    `${endpoint.method} ${endpoint.template}: p95 ${endpoint.p95}ms, max ${endpoint.max}ms over ${endpoint.measuredCount} calls`;
+
+  // Check for slow API endpoints; calls without a recorded timing can be neither slow nor fast
+  const slowEndpoints = endpoints.filter(endpoint => endpoint.p95 >= apiThresholds.responseTime.critical);
+  if (slowEndpoints.length > 0) {
+    alerts.push({
+      type: 'critical',
+      category: 'API Performance',
+      metric: 'Slow API Endpoints',
+      value: `${slowEndpoints.length} endpoints`,
+      threshold: `p95 ${apiThresholds.responseTime.critical}ms`,
+      message: `${slowEndpoints.length} API endpoints are critically slow`,
+      recommendation: 'Optimize server response time, implement caching, and consider API endpoint consolidation.',
+      details: slowEndpoints.map(formatEndpointLatency)
+    });
+  } else {
+    const warningEndpoints = endpoints.filter(endpoint =>
+      endpoint.p95 >= apiThresholds.responseTime.warning &&
+      endpoint.p95 < apiThresholds.responseTime.critical
+    );
+    if (warningEndpoints.length > 0) {
       alerts.push({
-        type: 'critical',
+        type: 'warning',
         category: 'API Performance',
-        metric: 'Slow API Calls',
-        value: `${slowApiCalls.length} calls`,
-        threshold: `${apiThresholds.responseTime.critical}ms`,
-        message: `${slowApiCalls.length} API calls are critically slow`,
-        recommendation: 'Optimize server response time, implement caching, and consider API endpoint consolidation.',
-        details: slowApiCalls.map(call => `${call.method} ${call.endpoint}: ${call.timeTaken}ms`)
+        metric: 'Slow API Endpoints',
+        value: `${warningEndpoints.length} endpoints`,
+        threshold: `p95 ${apiThresholds.responseTime.warning}ms`,
+        message: `${warningEndpoints.length} API endpoints are slow`,
+        recommendation: 'Consider optimizing server response time and implementing caching.',
+        details: warningEndpoints.map(formatEndpointLatency)
       });
-    } else {
-      const warningApiCalls = apiResults.apiCalls.filter(call =>
-        call.timeTaken >= apiThresholds.responseTime.warning &&
-        call.timeTaken < apiThresholds.responseTime.critical
-      );
-      if (warningApiCalls.length > 0) {
-        alerts.push({
-          type: 'warning',
-          category: 'API Performance',
-          metric: 'Slow API Calls',
-          value: `${warningApiCalls.length} calls`,
-          threshold: `${apiThresholds.responseTime.warning}ms`,
-          message: `${warningApiCalls.length} API calls are slow`,
-          recommendation: 'Consider optimizing server response time and implementing caching.',
-          details: warningApiCalls.map(call => `${call.method} ${call.endpoint}: ${call.timeTaken}ms`)
-        });
-      }
     }
+  }
 
-    // Check for error-prone API calls
-    const errorApiCalls = apiResults.apiCalls.filter(call => call.status >= 400);
-    if (errorApiCalls.length > 0) {
-      const errorRate = errorApiCalls.length / apiResults.apiCalls.length;
+  // Check for error-prone API calls
+  // Includes calls that got no response and GraphQL operations that failed with a 200
+  const errorApiCalls = apiResults.apiCalls.filter(isFailedCall);
+  if (errorApiCalls.length > 0) {
+    const errorRate = errorApiCalls.length / apiResults.apiCalls.length;
 
-      if (errorRate >= apiThresholds.errorRate.critical) {
-        alerts.push({
-          type: 'critical',
-          category: 'API Reliability',
-          metric: 'API Error Rate',
-          value: `${(errorRate * 100).toFixed(1)}%`,
-          threshold: `${(apiThresholds.errorRate.critical * 100).toFixed(1)}%`,
-          message: 'API error rate is critically high',
-          recommendation: 'Investigate and fix failing API endpoints. Consider implementing retry logic and error handling.',
-          details: errorApiCalls.map(call => `${call.method} ${call.endpoint}: ${call.status}`)
-        });
-      } else if (errorRate >= apiThresholds.errorRate.warning) {
-        alerts.push({
-          type: 'warning',
-          category: 'API Reliability',
-          metric: 'API Error Rate',
-          value: `${(errorRate * 100).toFixed(1)}%`,
-          threshold: `${(apiThresholds.errorRate.warning * 100).toFixed(1)}%`,
-          message: 'API error rate is high',
-          recommendation: 'Review failing API endpoints and implement proper error handling.',
-          details: errorApiCalls.map(call => `${call.method} ${call.endpoint}: ${call.status}`)
-        });
-      }
+    if (errorRate >= apiThresholds.errorRate.critical) {
+      alerts.push({
+        type: 'critical',
+        category: 'API Reliability',
+        metric: 'API Error Rate',
+        value: `${(errorRate * 100).toFixed(1)}%`,
+        threshold: `${(apiThresholds.errorRate.critical * 100).toFixed(1)}%`,
+        message: 'API error rate is critically high',
+        recommendation: 'Investigate and fix failing API endpoints. Consider implementing retry logic and error handling.',
+        details: formatEndpointErrors(endpoints)
+      });
+    } else if (errorRate >= apiThresholds.errorRate.warning) {
+      alerts.push({
+        type: 'warning',
+        category: 'API Reliability',
+        metric: 'API Error Rate',
+        value: `${(errorRate * 100).toFixed(1)}%`,
+        threshold: `${(apiThresholds.errorRate.warning * 100).toFixed(1)}%`,
+        message: 'API error rate is high',
+        recommendation: 'Review failing API endpoints and implement proper error handling.',
+        details: formatEndpointErrors(endpoints)
+      });
     }
+  }
 
-    // Check for large payload sizes
-    const largePayloadCalls = apiResults.apiCalls.filter(call => {
-      const size = call.rawData?.transferSize || 0;
-      return size >= apiThresholds.payloadSize.critical;
+  // Check for large payload sizes
+  const largePayloadCalls = apiResults.apiCalls.filter(call => {
+    const size = getTransferSize(call);
+    return size >= apiThresholds.payloadSize.critical;
+  });
+
+  if (largePayloadCalls.length > 0) {
+    alerts.push({
+      type: 'critical',
+      category: 'API Efficiency',
+      metric: 'Large API Payloads',
+      value: `${largePayloadCalls.length} calls`,
+      threshold: `${formatBytes(apiThresholds.payloadSize.critical)}`,
+      message: `${largePayloadCalls.length} API calls have excessively large payloads`,
+      recommendation: 'Implement pagination, reduce payload size, use compression, and consider GraphQL for selective data fetching.',
+      details: largePayloadCalls.map(formatPayloadCall)
+    });
+  } else {
+    const warningPayloadCalls = apiResults.apiCalls.filter(call => {
+      const size = getTransferSize(call);
+      return size >= apiThresholds.payloadSize.warning && size < apiThresholds.payloadSize.critical;
     });
 
-    if (largePayloadCalls.length > 0) {
+    if (warningPayloadCalls.length > 0) {
       alerts.push({
-        type: 'critical',
+        type: 'warning',
         category: 'API Efficiency',
         metric: 'Large API Payloads',
-        value: `${largePayloadCalls.length} calls`,
-        threshold: `${formatBytes(apiThresholds.payloadSize.critical)}`,
-        message: `${largePayloadCalls.length} API calls have excessively large payloads`,
-        recommendation: 'Implement pagination, reduce payload size, use compression, and consider GraphQL for selective data fetching.',
-        details: largePayloadCalls.map(call => `${call.method} ${call.endpoint}: ${call.payloadSize}`)
+        value: `${warningPayloadCalls.length} calls`,
+        threshold: `${formatBytes(apiThresholds.payloadSize.warning)}`,
+        message: `${warningPayloadCalls.length} API calls have large payloads`,
+        recommendation: 'Consider implementing pagination and reducing payload size.',
+        details: warningPayloadCalls.map(formatPayloadCall)
       });
-    } else {
-      const warningPayloadCalls = apiResults.apiCalls.filter(call => {
-        const size = call.rawData?.transferSize || 0;
-        return size >= apiThresholds.payloadSize.warning && size < apiThresholds.payloadSize.critical;
-      });
-
-      if (warningPayloadCalls.length > 0) {
-        alerts.push({
-          type: 'warning',
-          category: 'API Efficiency',
-          metric: 'Large API Payloads',
-          value: `${warningPayloadCalls.length} calls`,
-          threshold: `${formatBytes(apiThresholds.payloadSize.warning)}`,
-          message: `${warningPayloadCalls.length} API calls have large payloads`,
-          recommendation: 'Consider implementing pagination and reducing payload size.',
-          details: warningPayloadCalls.map(call => `${call.method} ${call.endpoint}: ${call.payloadSize}`)
-        });
-      }
     }
   }
 
+  alerts.push(
+    ...generateRedundancyAlerts(apiResults.analysis?.redundancy || detectRedundantCalls(apiResults.apiCalls))
+  );
+
+  return alerts;
+}
+
+// Wasted time across all findings of one kind at which redundant calls become critical
+const REDUNDANCY_CRITICAL_WASTE_MS = 1000;
+
+const REDUNDANCY_RULES = {
+  'duplicate': {
+    metric: 'Duplicate API Calls',
+    threshold: '1 request per resource',
+    message: count => `${count} API requests are sent more than once per page`,
+    recommendation: 'Deduplicate identical requests with a shared client cache or request deduplication (e.g. SWR, React Query).',
+  },
+  'n-plus-one': {
+    metric: 'N+1 API Calls',
+    threshold: '1 request per resource',
+    message: count => `${count} endpoints are called once per list item`,
+    recommendation: 'Fetch lists in one request: add a batch endpoint, include the related data in the list response, or use GraphQL/DataLoader batching.',
+  },
+  'unused-response': {
+    metric: 'Unused API Responses',
+    threshold: '0 unread responses',
+    message: count => `${count} API responses were never read by the page before it was left`,
+    recommendation: 'Drop requests whose data the page does not use, or fetch the data when the view that shows it is opened.',
+  },
+  'abandoned-request': {
+    metric: 'Abandoned API Requests',
+    threshold: '0 requests',
+    message: count => `${count} API requests were aborted or left unfinished before their responses arrived`,
+    recommendation: 'Cancel or defer requests the page does not need yet, and avoid fetching data for views the user navigates away from.',
+  },
+};
+
+/**
+ * Generates API Redundancy alerts from detectRedundantCalls findings
+ * @param {Object} redundancy - Result of detectRedundantCalls
+ * @returns {Array} - Array of alert objects, one per kind of finding
+ */
+function generateRedundancyAlerts(redundancy) {
+  return Object.entries(REDUNDANCY_RULES).flatMap(([type, rule]) => {
+    const findings = (redundancy?.findings || []).filter(finding => finding.type === type);
+    if (findings.length === 0) return [];
+
+    const wastedTime = sumKnown(findings.map(finding => finding.wastedTime));
+    const wastedBytes = sumKnown(findings.map(finding => finding.wastedBytes));
+
+    return [{
+      type: type !== 'abandoned-request' && wastedTime >= REDUNDANCY_CRITICAL_WASTE_MS ? 'critical' : 'warning',
+      category: 'API Redundancy',
+      metric: rule.metric,
+      value: `${formatWaste(wastedTime, wastedBytes) || 'unknown amount'} wasted`,
+      threshold: rule.threshold,
+      message: rule.message(findings.length),
+      recommendation: rule.recommendation,
+      details: findings.map(formatRedundancyFinding)
+    }];
+  });
+}
+
+function formatRedundancyFinding(finding) {
+  const waste = formatWaste(finding.wastedTime, finding.wastedBytes);
+  const pattern = finding.type === 'n-plus-one' ? ` (${finding.sequential ? 'sequential' : 'parallel'})` : '';
+  const onPage = finding.page ? ` on ${finding.page}` : '';
+
+  return `${finding.method} ${finding.endpoint}: ${finding.count}x${pattern}${onPage}` + (waste ? `, ${waste} wasted` : '');
+}
+
+/**
+ * Generates API Resilience alerts from ResilienceTester results
+ * @param {Object|null} resilience - Result of ResilienceTester.testEndpoints, or null when not run
+ * @returns {Array} - Array of alert objects: endpoints whose failure breaks pages, and endpoints whose failure degrades them
+ */
+function generateResilienceAlerts(resilience) {
+  const endpoints = resilience?.endpoints || [];
+  const broken = endpoints.filter(endpoint => endpoint.verdict === 'broken');
+  const degraded = endpoints.filter(endpoint => endpoint.verdict === 'degraded');
+  const alerts = [];
+
+  if (broken.length > 0) {
+    alerts.push({
+      type: 'critical',
+      category: 'API Resilience',
+      metric: 'Endpoints Breaking the Page',
+      value: `${broken.length} endpoints`,
+      threshold: '0 endpoints',
+      message: `A failure of ${broken.length} API endpoints leaves the page blank or without most of its content`,
+      recommendation: 'Catch failed and unparseable responses, render an error or fallback state for the affected section, and wrap sections in error boundaries so one failing call cannot take down the page.',
+      details: broken.map(formatResilienceFinding)
+    });
+  }
+
+  if (degraded.length > 0) {
+    alerts.push({
+      type: 'warning',
+      category: 'API Resilience',
+      metric: 'Endpoints Degrading the Page',
+      value: `${degraded.length} endpoints`,
+      threshold: '0 endpoints',
+      message: `A failure of ${degraded.length} API endpoints causes uncaught exceptions, missing content or layout shifts`,
+      recommendation: 'Handle rejected requests and invalid JSON explicitly, and reserve space for API-driven content so fallbacks do not shift the layout.',
+      details: degraded.map(formatResilienceFinding)
+    });
+  }
+
   return alerts;
 }
 
+function formatResilienceFinding(endpoint) {
+  const faults = endpoint.faults
+    .filter(result => result.verdict === endpoint.verdict)
+    .map(result => `${result.label}: ${result.reasons.join(', ')}`);
+  return `${endpoint.method} ${endpoint.template} on ${endpoint.page} (${faults.join('; ')})`;
+}
+
+// Lighthouse and HAR calls carry rawData.transferSize, crawled calls their responseSize
+function getTransferSize(call) {
+  return call.rawData?.transferSize ?? call.responseSize ?? 0;
+}
+
+function formatPayloadCall(call) {
+  return `${call.method} ${call.endpoint || call.url}: ${call.payloadSize || formatBytes(getTransferSize(call))}`;
+}
+
+function formatEndpointErrors(endpoints) {
+  return endpoints
+    .filter(endpoint => endpoint.errorCount > 0)
+    .map(endpoint => `${endpoint.method} ${endpoint.template}: ${endpoint.errorCount}/${endpoint.count} failed`);
+}
+
+// Sum of the values that could be measured; null when none could
+function sumKnown(values) {
+  const known = values.filter(value => typeof value === 'number');
+  return known.length ? known.reduce((sum, value) => sum + value, 0) : null;
+}
+
+function formatWaste(wastedTime, wastedBytes) {
+  return [
+    wastedTime !== null ? `${Math.round(wastedTime)}ms` : null,
+    wastedBytes ? formatBytes(wastedBytes) : null,
+  ].filter(Boolean).join(', ');
+}
+
 /**
  * Formats bytes into human-readable format
  * @param {number} bytes - The number of bytes
@@ -433,5 +599,8 @@ function formatAlertsForDisplay(alerts) {
 
 export {
   generatePerformanceAlerts,
+  generateApiAlerts,
+  generateRedundancyAlerts,
+  generateResilienceAlerts,
   formatAlertsForDisplay
 };
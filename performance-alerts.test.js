@@ -0,0 +1,87 @@
+import { detectRedundantCalls } from "./api-redundancy.js";
+import { aggregateEndpoints } from "./endpoint-templates.js";
+import { analyzeGraphqlCall } from "./graphql-operations.js";
+import { generateApiAlerts, generatePerformanceAlerts } from "./performance-alerts.js";
+
+const PAGE = "https://shop.example.com/";
+
+// Shaped like the crawler's API calls: duration, responseSize and the response body's GraphQL analysis
+const crawledCall = (url, fields = {}) => ({
+  url,
+  method: "GET",
+  page: PAGE,
+  status: 200,
+  startTime: 0,
+  duration: 100,
+  timingSource: "measured",
+  responseSize: 800,
+  failed: false,
+  graphql: null,
+  ...fields,
+});
+
+const graphqlCall = (query, responseBody) => {
+  const request = { url: "https://shop.example.com/graphql", postData: JSON.stringify({ query }) };
+  return crawledCall(request.url, {
+    method: "POST",
+    postData: request.postData,
+    graphql: analyzeGraphqlCall(request, responseBody),
+  });
+};
+
+const crawlAlerts = (apiCalls) =>
+  generateApiAlerts({
+    apiCalls,
+    analysis: { endpoints: aggregateEndpoints(apiCalls), redundancy: detectRedundantCalls(apiCalls) },
+  });
+
+describe("generateApiAlerts", () => {
+  test("alerts on GraphQL errors the crawler captured in 200 responses", () => {
+    const alerts = crawlAlerts([
+      graphqlCall("query GetCart { cart { id } }", '{"data":null,"errors":[{"message":"Cart not found"}]}'),
+      graphqlCall("query GetUser { me { id } }", '{"data":{"me":{"id":1}}}'),
+      crawledCall("https://shop.example.com/api/products"),
+    ]);
+
+    expect(alerts).toContainEqual(
+      expect.objectContaining({
+        type: "critical",
+        category: "API Reliability",
+        metric: "API Error Rate",
+        value: "33.3%",
+        details: ["POST /graphql (query GetCart): 1/1 failed"],
+      })
+    );
+  });
+
+  test("alerts on slow endpoints, large payloads and abandoned requests of crawled calls", () => {
+    const alerts = crawlAlerts([
+      crawledCall("https://shop.example.com/api/search", { duration: 1500 }),
+      crawledCall("https://shop.example.com/api/export", { responseSize: 6 * 1024 * 1024 }),
+      crawledCall("https://shop.example.com/api/recommendations", { aborted: true }),
+    ]);
+
+    expect(alerts.map((alert) => [alert.category, alert.metric, alert.details])).toEqual([
+      ["API Performance", "Slow API Endpoints", ["GET /api/search: p95 1500ms, max 1500ms over 1 calls"]],
+      ["API Efficiency", "Large API Payloads", ["GET https://shop.example.com/api/export: 6MB"]],
+      [
+        "API Redundancy",
+        "Abandoned API Requests",
+        [`GET https://shop.example.com/api/recommendations: 1x on ${PAGE}, 100ms, 800B wasted`],
+      ],
+    ]);
+  });
+
+  test("returns no alerts without API calls", () => {
+    expect(generateApiAlerts(null)).toEqual([]);
+    expect(generateApiAlerts({ apiCalls: [] })).toEqual([]);
+  });
+});
+
+describe("generatePerformanceAlerts", () => {
+  test("leaves API alerts out when only Lighthouse metrics are given", () => {
+    const alerts = generatePerformanceAlerts({ performance: 0.4, details: { lcpRaw: 5000 } });
+
+    expect(alerts.map((alert) => alert.category)).toEqual(["Core Web Vitals", "Overall"]);
+  });
+});
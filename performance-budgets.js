@@ -0,0 +1,215 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { compileUrlPattern, matchesUrlPattern } from "./url-patterns.js";
+import { getSite } from "./run-store.js";
+
+const DEFAULT_BUDGETS_DIR = fileURLToPath(new URL("./data/budgets", import.meta.url));
+
+// Budget metric keys mapped to the raw values in analyzeSite's details
+const METRIC_DETAILS = {
+  fcp: { raw: "fcpRaw", label: "First Contentful Paint (FCP)", unit: "ms" },
+  lcp: { raw: "lcpRaw", label: "Largest Contentful Paint (LCP)", unit: "ms" },
+  cls: { raw: "clsRaw", label: "Cumulative Layout Shift (CLS)", unit: "" },
+  tbt: { raw: "tbtRaw", label: "Total Blocking Time (TBT)", unit: "ms" },
+  tti: { raw: "ttiRaw", label: "Time to Interactive (TTI)", unit: "ms" },
+  si: { raw: "siRaw", label: "Speed Index (SI)", unit: "ms" },
+};
+
+const SCORE_LABELS = {
+  performance: "Performance",
+  accessibility: "Accessibility",
+  bestPractices: "Best Practices",
+  seo: "SEO",
+};
+
+/**
+ * Validates a budget definition
+ * @param {Object} budget - Budget JSON
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) return "Budget must be an object";
+
+  const isNonNegativeNumber = (value) => typeof value === "number" && value >= 0;
+
+  for (const [key, limit] of Object.entries(budget.metrics || {})) {
+    if (!METRIC_DETAILS[key]) return `Unknown metric "${key}"`;
+    if (!isNonNegativeNumber(limit)) return `Metric limit for "${key}" must be a non-negative number`;
+  }
+
+  for (const [key, minimum] of Object.entries(budget.minScores || {})) {
+    if (!SCORE_LABELS[key]) return `Unknown score category "${key}"`;
+    if (!isNonNegativeNumber(minimum) || minimum > 100) return `Minimum score for "${key}" must be between 0 and 100`;
+  }
+
+  if (budget.apiDurations !== undefined && !Array.isArray(budget.apiDurations)) {
+    return "apiDurations must be an array";
+  }
+
+  for (const rule of budget.apiDurations || []) {
+    if (!rule.pattern || typeof rule.pattern !== "string") return "Each apiDurations rule needs a pattern";
+    if (!isNonNegativeNumber(rule.maxDuration)) return `maxDuration for "${rule.pattern}" must be a non-negative number`;
+    try {
+      compileUrlPattern(rule.pattern);
+    } catch (error) {
+      return `Invalid pattern "${rule.pattern}": ${error.message}`;
+    }
+  }
+
+  for (const key of ["maxTransferSize", "maxRequestCount"]) {
+    if (budget[key] !== undefined && !isNonNegativeNumber(budget[key])) return `${key} must be a non-negative number`;
+  }
+
+  return null;
+}
+
+/**
+ * Evaluates a complete website analysis against a budget
+ * @param {Object} budget - Validated budget definition
+ * @param {Object} results - Complete website analysis results
+ * @returns {Object} - Verdict with every violated line and the checks that could not be evaluated
+ */
+function evaluateBudget(budget, results) {
+  const violations = [];
+  const skipped = [];
+  let checks = 0;
+
+  const check = ({ exceeded, ...line }, actual) => {
+    if (actual === null || actual === undefined) {
+      skipped.push({ ...line, reason: "Value not measured" });
+      return;
+    }
+    checks++;
+    if (exceeded(actual)) violations.push({ ...line, actual });
+  };
+
+  (results.lighthouseResults || []).forEach((page) => {
+    Object.entries(budget.metrics || {}).forEach(([key, limit]) => {
+      const metric = METRIC_DETAILS[key];
+      check(
+        {
+          rule: "metric",
+          key,
+          page: page.url,
+          limit,
+          message: `${metric.label} exceeds budget of ${limit}${metric.unit}`,
+          exceeded: (actual) => actual > limit,
+        },
+        page.details?.[metric.raw]
+      );
+    });
+
+    Object.entries(budget.minScores || {}).forEach(([key, minimum]) => {
+      check(
+        {
+          rule: "minScore",
+          key,
+          page: page.url,
+          limit: minimum,
+          message: `${SCORE_LABELS[key]} score is below the minimum of ${minimum}`,
+          exceeded: (actual) => actual < minimum,
+        },
+        typeof page[key] === "number" ? Math.round(page[key] * 100) : null
+      );
+    });
+
+    if (budget.maxTransferSize !== undefined) {
+      check(
+        {
+          rule: "transferSize",
+          key: "maxTransferSize",
+          page: page.url,
+          limit: budget.maxTransferSize,
+          message: `Total transfer size exceeds budget of ${budget.maxTransferSize} bytes`,
+          exceeded: (actual) => actual > budget.maxTransferSize,
+        },
+        page.details?.totalByteWeight
+      );
+    }
+
+    if (budget.maxRequestCount !== undefined) {
+      check(
+        {
+          rule: "requestCount",
+          key: "maxRequestCount",
+          page: page.url,
+          limit: budget.maxRequestCount,
+          message: `Request count exceeds budget of ${budget.maxRequestCount}`,
+          exceeded: (actual) => actual > budget.maxRequestCount,
+        },
+        page.details?.requestCount
+      );
+    }
+  });
+
+  const apiCalls = results.apiAnalysis?.apiCalls || [];
+  (budget.apiDurations || []).forEach((rule) => {
+    const pattern = compileUrlPattern(rule.pattern);
+    apiCalls
+      .filter((call) => matchesUrlPattern(call.url, pattern))
+      .forEach((call) => {
+        check(
+          {
+            rule: "apiDuration",
+            key: rule.pattern,
+            page: call.page,
+            endpoint: `${call.method} ${call.url}`,
+            limit: rule.maxDuration,
+            message: `${call.method} ${call.url} exceeds API budget of ${rule.maxDuration}ms for ${rule.pattern}`,
+            exceeded: (actual) => actual > rule.maxDuration,
+          },
+          call.duration
+        );
+      });
+  });
+
+  return {
+    passed: violations.length === 0,
+    checks,
+    violations,
+    skipped,
+    evaluatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Stores one budget file per site in <dir>/<site>.json
+ */
+class BudgetStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.BUDGETS_DIR || DEFAULT_BUDGETS_DIR;
+  }
+
+  budgetPath(site) {
+    const fileName = getSite(site).replace(/[^\w.-]/g, "_");
+    return path.join(this.dir, `${fileName}.json`);
+  }
+
+  async getBudget(site) {
+    try {
+      return JSON.parse(await fs.readFile(this.budgetPath(site), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async saveBudget(site, budget) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.budgetPath(site), JSON.stringify(budget, null, 2));
+    return budget;
+  }
+
+  async deleteBudget(site) {
+    try {
+      await fs.unlink(this.budgetPath(site));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+}
+
+export { BudgetStore, validateBudget, evaluateBudget };
@@ -0,0 +1,108 @@
+import { evaluateBudget, validateBudget } from "./performance-budgets.js";
+
+const page = (url, { performance = 0.9, ...details } = {}) => ({ url, performance, details });
+const call = (url, duration) => ({ url, method: "GET", page: "https://shop.example.com/", duration });
+
+const results = ({ pages = [], apiCalls = [] } = {}) => ({
+  lighthouseResults: pages,
+  apiAnalysis: { apiCalls },
+});
+
+describe("evaluateBudget", () => {
+  test("passes when every measured value is within budget", () => {
+    const verdict = evaluateBudget(
+      { metrics: { lcp: 2500, cls: 0.1 }, minScores: { performance: 80 } },
+      results({ pages: [page("https://shop.example.com/", { lcpRaw: 2000, clsRaw: 0.05 })] })
+    );
+
+    expect(verdict).toMatchObject({ passed: true, checks: 3, violations: [], skipped: [] });
+  });
+
+  test("reports each violated line with its page, limit and actual value", () => {
+    const verdict = evaluateBudget(
+      { metrics: { lcp: 2500 }, minScores: { performance: 90 }, maxTransferSize: 1000000, maxRequestCount: 50 },
+      results({
+        pages: [
+          page("https://shop.example.com/", { performance: 0.855, lcpRaw: 3100, totalByteWeight: 1500000, requestCount: 40 }),
+        ],
+      })
+    );
+
+    expect(verdict.passed).toBe(false);
+    expect(verdict.checks).toBe(4);
+    expect(verdict.violations.map(({ rule, key, limit, actual }) => ({ rule, key, limit, actual }))).toEqual([
+      { rule: "metric", key: "lcp", limit: 2500, actual: 3100 },
+      { rule: "minScore", key: "performance", limit: 90, actual: 86 },
+      { rule: "transferSize", key: "maxTransferSize", limit: 1000000, actual: 1500000 },
+    ]);
+    expect(verdict.violations[0]).toMatchObject({
+      page: "https://shop.example.com/",
+      message: "Largest Contentful Paint (LCP) exceeds budget of 2500ms",
+    });
+  });
+
+  test("checks API durations against the calls matching each pattern", () => {
+    const verdict = evaluateBudget(
+      { apiDurations: [{ pattern: "/api/**", maxDuration: 500 }] },
+      results({
+        apiCalls: [
+          call("https://shop.example.com/api/products", 800),
+          call("https://shop.example.com/api/cart/items", 200),
+          call("https://cdn.example.com/assets/config", 900),
+        ],
+      })
+    );
+
+    expect(verdict.checks).toBe(2);
+    expect(verdict.violations).toHaveLength(1);
+    expect(verdict.violations[0]).toMatchObject({
+      rule: "apiDuration",
+      key: "/api/**",
+      endpoint: "GET https://shop.example.com/api/products",
+      actual: 800,
+    });
+  });
+
+  test("skips lines whose value was not measured instead of failing them", () => {
+    const verdict = evaluateBudget(
+      { metrics: { tbt: 200 }, apiDurations: [{ pattern: "/api/*", maxDuration: 500 }] },
+      results({
+        pages: [page("https://shop.example.com/")],
+        apiCalls: [call("https://shop.example.com/api/products", null)],
+      })
+    );
+
+    expect(verdict).toMatchObject({ passed: true, checks: 0, violations: [] });
+    expect(verdict.skipped.map(({ rule, reason }) => [rule, reason])).toEqual([
+      ["metric", "Value not measured"],
+      ["apiDuration", "Value not measured"],
+    ]);
+  });
+});
+
+describe("validateBudget", () => {
+  test("accepts a complete budget", () => {
+    expect(
+      validateBudget({
+        metrics: { lcp: 2500, cls: 0.1 },
+        minScores: { performance: 90 },
+        apiDurations: [{ pattern: "regex:/api/v\\d+/", maxDuration: 300 }],
+        maxTransferSize: 2000000,
+        maxRequestCount: 80,
+      })
+    ).toBeNull();
+  });
+
+  test.each([
+    [[], "Budget must be an object"],
+    [{ metrics: { ttfb: 100 } }, 'Unknown metric "ttfb"'],
+    [{ metrics: { lcp: -1 } }, 'Metric limit for "lcp" must be a non-negative number'],
+    [{ minScores: { performance: 120 } }, 'Minimum score for "performance" must be between 0 and 100'],
+    [{ apiDurations: {} }, "apiDurations must be an array"],
+    [{ apiDurations: [{ maxDuration: 100 }] }, "Each apiDurations rule needs a pattern"],
+    [{ apiDurations: [{ pattern: "regex:(", maxDuration: 100 }] }, expect.stringContaining('Invalid pattern "regex:("')],
+    [{ maxRequestCount: "50" }, "maxRequestCount must be a non-negative number"],
+  ])("rejects %j", (budget, error) => {
+    expect(validateBudget(budget)).toEqual(error);
+  });
+});
@@ -0,0 +1,132 @@
+import { getEndpointTemplate } from "./endpoint-templates.js";
+import { analyzeGraphqlCall } from "./graphql-operations.js";
+import { isApiRequest } from "./website-crawler.js";
+
+/**
+ * Groups crawled API calls per page and route template, for runners that reload a page once per endpoint
+ * @param {Array} apiCalls - Crawler API calls
+ * @param {Object} options - { pageUrl } page assumed for calls that don't record one, { routePatterns } compiled
+ *   route patterns, { maxPages, maxEndpointsPerPage } limits
+ * @returns {Array} - [{ page, endpoints: [{ key, method, host, template, callCount }] }]; pages in crawl order,
+ *   each page's most called endpoints first
+ */
+function groupEndpointsByPage(apiCalls, { pageUrl, routePatterns = [], maxPages, maxEndpointsPerPage }) {
+  const pages = new Map();
+  apiCalls.forEach((call) => {
+    const page = call.page || pageUrl;
+    const endpoint = getEndpointTemplate(call, routePatterns);
+    if (!pages.has(page)) pages.set(page, new Map());
+    const endpoints = pages.get(page);
+    if (!endpoints.has(endpoint.key)) endpoints.set(endpoint.key, { ...endpoint, callCount: 0 });
+    endpoints.get(endpoint.key).callCount++;
+  });
+
+  return Array.from(pages, ([page, endpoints]) => ({
+    page,
+    endpoints: Array.from(endpoints.values())
+      .sort((a, b) => b.callCount - a.callCount)
+      .slice(0, maxEndpointsPerPage),
+  })).slice(0, maxPages);
+}
+
+// Interception priority for injected failures, above the pass-through of every request (priority 0, shared
+// with applyAuthSession) in Puppeteer's cooperative interception mode
+const INJECTION_PRIORITY = 1;
+
+/**
+ * Intercepts the page's requests, handing those of one endpoint to onMatch and letting every other
+ * request through. With no endpoint, all requests pass, which keeps unmodified loads comparable:
+ * interception itself disables the cache.
+ * @param {Object} page - Puppeteer page, before it navigates
+ * @param {string|null} key - Endpoint key (see getEndpointTemplate) to intercept
+ * @param {Array} routePatterns - Compiled route patterns the key was built with
+ * @param {Function} onMatch - Receives each intercepted request; it continues unless onMatch aborts or responds to
+ *   it with INJECTION_PRIORITY, and onMatch can hold it back with request.enqueueInterceptAction
+ * @returns {Promise<Function>} - Returns the number of requests intercepted so far
+ */
+async function interceptEndpoint(page, key, routePatterns, onMatch) {
+  let intercepted = 0;
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    request.continue(request.continueRequestOverrides(), 0).catch(() => {});
+    if (key === null || getRequestEndpointKey(request, routePatterns) !== key) return;
+    intercepted++;
+    onMatch(request);
+  });
+  return () => intercepted;
+}
+
+/**
+ * Holds an intercepted request back before it is resolved
+ * @param {Object} request - Request handed to onMatch by interceptEndpoint
+ * @param {number} delay - Milliseconds to wait
+ */
+function delayRequest(request, delay) {
+  request.enqueueInterceptAction(() => new Promise((resolve) => setTimeout(resolve, delay)));
+}
+
+// Endpoint key of an intercepted request, or null when it is not an API call
+function getRequestEndpointKey(request, routePatterns) {
+  const url = request.url();
+  if (!isApiRequest(url, request.resourceType())) return null;
+  const graphql = analyzeGraphqlCall({ url, postData: request.postData() });
+  return getEndpointTemplate({ url, method: request.method(), graphql }, routePatterns).key;
+}
+
+/**
+ * Runs in every new document before its own scripts: collects LCP, layout shifts and long tasks,
+ * which are only reported to observers registered before they happen
+ */
+function observeRenderingMetrics() {
+  const metrics = { lcp: null, cls: 0, longTasks: [] };
+  Object.defineProperty(window, "__responsiveTracerMetrics", { value: metrics });
+  const observe = (type, onEntry) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe("largest-contentful-paint", (entry) => {
+    metrics.lcp = entry.startTime;
+  });
+  observe("layout-shift", (entry) => {
+    if (!entry.hadRecentInput) metrics.cls += entry.value;
+  });
+  observe("longtask", (entry) => metrics.longTasks.push({ start: entry.startTime, duration: entry.duration }));
+}
+
+/**
+ * Installs the rendering metrics observer; call before the page navigates
+ * @param {Object} page - Puppeteer page
+ */
+async function installRenderingObserver(page) {
+  await page.evaluateOnNewDocument(observeRenderingMetrics);
+}
+
+/**
+ * Reads what the observer collected in the current document
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Object>} - { lcp, cls, longTasks, fcp, timeOrigin }; times are ms from navigation start
+ */
+async function readRenderingMetrics(page) {
+  return page.evaluate(() => ({
+    lcp: null,
+    cls: 0,
+    longTasks: [],
+    ...window.__responsiveTracerMetrics,
+    fcp: performance.getEntriesByName("first-contentful-paint")[0]?.startTime ?? null,
+    timeOrigin: performance.timeOrigin,
+  }));
+}
+
+export {
+  INJECTION_PRIORITY,
+  groupEndpointsByPage,
+  interceptEndpoint,
+  delayRequest,
+  installRenderingObserver,
+  readRenderingMetrics,
+};
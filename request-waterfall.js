@@ -0,0 +1,162 @@
+import { collectRequests, getTimingPhases } from "./network-events.js";
+import { isApiRequest } from "./website-crawler.js";
+
+// Longest pause between one API call finishing and the next starting for the two to count as chained
+const SERIAL_GAP_MS = 100;
+
+/**
+ * Builds a page's request waterfall from the devtools log of a Lighthouse run and places the
+ * run's paint marks on it. Requests get their initiating request (the document or script that
+ * issued them); the critical chain is the initiator chain of the last request to finish before LCP.
+ * @param {Array} devtoolsLog - Protocol events of the Lighthouse run
+ * @param {Object} lhr - Lighthouse result of the same run
+ * @returns {Object} - { marks: { fcp, lcp, load, tti }, requests, criticalChain, serialApiChains }; times are ms
+ *   from navigation start. fcp, lcp and load are observed in the run, tti is Lighthouse's estimate.
+ */
+function buildWaterfall(devtoolsLog, lhr) {
+  const observed = lhr.audits.metrics?.details?.items?.[0] || {};
+  const records = collectRequests(devtoolsLog);
+  const documentRecord = records.find((record) => record.resourceType === "Document") || records[0];
+  // Network timestamps and the trace share one monotonic clock
+  const navigationStart = Number.isFinite(observed.observedNavigationStartTs)
+    ? observed.observedNavigationStartTs / 1000
+    : (documentRecord?.startTimestamp ?? 0) * 1000;
+
+  const marks = {
+    fcp: observed.observedFirstContentfulPaint ?? null,
+    lcp: observed.observedLargestContentfulPaint ?? null,
+    load: observed.observedLoad ?? null,
+    tti: lhr.audits.interactive?.numericValue ?? null,
+  };
+
+  const requests = records.map((record, index) => {
+    const start = round(record.startTimestamp * 1000 - navigationStart);
+    const end = record.endTimestamp !== undefined ? round(record.endTimestamp * 1000 - navigationStart) : null;
+    const resourceType = record.resourceType?.toLowerCase() || "other";
+
+    return {
+      id: index,
+      url: record.request.url,
+      method: record.request.method,
+      resourceType,
+      isApi: isApiRequest(record.request.url, resourceType),
+      status: record.response?.status ?? null,
+      transferSize: record.encodedDataLength,
+      start,
+      end,
+      duration: end !== null ? round(end - start) : null,
+      timing: getTimingPhases(record),
+      initiatorId: null,
+      initiatorUrl: getInitiatorUrl(record.initiator),
+      startedBeforeLcp: marks.lcp !== null ? start < marks.lcp : null,
+      startedBeforeTti: marks.tti !== null ? start < marks.tti : null,
+      onCriticalChain: false,
+      serialChain: null,
+    };
+  });
+
+  linkInitiators(requests);
+  const criticalChain = findCriticalChain(requests, marks.lcp);
+  criticalChain.forEach((id) => {
+    requests[id].onCriticalChain = true;
+  });
+  const serialApiChains = findSerialApiChains(requests);
+  serialApiChains.forEach((chain, chainIndex) => {
+    chain.requestIds.forEach((id) => {
+      requests[id].serialChain = chainIndex;
+    });
+  });
+
+  return { marks, requests, criticalChain, serialApiChains };
+}
+
+// Scripts show up in the initiator stack; the innermost frame with a URL issued the request
+function getInitiatorUrl(initiator) {
+  if (!initiator) return null;
+  if (initiator.url) return initiator.url;
+
+  for (let stack = initiator.stack; stack; stack = stack.parent) {
+    const frame = stack.callFrames?.find((callFrame) => callFrame.url);
+    if (frame) return frame.url;
+  }
+  return null;
+}
+
+function linkInitiators(requests) {
+  const firstByUrl = new Map();
+  requests.forEach((request) => {
+    if (!firstByUrl.has(request.url)) firstByUrl.set(request.url, request);
+  });
+
+  requests.forEach((request) => {
+    const initiator = request.initiatorUrl ? firstByUrl.get(request.initiatorUrl) : null;
+    // A request can only be issued by something that started before it
+    if (initiator && initiator.id !== request.id && initiator.start <= request.start) request.initiatorId = initiator.id;
+  });
+}
+
+function findCriticalChain(requests, lcp) {
+  if (lcp === null) return [];
+
+  const finishedBeforeLcp = requests.filter((request) => request.end !== null && request.end <= lcp);
+  if (finishedBeforeLcp.length === 0) return [];
+
+  const last = finishedBeforeLcp.reduce((latest, request) => (request.end > latest.end ? request : latest));
+  const chain = [];
+  const seen = new Set();
+  for (let request = last; request && !seen.has(request.id); request = requests[request.initiatorId]) {
+    seen.add(request.id);
+    chain.unshift(request.id);
+  }
+  return chain;
+}
+
+// API calls issued one after another by the same script, each starting right after the previous one
+// finished. Unless a call needs the previous response, the chain could run in parallel.
+function findSerialApiChains(requests) {
+  const apiCalls = requests.filter((request) => request.isApi && request.end !== null && request.initiatorUrl);
+  const chains = [];
+  const claimed = new Set();
+
+  apiCalls.forEach((first) => {
+    if (claimed.has(first.id)) return;
+
+    const chain = [first];
+    for (let next = findNextInChain(apiCalls, chain, claimed); next; next = findNextInChain(apiCalls, chain, claimed)) {
+      chain.push(next);
+    }
+
+    if (chain.length < 2) return;
+    const previous = chain[chain.length - 1];
+    chain.forEach((request) => claimed.add(request.id));
+    const durations = chain.map((request) => request.duration);
+    chains.push({
+      requestIds: chain.map((request) => request.id),
+      initiatorUrl: first.initiatorUrl,
+      totalTime: round(previous.end - first.start),
+      // Run in parallel, the chain would take as long as its slowest call
+      potentialSaving: round(durations.reduce((sum, duration) => sum + duration, 0) - Math.max(...durations)),
+    });
+  });
+
+  return chains.sort((a, b) => b.potentialSaving - a.potentialSaving);
+}
+
+function findNextInChain(apiCalls, chain, claimed) {
+  const first = chain[0];
+  const previous = chain[chain.length - 1];
+  return apiCalls.find(
+    (candidate) =>
+      !claimed.has(candidate.id) &&
+      !chain.includes(candidate) &&
+      candidate.initiatorUrl === first.initiatorUrl &&
+      candidate.start >= previous.end &&
+      candidate.start - previous.end <= SERIAL_GAP_MS
+  );
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export { buildWaterfall };
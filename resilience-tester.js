@@ -0,0 +1,369 @@
+import { BrowserPool } from "./browser-pool.js";
+import { applyAuthSession } from "./auth-session.js";
+import { compileRoutePatterns } from "./endpoint-templates.js";
+import {
+  INJECTION_PRIORITY,
+  groupEndpointsByPage,
+  interceptEndpoint,
+  delayRequest,
+  installRenderingObserver,
+  readRenderingMetrics,
+} from "./request-interception.js";
+
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_MAX_ENDPOINTS_PER_PAGE = 5;
+// A timed-out request hangs this long before the browser gives up on it
+const TIMEOUT_AFTER = 10000;
+const LOAD_TIMEOUT = 60000;
+const SETTLE_TIME = 1000;
+// Share of the unmodified page's visible content below which a page counts as broken or degraded
+const BROKEN_CONTENT_RATIO = 0.5;
+const DEGRADED_CONTENT_RATIO = 0.9;
+const DEGRADED_CLS_DELTA = 0.1;
+// A screenshot whose sampled pixels all stay this close to their average colour shows a blank page
+const BLANK_SCREENSHOT_TOLERANCE = 12;
+const VERDICT_ORDER = ["broken", "degraded", "graceful"];
+
+// Chrome logs every failed request as a console error, so only the page's own errors are reported
+const NETWORK_ERROR_LOG = /^Failed to load resource/;
+
+const FAULTS = {
+  "server-error": {
+    label: "HTTP 500",
+    inject: (request) =>
+      request
+        .respond(
+          {
+            status: 500,
+            headers: getCorsHeaders(request),
+            contentType: "application/json",
+            body: JSON.stringify({ error: "Internal Server Error" }),
+          },
+          INJECTION_PRIORITY
+        )
+        .catch(() => {}),
+  },
+  timeout: {
+    label: "Timeout",
+    inject: (request) => {
+      delayRequest(request, TIMEOUT_AFTER);
+      request.abort("timedout", INJECTION_PRIORITY).catch(() => {});
+    },
+  },
+  "malformed-json": {
+    label: "Malformed JSON",
+    inject: (request) =>
+      request
+        .respond(
+          {
+            status: 200,
+            headers: getCorsHeaders(request),
+            contentType: "application/json",
+            body: '{"data": [{"id": 1, "name": "trunc',
+          },
+          INJECTION_PRIORITY
+        )
+        .catch(() => {}),
+  },
+};
+
+/**
+ * Tests how pages cope with failing APIs. Every page is loaded unmodified, then reloaded once per
+ * endpoint and fault (HTTP 500, a request that times out, a malformed JSON body). Each faulted load
+ * is compared with the unmodified one: a page whose content or screenshot goes blank, or that loses
+ * most of its visible content, is broken; one that logs new console errors, throws uncaught
+ * exceptions, loses some content or shifts its layout is degraded; otherwise it handled the failure
+ * gracefully.
+ */
+class ResilienceTester {
+  constructor(options = {}) {
+    this.browserPool = options.browserPool || null;
+    this.authSession = options.authSession || null;
+    this.routePatterns = compileRoutePatterns(options.routePatterns || []);
+    this.faults = options.faults || Object.keys(FAULTS);
+    const unknownFaults = this.faults.filter((fault) => !Object.hasOwn(FAULTS, fault));
+    if (unknownFaults.length > 0) {
+      throw new Error(
+        `Unknown resilience fault(s): ${unknownFaults.join(", ")}; valid faults are ${Object.keys(FAULTS).join(", ")}`
+      );
+    }
+    this.maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+    this.maxEndpointsPerPage = options.maxEndpointsPerPage ?? DEFAULT_MAX_ENDPOINTS_PER_PAGE;
+    this.onProgress = options.onProgress || (() => {});
+  }
+
+  /**
+   * Injects each fault into the endpoints behind the crawled API calls
+   * @param {Array} apiCalls - Crawler API calls
+   * @param {string} pageUrl - Page assumed for calls that don't record one
+   * @param {Object} options - { signal } for cancellation
+   * @returns {Promise<Object>} - { faults, endpoints, summary }: endpoints ({ page, endpoint, method, template,
+   *   verdict, faults: [{ fault, label, verdict, reasons, ... }] }) broken first, and the count per verdict
+   */
+  async testEndpoints(apiCalls, pageUrl, { signal } = {}) {
+    signal?.throwIfAborted();
+    const browserPool = this.browserPool || new BrowserPool({ maxBrowsers: 1 });
+    const endpoints = [];
+
+    try {
+      const pages = groupEndpointsByPage(apiCalls, {
+        pageUrl,
+        routePatterns: this.routePatterns,
+        maxPages: this.maxPages,
+        maxEndpointsPerPage: this.maxEndpointsPerPage,
+      });
+      for (const { page, endpoints: pageEndpoints } of pages) {
+        endpoints.push(...(await this.testPage(browserPool, page, pageEndpoints, signal)));
+      }
+    } finally {
+      if (!this.browserPool) await browserPool.close();
+    }
+
+    endpoints.sort((a, b) => getVerdictRank(a.verdict) - getVerdictRank(b.verdict));
+    return {
+      faults: this.faults.map((fault) => ({ fault, label: FAULTS[fault].label })),
+      endpoints,
+      summary: {
+        ...Object.fromEntries(
+          VERDICT_ORDER.map((verdict) => [verdict, endpoints.filter((endpoint) => endpoint.verdict === verdict).length])
+        ),
+        untested: endpoints.filter((endpoint) => endpoint.verdict === null).length,
+      },
+    };
+  }
+
+  async testPage(browserPool, pageUrl, endpoints, signal) {
+    const describe = (endpoint) => ({
+      page: pageUrl,
+      endpoint: endpoint.key,
+      method: endpoint.method,
+      template: endpoint.template,
+      callCount: endpoint.callCount,
+    });
+
+    let baseline;
+    try {
+      baseline = await this.loadPage(browserPool, pageUrl, null, signal);
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.error(`Error loading ${pageUrl} for resilience testing: ${error.message}`);
+      this.onProgress({ type: "error", stage: "resilience", url: pageUrl, message: error.message });
+      return endpoints.map((endpoint) => ({ ...describe(endpoint), verdict: null, faults: [], error: error.message }));
+    }
+
+    const results = [];
+    for (const endpoint of endpoints) {
+      const faults = [];
+      for (const fault of this.faults) {
+        let run;
+        try {
+          run = await this.loadPage(browserPool, pageUrl, { key: endpoint.key, fault }, signal);
+        } catch (error) {
+          signal?.throwIfAborted();
+          // The fault kept the page from loading at all
+          run = { error: error.message };
+        }
+        faults.push({ fault, label: FAULTS[fault].label, ...compareWithBaseline(baseline, run) });
+      }
+
+      results.push({ ...describe(endpoint), verdict: getWorstVerdict(faults), faults });
+    }
+    return results;
+  }
+
+  /**
+   * Loads the page in a fresh tab, optionally injecting a fault into one endpoint's responses
+   * @param {Object} browserPool - Pool to lease the tab from
+   * @param {string} pageUrl - Page to load
+   * @param {Object|null} injection - { key, fault }, or null for an unmodified load
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Object>} - { consoleErrors, uncaughtExceptions, cls, content, screenshot, blankScreenshot,
+   *   intercepted }
+   */
+  async loadPage(browserPool, pageUrl, injection, signal) {
+    signal?.throwIfAborted();
+    return browserPool.withPage(
+      async (page) => {
+        await applyAuthSession(page, this.authSession);
+        await page.setCacheEnabled(false);
+        await installRenderingObserver(page);
+
+        const consoleErrors = [];
+        const uncaughtExceptions = [];
+        page.on("console", (message) => {
+          if (message.type() === "error" && !NETWORK_ERROR_LOG.test(message.text())) consoleErrors.push(message.text());
+        });
+        page.on("pageerror", (error) => uncaughtExceptions.push(error.message));
+
+        const getIntercepted = await interceptEndpoint(page, injection?.key ?? null, this.routePatterns, (request) =>
+          FAULTS[injection.fault].inject(request)
+        );
+
+        await page.goto(pageUrl, { waitUntil: "load", timeout: LOAD_TIMEOUT });
+        // A timed-out request keeps the network busy until it fails; the page is judged after it did
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: TIMEOUT_AFTER + 5000 }).catch(() => {});
+        await page.waitForTimeout(SETTLE_TIME);
+
+        const { cls } = await readRenderingMetrics(page);
+        const screenshot = await page.screenshot({ type: "jpeg", quality: 40, encoding: "base64" });
+        return {
+          consoleErrors,
+          uncaughtExceptions,
+          cls: Math.round(cls * 1000) / 1000,
+          content: await page.evaluate(measureVisibleContent),
+          screenshot,
+          // Null when the browser could not decode the screenshot; the content measurement still applies
+          blankScreenshot: await page
+            .evaluate(isBlankScreenshot, screenshot, BLANK_SCREENSHOT_TOLERANCE)
+            .catch(() => null),
+          intercepted: getIntercepted(),
+        };
+      },
+      { signal, isolated: Boolean(this.authSession) }
+    );
+  }
+}
+
+// Runs in the page: counts the text and media area a user sees in the viewport
+function measureVisibleContent() {
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      rect.bottom > 0 &&
+      rect.right > 0 &&
+      rect.top < window.innerHeight &&
+      rect.left < window.innerWidth &&
+      style.visibility !== "hidden" &&
+      Number(style.opacity) !== 0
+    );
+  };
+
+  let textLength = 0;
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const text = walker.currentNode.textContent.trim();
+    const element = walker.currentNode.parentElement;
+    if (text && element && isVisible(element)) textLength += text.length;
+  }
+
+  let mediaArea = 0;
+  document.querySelectorAll("img, svg, canvas, video").forEach((element) => {
+    if (!isVisible(element)) return;
+    const rect = element.getBoundingClientRect();
+    const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    mediaArea += Math.max(0, width) * Math.max(0, height);
+  });
+
+  return { textLength, mediaArea: Math.round(mediaArea) };
+}
+
+// Runs in the page: decodes the screenshot and checks whether every sampled pixel has about the same colour.
+// createImageBitmap decodes the bytes directly, so the page's Content-Security-Policy does not get in the way.
+async function isBlankScreenshot(base64, tolerance) {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: "image/jpeg" }));
+  const canvas = document.createElement("canvas");
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  const pixels = data.length / 4;
+  const average = [0, 1, 2].map((channel) => {
+    let total = 0;
+    for (let i = channel; i < data.length; i += 4) total += data[i];
+    return total / pixels;
+  });
+  for (let i = 0; i < data.length; i += 4) {
+    if (average.some((value, channel) => Math.abs(data[i + channel] - value) > tolerance)) return false;
+  }
+  return true;
+}
+
+/**
+ * Judges one faulted load against the unmodified load of the same page
+ * @param {Object} baseline - Result of loadPage without an injection
+ * @param {Object} run - Result of loadPage with the fault injected, or { error } when the page failed to load
+ * @returns {Object} - { verdict: "broken" | "degraded" | "graceful" | null, reasons, ... } where null means the
+ *   endpoint was not requested, so the fault was not put to the test
+ */
+function compareWithBaseline(baseline, run) {
+  if (run.error) {
+    return { verdict: "broken", reasons: [`The page failed to load: ${run.error}`], intercepted: null };
+  }
+  // An endpoint the page did not request this time was not put to the test
+  if (run.intercepted === 0) {
+    return { verdict: null, reasons: ["The endpoint was not requested during the load"], intercepted: 0 };
+  }
+
+  const consoleErrors = getNewMessages(baseline.consoleErrors, run.consoleErrors);
+  const uncaughtExceptions = getNewMessages(baseline.uncaughtExceptions, run.uncaughtExceptions);
+  const clsDelta = Math.round((run.cls - baseline.cls) * 1000) / 1000;
+  const contentRatio = getContentRatio(baseline.content, run.content);
+  const blank = run.content.textLength === 0 && run.content.mediaArea === 0;
+  // A full-page overlay, such as a loading cover that never lifts, hides content the DOM measurement still counts
+  const blankScreenshot = run.blankScreenshot === true && baseline.blankScreenshot === false;
+
+  const broken = [];
+  const degraded = [];
+  if (blank && contentRatio !== null) broken.push("The page rendered blank");
+  else if (blankScreenshot) broken.push("The screenshot of the page is blank");
+  else if (contentRatio !== null && contentRatio < BROKEN_CONTENT_RATIO) {
+    broken.push(`Visible content dropped to ${Math.round(contentRatio * 100)}% of the unmodified page`);
+  } else if (contentRatio !== null && contentRatio < DEGRADED_CONTENT_RATIO) {
+    degraded.push(`Visible content dropped to ${Math.round(contentRatio * 100)}% of the unmodified page`);
+  }
+  if (consoleErrors.length > 0) degraded.push(`${consoleErrors.length} new console error(s)`);
+  if (uncaughtExceptions.length > 0) degraded.push(`${uncaughtExceptions.length} uncaught exception(s)`);
+  if (clsDelta > DEGRADED_CLS_DELTA) degraded.push(`Layout shift increased by ${clsDelta}`);
+
+  const verdict = broken.length ? "broken" : degraded.length ? "degraded" : "graceful";
+  return {
+    verdict,
+    reasons: [...broken, ...degraded],
+    consoleErrors,
+    uncaughtExceptions,
+    clsDelta,
+    contentRatio: contentRatio !== null ? Math.round(contentRatio * 100) / 100 : null,
+    intercepted: run.intercepted,
+    // Kept for the pages worth looking at, together with the unmodified page to compare against
+    screenshot: verdict !== "graceful" ? run.screenshot : null,
+    baselineScreenshot: verdict !== "graceful" ? baseline.screenshot : null,
+  };
+}
+
+// Ratio of the faulted page's visible content to the unmodified page's, by its scarcer kind of content
+function getContentRatio(baseline, run) {
+  const ratios = [];
+  if (baseline.textLength > 0) ratios.push(run.textLength / baseline.textLength);
+  if (baseline.mediaArea > 0) ratios.push(run.mediaArea / baseline.mediaArea);
+  return ratios.length ? Math.min(1, ...ratios) : null;
+}
+
+function getNewMessages(baselineMessages, messages) {
+  const known = new Set(baselineMessages);
+  return Array.from(new Set(messages.filter((message) => !known.has(message))));
+}
+
+// Lets the injected response through CORS checks of cross-origin API calls
+function getCorsHeaders(request) {
+  const origin = request.headers().origin;
+  return origin ? { "access-control-allow-origin": origin, "access-control-allow-credentials": "true" } : {};
+}
+
+function getVerdictRank(verdict) {
+  return verdict === null ? VERDICT_ORDER.length : VERDICT_ORDER.indexOf(verdict);
+}
+
+// An endpoint is as resilient as its worst tested fault; null when no fault could be tested
+function getWorstVerdict(faults) {
+  const verdicts = faults.map((result) => result.verdict).filter((verdict) => verdict !== null);
+  return verdicts.length ? verdicts.sort((a, b) => getVerdictRank(a) - getVerdictRank(b))[0] : null;
+}
+
+export { ResilienceTester, compareWithBaseline };
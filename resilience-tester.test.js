@@ -0,0 +1,107 @@
+import { ResilienceTester, compareWithBaseline } from "./resilience-tester.js";
+
+const load = (fields = {}) => ({
+  consoleErrors: [],
+  uncaughtExceptions: [],
+  cls: 0.02,
+  content: { textLength: 1000, mediaArea: 50000 },
+  screenshot: "screenshot",
+  blankScreenshot: false,
+  intercepted: 1,
+  ...fields,
+});
+
+describe("ResilienceTester", () => {
+  test("injects every fault by default", async () => {
+    const tester = new ResilienceTester();
+
+    expect(tester.faults).toEqual(["server-error", "timeout", "malformed-json"]);
+    await expect(tester.testEndpoints([], "https://shop.example.com/")).resolves.toMatchObject({
+      faults: [
+        { fault: "server-error", label: "HTTP 500" },
+        { fault: "timeout", label: "Timeout" },
+        { fault: "malformed-json", label: "Malformed JSON" },
+      ],
+      endpoints: [],
+    });
+  });
+
+  test("rejects unknown faults and lists the valid ones", () => {
+    expect(() => new ResilienceTester({ faults: ["timeout", "server_error", "toString"] })).toThrow(
+      "Unknown resilience fault(s): server_error, toString; valid faults are server-error, timeout, malformed-json"
+    );
+  });
+});
+
+describe("compareWithBaseline", () => {
+  test("passes a page that looks and behaves like the unmodified one", () => {
+    const result = compareWithBaseline(load(), load({ content: { textLength: 950, mediaArea: 50000 } }));
+
+    expect(result).toMatchObject({ verdict: "graceful", reasons: [], contentRatio: 0.95, clsDelta: 0 });
+    expect(result.screenshot).toBeNull();
+  });
+
+  test.each([
+    ["a page without content", { content: { textLength: 0, mediaArea: 0 } }, "The page rendered blank"],
+    ["a blank screenshot", { blankScreenshot: true }, "The screenshot of the page is blank"],
+    [
+      "most of the content missing",
+      { content: { textLength: 400, mediaArea: 50000 } },
+      "Visible content dropped to 40% of the unmodified page",
+    ],
+  ])("breaks on %s", (description, fields, reason) => {
+    const result = compareWithBaseline(load(), load(fields));
+
+    expect(result).toMatchObject({ verdict: "broken", reasons: [reason], screenshot: "screenshot" });
+  });
+
+  test.each([
+    [
+      "some of the content missing",
+      { content: { textLength: 1000, mediaArea: 35000 } },
+      "Visible content dropped to 70% of the unmodified page",
+    ],
+    ["new console errors", { consoleErrors: ["Known warning", "Failed to render cart"] }, "1 new console error(s)"],
+    ["uncaught exceptions", { uncaughtExceptions: ["TypeError: x is undefined"] }, "1 uncaught exception(s)"],
+    ["layout shifts", { cls: 0.2 }, "Layout shift increased by 0.18"],
+  ])("degrades on %s", (description, fields, reason) => {
+    const result = compareWithBaseline(load({ consoleErrors: ["Known warning"] }), load(fields));
+
+    expect(result).toMatchObject({ verdict: "degraded", reasons: [reason] });
+  });
+
+  test("ignores a blank screenshot when the unmodified page was blank too or could not be checked", () => {
+    expect(compareWithBaseline(load({ blankScreenshot: true }), load({ blankScreenshot: true })).verdict).toBe(
+      "graceful"
+    );
+    expect(compareWithBaseline(load({ blankScreenshot: null }), load({ blankScreenshot: true })).verdict).toBe(
+      "graceful"
+    );
+  });
+
+  test("lists every reason, breaking ones first", () => {
+    const result = compareWithBaseline(
+      load(),
+      load({ content: { textLength: 100, mediaArea: 0 }, uncaughtExceptions: ["SyntaxError: Unexpected end of JSON"] })
+    );
+
+    expect(result.verdict).toBe("broken");
+    expect(result.reasons).toEqual(["Visible content dropped to 0% of the unmodified page", "1 uncaught exception(s)"]);
+  });
+
+  test("breaks when the page failed to load", () => {
+    expect(compareWithBaseline(load(), { error: "Navigation timeout of 60000 ms exceeded" })).toEqual({
+      verdict: "broken",
+      reasons: ["The page failed to load: Navigation timeout of 60000 ms exceeded"],
+      intercepted: null,
+    });
+  });
+
+  test("leaves the fault untested when the endpoint was not requested", () => {
+    expect(compareWithBaseline(load(), load({ intercepted: 0, content: { textLength: 0, mediaArea: 0 } }))).toEqual({
+      verdict: null,
+      reasons: ["The endpoint was not requested during the load"],
+      intercepted: 0,
+    });
+  });
+});
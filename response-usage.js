@@ -0,0 +1,150 @@
+// Page binding the in-page tracker reports through; bindings outlive navigations, so nothing is lost on unload
+const BINDING_NAME = "__responsiveTracerResponseUsage";
+
+/**
+ * Runs in every new document before its own scripts: reports each fetch and XMLHttpRequest the page sends
+ * and the first time the page reads its response body (Response.json/text/blob/arrayBuffer/formData/body,
+ * xhr.response/responseText/responseXML)
+ * @param {string} bindingName - Name of the binding installed by ResponseUsageTracker.start
+ */
+function reportResponseReads(bindingName) {
+  const binding = window[bindingName];
+  if (typeof binding !== "function") return;
+
+  const report = (event) => Promise.resolve(binding(event)).catch(() => {});
+  // Ids restart with every document, so they carry the document's own prefix
+  const documentId = Math.random().toString(36).slice(2);
+  let nextId = 0;
+  const readIds = new Set();
+
+  const begin = (method, url) => {
+    const id = `${documentId}:${++nextId}`;
+    let absoluteUrl = String(url);
+    try {
+      absoluteUrl = new URL(absoluteUrl, window.location.href).href.split("#")[0];
+    } catch {
+      // Keep the URL as given; it will not match a recorded request
+    }
+    report({ type: "request", id, method: String(method || "GET").toUpperCase(), url: absoluteUrl });
+    return id;
+  };
+  const markRead = (id) => {
+    if (id === undefined || readIds.has(id)) return;
+    readIds.add(id);
+    report({ type: "read", id });
+  };
+
+  if (typeof window.fetch === "function") {
+    const responseIds = new WeakMap();
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+      const isRequest = input instanceof Request;
+      const id = begin(init?.method || (isRequest ? input.method : "GET"), isRequest ? input.url : input);
+      return originalFetch.call(window, input, init).then((response) => {
+        responseIds.set(response, id);
+        return response;
+      });
+    };
+
+    ["arrayBuffer", "blob", "formData", "json", "text"].forEach((method) => {
+      const original = Response.prototype[method];
+      Response.prototype[method] = function (...args) {
+        markRead(responseIds.get(this));
+        return original.apply(this, args);
+      };
+    });
+    const originalClone = Response.prototype.clone;
+    Response.prototype.clone = function () {
+      const clone = originalClone.call(this);
+      if (responseIds.has(this)) responseIds.set(clone, responseIds.get(this));
+      return clone;
+    };
+    // Streaming the body counts as reading it
+    const body = Object.getOwnPropertyDescriptor(Response.prototype, "body");
+    Object.defineProperty(Response.prototype, "body", {
+      ...body,
+      get() {
+        markRead(responseIds.get(this));
+        return body.get.call(this);
+      },
+    });
+  }
+
+  if (typeof window.XMLHttpRequest === "function") {
+    const xhrRequests = new WeakMap();
+    const { open, send } = XMLHttpRequest.prototype;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      xhrRequests.set(this, { method, url });
+      return open.call(this, method, url, ...rest);
+    };
+    XMLHttpRequest.prototype.send = function (...args) {
+      const request = xhrRequests.get(this);
+      if (request) request.id = begin(request.method, request.url);
+      return send.apply(this, args);
+    };
+
+    ["response", "responseText", "responseXML"].forEach((property) => {
+      const descriptor = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, property);
+      if (!descriptor?.get) return;
+      Object.defineProperty(XMLHttpRequest.prototype, property, {
+        ...descriptor,
+        get() {
+          // Before LOADING there is nothing to read, so polling the property early does not count
+          if (this.readyState >= XMLHttpRequest.LOADING) markRead(xhrRequests.get(this)?.id);
+          return descriptor.get.call(this);
+        },
+      });
+    });
+  }
+}
+
+/**
+ * Records which fetch and XMLHttpRequest responses a page reads before it is left. Requests sent any
+ * other way (beacons, service workers, resource loads) are not seen, so their calls stay unknown.
+ */
+class ResponseUsageTracker {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Starts tracking; call before the page navigates
+   * @param {Object} page - Puppeteer page
+   */
+  async start(page) {
+    await page.exposeFunction(BINDING_NAME, (event) => this.record(event));
+    await page.evaluateOnNewDocument(reportResponseReads, BINDING_NAME);
+  }
+
+  record(event) {
+    if (event?.type === "request") {
+      this.requests.set(event.id, { method: event.method, url: event.url, read: false });
+    } else if (event?.type === "read" && this.requests.has(event.id)) {
+      this.requests.get(event.id).read = true;
+    }
+  }
+
+  // Forgets the requests tracked so far, e.g. those of a navigation the server throttled
+  clear() {
+    this.requests.clear();
+  }
+
+  /**
+   * Marks each API call with whether the page read its response, matching calls to tracked requests by
+   * method and URL in the order they were sent
+   * @param {Array} apiCalls - The page's API calls in request order
+   * @returns {Array} - The calls with responseRead: true, false, or null when the page did not send it through
+   *   fetch or XMLHttpRequest
+   */
+  annotate(apiCalls) {
+    const unmatched = Array.from(this.requests.values());
+    return apiCalls.map((call) => {
+      const index = unmatched.findIndex((request) => request.method === call.method && request.url === call.url);
+      if (index === -1) return { ...call, responseRead: null };
+      const [request] = unmatched.splice(index, 1);
+      return { ...call, responseRead: request.read };
+    });
+  }
+}
+
+export { ResponseUsageTracker };
@@ -0,0 +1,103 @@
+import { ResponseUsageTracker } from "./response-usage.js";
+
+const PAGE = "https://shop.example.com/products";
+
+// The Fetch API classes the in-page script patches, reduced to what it touches
+class FakeResponse {
+  constructor(text) {
+    this.bodyText = text;
+  }
+
+  async json() {
+    return JSON.parse(this.bodyText);
+  }
+
+  async text() {
+    return this.bodyText;
+  }
+
+  async arrayBuffer() {}
+
+  async blob() {}
+
+  async formData() {}
+
+  clone() {
+    return new FakeResponse(this.bodyText);
+  }
+
+  get body() {
+    return { getReader: () => ({}) };
+  }
+}
+
+class FakeRequest {
+  constructor(url, init = {}) {
+    this.url = url;
+    this.method = (init.method || "GET").toUpperCase();
+  }
+}
+
+// Stands in for a Puppeteer page: the in-page script runs in this test's realm
+const fakePage = () => ({
+  async exposeFunction(name, fn) {
+    window[name] = fn;
+  },
+  async evaluateOnNewDocument(fn, ...args) {
+    fn(...args);
+  },
+});
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeAll(() => {
+  Object.assign(global, { window: global, location: { href: PAGE }, Response: FakeResponse, Request: FakeRequest });
+});
+
+afterAll(() => {
+  ["window", "location", "Response", "Request", "fetch"].forEach((name) => delete global[name]);
+});
+
+describe("ResponseUsageTracker", () => {
+  test("records which fetch responses the page reads", async () => {
+    window.fetch = async () => new Response('{"items":[]}');
+    const tracker = new ResponseUsageTracker();
+    await tracker.start(fakePage());
+
+    const used = await fetch("/api/products?page=1#top");
+    await used.clone().json();
+    await fetch(new Request("https://shop.example.com/api/cart", { method: "POST" }));
+    const streamed = await fetch("/api/recommendations", { method: "get" });
+    streamed.body.getReader();
+    await flush();
+
+    expect(Array.from(tracker.requests.values())).toEqual([
+      { method: "GET", url: "https://shop.example.com/api/products?page=1", read: true },
+      { method: "POST", url: "https://shop.example.com/api/cart", read: false },
+      { method: "GET", url: "https://shop.example.com/api/recommendations", read: true },
+    ]);
+  });
+
+  test("matches API calls to tracked requests in order and leaves unseen calls unknown", () => {
+    const tracker = new ResponseUsageTracker();
+    tracker.record({ type: "request", id: "a:1", method: "GET", url: "https://shop.example.com/api/user" });
+    tracker.record({ type: "request", id: "a:2", method: "GET", url: "https://shop.example.com/api/user" });
+    tracker.record({ type: "read", id: "a:1" });
+
+    const calls = tracker.annotate([
+      { url: "https://shop.example.com/api/user", method: "GET" },
+      { url: "https://shop.example.com/api/user", method: "GET" },
+      { url: "https://shop.example.com/api/beacon", method: "POST" },
+    ]);
+
+    expect(calls.map((call) => call.responseRead)).toEqual([true, false, null]);
+  });
+
+  test("forgets requests of throttled navigations", () => {
+    const tracker = new ResponseUsageTracker();
+    tracker.record({ type: "request", id: "a:1", method: "GET", url: "https://shop.example.com/api/user" });
+    tracker.clear();
+
+    expect(tracker.annotate([{ url: "https://shop.example.com/api/user", method: "GET" }])[0].responseRead).toBeNull();
+  });
+});
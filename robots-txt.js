@@ -0,0 +1,161 @@
+const DEFAULT_USER_AGENT = "ResponsiveTracer";
+const FETCH_TIMEOUT = 10000;
+
+/**
+ * Parses robots.txt into user-agent groups and sitemap references (RFC 9309)
+ * @param {string} text - robots.txt contents
+ * @returns {Object} - { groups: [{ userAgents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasUserAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasUserAgent) {
+        group = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      return;
+    }
+
+    lastWasUserAgent = false;
+    if (!group) return;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything and adds no rule
+      if (value) group.rules.push({ allow: field === "allow", pattern: value });
+    } else if (field === "crawl-delay") {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Picks the rules that apply to a user agent: every group naming the longest matching
+ * product token, falling back to the "*" groups
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} userAgent - Product token, e.g. "ResponsiveTracer"
+ * @returns {Object} - { rules, crawlDelay }
+ */
+function selectRobotsRules(robots, userAgent = DEFAULT_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+  let bestLength = 0;
+  let matched = [];
+
+  robots.groups.forEach((group) => {
+    group.userAgents.forEach((token) => {
+      if (token === "*" || !agent.includes(token)) return;
+      if (token.length > bestLength) {
+        bestLength = token.length;
+        matched = [group];
+      } else if (token.length === bestLength && !matched.includes(group)) {
+        matched.push(group);
+      }
+    });
+  });
+
+  if (matched.length === 0) matched = robots.groups.filter((group) => group.userAgents.includes("*"));
+
+  const delays = matched.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+  return {
+    rules: matched.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+function compileRobotsPattern(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Checks a URL against the selected rules. The longest matching pattern wins and
+ * Allow wins ties; URLs matching no rule are allowed.
+ * @param {Object} selected - Result of selectRobotsRules
+ * @param {string} url - Absolute URL
+ * @returns {boolean} - Whether the URL may be crawled
+ */
+function isAllowedByRobots(selected, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+
+  selected.rules.forEach((rule) => {
+    if (!compileRobotsPattern(rule.pattern).test(target)) return;
+    const length = rule.pattern.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { length, allow: rule.allow };
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetches and evaluates robots.txt for a site. A missing file (4xx) allows everything;
+ * a server error disallows everything, as RFC 9309 asks crawlers to assume.
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - { userAgent } product token, { signal } for cancellation
+ * @returns {Promise<Object>} - { isAllowed(url), crawlDelay, sitemaps, status }
+ */
+async function loadRobotsTxt(siteUrl, { userAgent = DEFAULT_USER_AGENT, signal } = {}) {
+  const robotsUrl = new URL("/robots.txt", siteUrl).href;
+  const allowAll = (status) => ({ isAllowed: () => true, crawlDelay: null, sitemaps: [], status });
+
+  let response;
+  try {
+    response = await fetch(robotsUrl, {
+      headers: { "User-Agent": userAgent },
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(FETCH_TIMEOUT)]) : AbortSignal.timeout(FETCH_TIMEOUT),
+    });
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.warn(`Could not fetch ${robotsUrl}: ${error.message}`);
+    return allowAll("unreachable");
+  }
+
+  if (response.status >= 500) {
+    console.warn(`${robotsUrl} returned ${response.status}; treating the site as disallowed`);
+    return { isAllowed: () => false, crawlDelay: null, sitemaps: [], status: response.status };
+  }
+  if (!response.ok) return allowAll(response.status);
+
+  const robots = parseRobotsTxt(await response.text());
+  const selected = selectRobotsRules(robots, userAgent);
+  console.log(`Loaded ${robotsUrl}: ${selected.rules.length} rules for ${userAgent}, ${robots.sitemaps.length} sitemaps`);
+
+  return {
+    isAllowed: (url) => isAllowedByRobots(selected, url),
+    crawlDelay: selected.crawlDelay,
+    sitemaps: robots.sitemaps,
+    status: response.status,
+  };
+}
+
+export { DEFAULT_USER_AGENT, parseRobotsTxt, selectRobotsRules, isAllowedByRobots, loadRobotsTxt };
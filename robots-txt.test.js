@@ -0,0 +1,99 @@
+import { isAllowedByRobots, parseRobotsTxt, selectRobotsRules } from "./robots-txt.js";
+
+const ROBOTS = `
+# Shop robots
+User-agent: *
+Disallow: /checkout
+Disallow: /search?
+Allow: /checkout/help
+Crawl-delay: 2
+
+User-agent: ResponsiveTracer
+User-agent: OtherBot
+Disallow: /admin/
+Disallow:
+Crawl-delay: abc
+
+User-agent: ResponsiveTracer-Mobile
+Disallow: /
+
+Sitemap: https://shop.example.com/sitemap.xml
+`;
+
+const isAllowed = (text, url, userAgent) => isAllowedByRobots(selectRobotsRules(parseRobotsTxt(text), userAgent), url);
+
+describe("parseRobotsTxt", () => {
+  test("groups consecutive user-agent lines and collects rules, delays and sitemaps", () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    expect(robots.sitemaps).toEqual(["https://shop.example.com/sitemap.xml"]);
+    expect(robots.groups).toEqual([
+      {
+        userAgents: ["*"],
+        rules: [
+          { allow: false, pattern: "/checkout" },
+          { allow: false, pattern: "/search?" },
+          { allow: true, pattern: "/checkout/help" },
+        ],
+        crawlDelay: 2,
+      },
+      { userAgents: ["responsivetracer", "otherbot"], rules: [{ allow: false, pattern: "/admin/" }], crawlDelay: null },
+      { userAgents: ["responsivetracer-mobile"], rules: [{ allow: false, pattern: "/" }], crawlDelay: null },
+    ]);
+  });
+
+  test("ignores rules before the first user-agent line", () => {
+    expect(parseRobotsTxt("Disallow: /\r\nUser-agent: *\r\nAllow: /").groups).toEqual([
+      { userAgents: ["*"], rules: [{ allow: true, pattern: "/" }], crawlDelay: null },
+    ]);
+  });
+});
+
+describe("selectRobotsRules", () => {
+  test("uses the group with the longest token contained in the user agent", () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    expect(selectRobotsRules(robots, "ResponsiveTracer").rules).toEqual([{ allow: false, pattern: "/admin/" }]);
+    expect(selectRobotsRules(robots, "ResponsiveTracer-Mobile/1.0").rules).toEqual([{ allow: false, pattern: "/" }]);
+  });
+
+  test("falls back to the * groups for unnamed agents", () => {
+    const selected = selectRobotsRules(parseRobotsTxt(ROBOTS), "SomeCrawler");
+
+    expect(selected.rules).toHaveLength(3);
+    expect(selected.crawlDelay).toBe(2);
+  });
+
+  test("allows everything when no group applies", () => {
+    expect(selectRobotsRules(parseRobotsTxt("User-agent: OtherBot\nDisallow: /"), "ResponsiveTracer")).toEqual({
+      rules: [],
+      crawlDelay: null,
+    });
+  });
+});
+
+describe("isAllowedByRobots", () => {
+  test.each([
+    ["https://shop.example.com/products", true],
+    ["https://shop.example.com/checkout", false],
+    ["https://shop.example.com/checkout/payment", false],
+    // The longer Allow pattern wins over the shorter Disallow
+    ["https://shop.example.com/checkout/help", true],
+    ["https://shop.example.com/search?q=shoes", false],
+    ["https://shop.example.com/search", true],
+  ])("%s allowed: %s", (url, allowed) => {
+    expect(isAllowed(ROBOTS, url, "SomeCrawler")).toBe(allowed);
+  });
+
+  test("supports * wildcards and $ anchors", () => {
+    const robots = "User-agent: *\nDisallow: /*.pdf$\nDisallow: /private*/drafts";
+
+    expect(isAllowed(robots, "https://shop.example.com/files/terms.pdf", "SomeCrawler")).toBe(false);
+    expect(isAllowed(robots, "https://shop.example.com/files/terms.pdf?download=1", "SomeCrawler")).toBe(true);
+    expect(isAllowed(robots, "https://shop.example.com/private-area/drafts/1", "SomeCrawler")).toBe(false);
+  });
+
+  test("lets Allow win a tie between equally long patterns", () => {
+    expect(isAllowed("User-agent: *\nDisallow: /page\nAllow: /page", "https://shop.example.com/page", "Bot")).toBe(true);
+  });
+});
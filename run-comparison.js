@@ -0,0 +1,226 @@
+import { getSite } from "./run-store.js";
+import { getEndpointTemplate, isFailedCall } from "./endpoint-templates.js";
+
+const SCORE_KEYS = ["performance", "accessibility", "bestPractices", "seo"];
+
+// Raw Lighthouse values from analyzeSite's details; all are lower-is-better
+const METRIC_KEYS = {
+  fcp: "fcpRaw",
+  lcp: "lcpRaw",
+  cls: "clsRaw",
+  tbt: "tbtRaw",
+  tti: "ttiRaw",
+  si: "siRaw",
+};
+
+// Changes smaller than these are reported as unchanged
+const TOLERANCES = {
+  siteScore: 1, // 0-100
+  pageScore: 0.01, // 0-1
+  cls: 0.01,
+  timing: 50, // ms
+};
+
+/**
+ * Extracts the analysis results from any of the shapes the API hands out:
+ * the legacy { success, data } response, a job, a stored run, or the results object itself
+ * @param {Object} input - Uploaded JSON
+ * @returns {Object|null} - Analysis results, or null when the input isn't one
+ */
+function unwrapAnalysisResult(input) {
+  if (!input || typeof input !== "object") return null;
+  if (Array.isArray(input.lighthouseResults)) return input;
+  if (input.data && Array.isArray(input.data.lighthouseResults)) return input.data;
+  return null;
+}
+
+function getResultSite(result) {
+  const url = result.url || result.websiteStructure?.visitedUrls?.[0];
+  return url ? getSite(url) : null;
+}
+
+/**
+ * Compares two complete website analyses of the same site
+ * @param {Object} baseline - Earlier analysis results
+ * @param {Object} current - Later analysis results
+ * @returns {Object} - Site, page, endpoint and alert level deltas
+ */
+function compareAnalysisResults(baseline, current) {
+  const scores = Object.fromEntries(
+    SCORE_KEYS.map((key) => [
+      key,
+      buildDelta(baseline[key], current[key], { higherIsBetter: true, tolerance: TOLERANCES.siteScore }),
+    ])
+  );
+
+  const pages = comparePages(baseline.lighthouseResults || [], current.lighthouseResults || []);
+  const endpoints = compareEndpoints(
+    baseline.apiAnalysis?.apiCalls || [],
+    current.apiAnalysis?.apiCalls || []
+  );
+  const alerts = compareAlerts(collectAlerts(baseline), collectAlerts(current));
+
+  const allDeltas = [
+    ...Object.values(scores),
+    ...pages.flatMap((page) => [...Object.values(page.scores), ...Object.values(page.metrics)]),
+    ...endpoints.map((endpoint) => endpoint.duration),
+  ];
+
+  return {
+    site: getResultSite(current),
+    baseline: { url: baseline.url || null, totalPages: baseline.summary?.totalPagesAnalyzed ?? 0 },
+    current: { url: current.url || null, totalPages: current.summary?.totalPagesAnalyzed ?? 0 },
+    summary: {
+      improved: allDeltas.filter((delta) => delta.trend === "improved").length,
+      regressed: allDeltas.filter((delta) => delta.trend === "regressed").length,
+      newAlerts: alerts.new.length,
+      resolvedAlerts: alerts.resolved.length,
+    },
+    scores,
+    pages,
+    endpoints,
+    alerts,
+  };
+}
+
+function comparePages(baselinePages, currentPages) {
+  const baselineByUrl = new Map(baselinePages.map((page) => [page.url, page]));
+  const currentByUrl = new Map(currentPages.map((page) => [page.url, page]));
+  const urls = Array.from(new Set([...baselineByUrl.keys(), ...currentByUrl.keys()]));
+
+  return urls.map((url) => {
+    const before = baselineByUrl.get(url) || {};
+    const after = currentByUrl.get(url) || {};
+
+    return {
+      url,
+      presence: !baselineByUrl.has(url) ? "added" : !currentByUrl.has(url) ? "removed" : "both",
+      scores: Object.fromEntries(
+        SCORE_KEYS.map((key) => [
+          key,
+          buildDelta(before[key], after[key], { higherIsBetter: true, tolerance: TOLERANCES.pageScore }),
+        ])
+      ),
+      metrics: Object.fromEntries(
+        Object.entries(METRIC_KEYS).map(([key, rawKey]) => [
+          key,
+          buildDelta(before.details?.[rawKey], after.details?.[rawKey], {
+            higherIsBetter: false,
+            tolerance: key === "cls" ? TOLERANCES.cls : TOLERANCES.timing,
+          }),
+        ])
+      ),
+    };
+  });
+}
+
+function compareEndpoints(baselineCalls, currentCalls) {
+  const before = groupCallsByEndpoint(baselineCalls);
+  const after = groupCallsByEndpoint(currentCalls);
+  const keys = Array.from(new Set([...before.keys(), ...after.keys()]));
+
+  return keys
+    .map((key) => {
+      const baselineStats = before.get(key) || null;
+      const currentStats = after.get(key) || null;
+
+      return {
+        endpoint: key,
+        presence: !baselineStats ? "added" : !currentStats ? "removed" : "both",
+        baseline: baselineStats,
+        current: currentStats,
+        duration: buildDelta(baselineStats?.averageDuration, currentStats?.averageDuration, {
+          higherIsBetter: false,
+          tolerance: TOLERANCES.timing,
+        }),
+      };
+    })
+    .sort((a, b) => Math.abs(b.duration.change || 0) - Math.abs(a.duration.change || 0));
+}
+
+function groupCallsByEndpoint(apiCalls) {
+  const groups = new Map();
+
+  apiCalls.forEach((call) => {
+    const key = getEndpointKey(call);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(call);
+  });
+
+  return new Map(
+    Array.from(groups.entries()).map(([key, calls]) => {
+      // Calls without a recorded timing would drag the average towards whatever placeholder they carry
+      const durations = calls
+        .filter((call) => call.timingSource === "measured")
+        .map((call) => call.duration)
+        .filter((duration) => typeof duration === "number");
+      return [
+        key,
+        {
+          count: calls.length,
+          averageDuration: durations.length
+            ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+            : null,
+          errorCount: calls.filter(isFailedCall).length,
+        },
+      ];
+    })
+  );
+}
+
+function getEndpointKey(call) {
+  // Template the path so /api/products/17 in one run matches /api/products/42 in the other
+  return getEndpointTemplate(call).key;
+}
+
+function collectAlerts(result) {
+  if (Array.isArray(result.alerts)) return result.alerts;
+
+  // Results produced before site-level alerts were recorded
+  return (result.lighthouseResults || []).flatMap((page) =>
+    (page.alerts || []).map((alert) => ({ ...alert, page: page.url }))
+  );
+}
+
+function compareAlerts(baselineAlerts, currentAlerts) {
+  const alertKey = (alert) => `${alert.page || ""}|${alert.metric}|${alert.type}`;
+  const baselineKeys = new Set(baselineAlerts.map(alertKey));
+  const currentKeys = new Set(currentAlerts.map(alertKey));
+
+  return {
+    new: currentAlerts.filter((alert) => !baselineKeys.has(alertKey(alert))),
+    resolved: baselineAlerts.filter((alert) => !currentKeys.has(alertKey(alert))),
+    unchanged: currentAlerts.filter((alert) => baselineKeys.has(alertKey(alert))).length,
+  };
+}
+
+function buildDelta(baseline, current, { higherIsBetter, tolerance }) {
+  const hasBaseline = typeof baseline === "number";
+  const hasCurrent = typeof current === "number";
+
+  if (!hasBaseline || !hasCurrent) {
+    return {
+      baseline: hasBaseline ? baseline : null,
+      current: hasCurrent ? current : null,
+      change: null,
+      changePercent: null,
+      trend: "unknown",
+    };
+  }
+
+  const change = Math.round((current - baseline) * 1000) / 1000;
+  let trend = "unchanged";
+  if (Math.abs(change) >= tolerance) {
+    trend = (change > 0) === higherIsBetter ? "improved" : "regressed";
+  }
+
+  return {
+    baseline,
+    current,
+    change,
+    changePercent: baseline !== 0 ? Math.round((change / baseline) * 1000) / 10 : null,
+    trend,
+  };
+}
+
+export { compareAnalysisResults, unwrapAnalysisResult, getResultSite };
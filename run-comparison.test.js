@@ -0,0 +1,99 @@
+import { compareAnalysisResults, unwrapAnalysisResult } from "./run-comparison.js";
+
+const page = (url, performance, lcpRaw) => ({ url, performance, details: { lcpRaw } });
+const call = (url, fields = {}) => ({ url, method: "GET", status: 200, timingSource: "measured", ...fields });
+
+const analysis = ({ performance = 80, pages = [], apiCalls = [], alerts = [] } = {}) => ({
+  url: "https://shop.example.com/",
+  performance,
+  summary: { totalPagesAnalyzed: pages.length },
+  lighthouseResults: pages,
+  apiAnalysis: { apiCalls },
+  alerts,
+});
+
+describe("compareAnalysisResults", () => {
+  test("reports score and metric trends, ignoring changes within tolerance", () => {
+    const comparison = compareAnalysisResults(
+      analysis({ performance: 80, pages: [page("https://shop.example.com/", 0.8, 2000)] }),
+      analysis({ performance: 70, pages: [page("https://shop.example.com/", 0.805, 2600)] })
+    );
+
+    expect(comparison.site).toBe("shop.example.com");
+    expect(comparison.scores.performance).toMatchObject({ change: -10, trend: "regressed" });
+    expect(comparison.pages[0].scores.performance.trend).toBe("unchanged");
+    expect(comparison.pages[0].metrics.lcp).toMatchObject({ change: 600, trend: "regressed" });
+    expect(comparison.pages[0].metrics.cls.trend).toBe("unknown");
+  });
+
+  test("marks pages present in only one run", () => {
+    const comparison = compareAnalysisResults(
+      analysis({ pages: [page("https://shop.example.com/old", 0.9, 1000)] }),
+      analysis({ pages: [page("https://shop.example.com/new", 0.9, 1000)] })
+    );
+
+    expect(comparison.pages.map((entry) => [entry.url, entry.presence])).toEqual([
+      ["https://shop.example.com/old", "removed"],
+      ["https://shop.example.com/new", "added"],
+    ]);
+  });
+
+  test("matches endpoints by route template and averages measured timings only", () => {
+    const comparison = compareAnalysisResults(
+      analysis({ apiCalls: [call("https://api.example.com/products/1", { duration: 100 })] }),
+      analysis({
+        apiCalls: [
+          call("https://api.example.com/products/2", { duration: 300 }),
+          call("https://api.example.com/products/3", { duration: 0, timingSource: "unavailable" }),
+        ],
+      })
+    );
+
+    expect(comparison.endpoints).toHaveLength(1);
+    expect(comparison.endpoints[0]).toMatchObject({
+      endpoint: "GET api.example.com/products/:id",
+      presence: "both",
+      current: { count: 2, averageDuration: 300 },
+      duration: { change: 200, trend: "regressed" },
+    });
+  });
+
+  test("counts GraphQL errors in 200 responses as endpoint errors", () => {
+    const graphql = { label: "query GetCart", errors: ["Cart not found"] };
+    const comparison = compareAnalysisResults(
+      analysis(),
+      analysis({
+        apiCalls: [
+          call("https://api.example.com/graphql", { method: "POST", duration: 50, graphql }),
+          call("https://api.example.com/orders", { status: 500, duration: 20 }),
+        ],
+      })
+    );
+
+    const errors = Object.fromEntries(comparison.endpoints.map((entry) => [entry.endpoint, entry.current.errorCount]));
+    expect(errors).toEqual({
+      "POST api.example.com/graphql (query GetCart)": 1,
+      "GET api.example.com/orders": 1,
+    });
+  });
+
+  test("lists new and resolved alerts", () => {
+    const slowLcp = { type: "critical", metric: "LCP", page: "https://shop.example.com/" };
+    const slowApi = { type: "warning", metric: "Slow API Endpoints" };
+    const comparison = compareAnalysisResults(analysis({ alerts: [slowLcp] }), analysis({ alerts: [slowApi] }));
+
+    expect(comparison.alerts.new).toEqual([slowApi]);
+    expect(comparison.alerts.resolved).toEqual([slowLcp]);
+    expect(comparison.summary).toMatchObject({ newAlerts: 1, resolvedAlerts: 1 });
+  });
+});
+
+describe("unwrapAnalysisResult", () => {
+  test("accepts results, legacy responses and rejects anything else", () => {
+    const result = analysis();
+    expect(unwrapAnalysisResult(result)).toBe(result);
+    expect(unwrapAnalysisResult({ success: true, data: result })).toBe(result);
+    expect(unwrapAnalysisResult({ lighthouseResults: "no" })).toBeNull();
+    expect(unwrapAnalysisResult(null)).toBeNull();
+  });
+});
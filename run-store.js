@@ -0,0 +1,164 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_RUNS_DIR = fileURLToPath(new URL("./data/runs", import.meta.url));
+
+/**
+ * File-backed store for finished analysis runs.
+ * Each run is written to <dir>/<id>.json and summarized in <dir>/index.json;
+ * its HAR log, when captured, goes to <dir>/<id>.har.
+ */
+class RunStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.RUNS_DIR || DEFAULT_RUNS_DIR;
+    this.indexPath = path.join(this.dir, "index.json");
+    // Serializes index updates so concurrent saves can't drop entries
+    this.writeChain = Promise.resolve();
+  }
+
+  async saveRun(run) {
+    const record = {
+      id: run.id,
+      url: run.url,
+      site: getSite(run.url),
+      status: run.status,
+      options: run.options,
+      authenticated: Boolean(run.authenticated),
+      hasHar: Boolean(run.har),
+      scheduleId: run.scheduleId || null,
+      createdAt: run.createdAt,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      error: run.error || null,
+      alerts: run.data?.alerts || [],
+      data: run.data || null,
+    };
+
+    const write = this.writeChain.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      if (run.har) await writeJsonAtomic(path.join(this.dir, `${record.id}.har`), run.har);
+      await writeJsonAtomic(path.join(this.dir, `${record.id}.json`), record);
+
+      const index = await this.readIndex();
+      const entries = index.filter((entry) => entry.id !== record.id);
+      entries.push(summarizeRun(record));
+      await writeJsonAtomic(this.indexPath, entries);
+    });
+
+    this.writeChain = write.catch(() => {});
+    await write;
+    return record;
+  }
+
+  async listRuns(filters = {}) {
+    const index = await this.readIndex();
+    const site = filters.site ? getSite(filters.site) : null;
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    return index
+      .filter((entry) => !site || entry.site === site)
+      .filter((entry) => !filters.status || entry.status === filters.status)
+      .filter((entry) => !from || new Date(entry.createdAt) >= from)
+      .filter((entry) => !to || new Date(entry.createdAt) <= to)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getRun(id) {
+    return this.readRunFile(id, "json");
+  }
+
+  async getRunHar(id) {
+    return this.readRunFile(id, "har");
+  }
+
+  async readRunFile(id, extension) {
+    // Run IDs are UUIDs; anything else could escape the store directory
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    try {
+      const contents = await fs.readFile(path.join(this.dir, `${id}.${extension}`), "utf8");
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(this.indexPath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+}
+
+function summarizeRun(record) {
+  const alerts = record.alerts || [];
+
+  return {
+    id: record.id,
+    url: record.url,
+    site: record.site,
+    status: record.status,
+    options: record.options,
+    authenticated: Boolean(record.authenticated),
+    hasHar: Boolean(record.hasHar),
+    scheduleId: record.scheduleId,
+    createdAt: record.createdAt,
+    finishedAt: record.finishedAt,
+    error: record.error,
+    scores: record.data
+      ? {
+          performance: record.data.performance,
+          accessibility: record.data.accessibility,
+          bestPractices: record.data.bestPractices,
+          seo: record.data.seo,
+        }
+      : null,
+    totalPages: record.data?.summary?.totalPagesAnalyzed ?? 0,
+    totalApiCalls: record.data?.summary?.totalApiCallsFound ?? 0,
+    alertCounts: {
+      critical: alerts.filter((alert) => alert.type === "critical").length,
+      warning: alerts.filter((alert) => alert.type === "warning").length,
+    },
+  };
+}
+
+/**
+ * Validates the filters of a run listing before listRuns compares dates with them
+ * @param {Object} filters - { site, from, to, status } query parameters
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateRunFilters(filters = {}) {
+  for (const key of ["from", "to"]) {
+    if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+      return `${key} must be a date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reduces a URL (or bare host) to the host used to group runs by site
+ * @param {string} value - URL or host name
+ * @returns {string} - Lower-cased host
+ */
+function getSite(value) {
+  try {
+    return new URL(value).host.toLowerCase();
+  } catch {
+    return String(value).trim().toLowerCase();
+  }
+}
+
+async function writeJsonAtomic(filePath, value) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value));
+  await fs.rename(tempPath, filePath);
+}
+
+export { RunStore, getSite, validateRunFilters };
@@ -0,0 +1,22 @@
+import { getSite, validateRunFilters } from "./run-store.js";
+
+describe("validateRunFilters", () => {
+  test.each([
+    ["no filters", {}, null],
+    ["ISO dates", { from: "2024-05-01", to: "2024-05-31T23:59:59Z" }, null],
+    ["an invalid from", { from: "last week" }, "from must be a date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z"],
+    ["an invalid to", { from: "2024-05-01", to: "2024-13-45" }, "to must be a date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z"],
+  ])("%s", (description, filters, error) => {
+    expect(validateRunFilters(filters)).toBe(error);
+  });
+});
+
+describe("getSite", () => {
+  test.each([
+    ["https://Shop.Example.com/cart?x=1", "shop.example.com"],
+    ["http://localhost:3000/", "localhost:3000"],
+    [" Shop.Example.com ", "shop.example.com"],
+  ])("%s -> %s", (value, site) => {
+    expect(getSite(value)).toBe(site);
+  });
+});
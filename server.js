@@ -2,233 +2,469 @@ import express from "express";
 import cors from "cors";
 import { URL } from "url";
 import { analyzeSite } from "./lighthouse-service.js";
-import { WebsiteCrawler } from "./website-crawler.js";
-import { ApiPerformanceCorrelator } from "./api-performance-correlator.js";
+import { normalizeAnalysisOptions, validateAnalysisOptions } from "./website-analysis.js";
+import { AnalysisJobManager } from "./analysis-jobs.js";
+import { RunStore, validateRunFilters } from "./run-store.js";
+import { compareAnalysisResults, unwrapAnalysisResult, getResultSite } from "./run-comparison.js";
+import { AnalysisScheduler, validateScheduleInput } from "./analysis-scheduler.js";
+import { BudgetStore, validateBudget, evaluateBudget } from "./performance-budgets.js";
+import { BrowserPool } from "./browser-pool.js";
+import { validateAuthOptions, prepareAuthSession } from "./auth-session.js";
+import { validateCrawlScopeOptions } from "./crawl-scope.js";
+import { filterHarByPage } from "./har-builder.js";
+import { validateHar, analyzeHar } from "./har-import.js";
+import { validateRoutePatterns } from "./endpoint-templates.js";
 
 const app = express();
 const PORT = 5000;
+// One pool of browsers shared by queued analyses and single-page requests
+const browserPool = new BrowserPool();
+const jobManager = new AnalysisJobManager({ browserPool });
+const runStore = new RunStore();
+const scheduler = new AnalysisScheduler({ jobManager });
+const budgetStore = new BudgetStore();
+
+jobManager.on("finished", async (job) => {
+  try {
+    await runStore.saveRun({ ...jobManager.serializeJob(job), data: job.result, har: job.har });
+    console.log(`Saved analysis run ${job.id} (${job.status})`);
+    // Downloads are served from the saved copy from now on
+    job.har = null;
+  } catch (error) {
+    console.error(`Failed to save analysis run ${job.id}:`, error);
+  }
+});
 
 app.use(cors());
-app.use(express.json());
+// Comparison uploads carry two full analysis results, HAR imports a whole capture
+app.use(express.json({ limit: "50mb" }));
+
+app.post("/api/analyze-complete-website", (req, res) => {
+  const { url, options = {} } = req.body;
+
+  if (!url) return res.status(400).json({ error: "URL is required" });
 
-app.post("/api/analyze-complete-website", async (req, res) => {
   try {
-    const { url, options = {} } = req.body;
+    new URL(url);
+  } catch {
+    return res.status(400).json({ error: "Invalid URL format" });
+  }
 
-    if (!url) return res.status(400).json({ error: "URL is required" });
+  const authError = validateAuthOptions(options.auth);
+  if (authError) return res.status(400).json({ error: authError });
 
-    try {
-      new URL(url);
-    } catch {
-      return res.status(400).json({ error: "Invalid URL format" });
-    }
+  const optionsError = validateAnalysisOptions(options);
+  if (optionsError) return res.status(400).json({ error: optionsError });
+
+  const scopeError = validateCrawlScopeOptions(options);
+  if (scopeError) return res.status(400).json({ error: scopeError });
+
+  const routePatternsError = validateRoutePatterns(options.routePatterns);
+  if (routePatternsError) return res.status(400).json({ error: routePatternsError });
+
+  // Each Lighthouse audit leases a whole browser, so more audits than pooled browsers would only queue
+  if (options.lighthouseConcurrency > browserPool.maxBrowsers) {
+    return res.status(400).json({
+      error:
+        `lighthouseConcurrency must be at most ${browserPool.maxBrowsers}, ` +
+        "the number of browsers in the server's pool (BROWSER_POOL_MAX_BROWSERS)",
+    });
+  }
+
+  const job = jobManager.enqueue(url, normalizeAnalysisOptions(options), { auth: options.auth || null });
+
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  return res.json(jobManager.serializeJob(job));
+});
+
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get("Last-Event-ID"), 10) || 0;
+  jobManager.getEventsSince(job, lastEventId).forEach(sendEvent);
+
+  if (jobManager.isFinished(job)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+  const onProgress = (progressJob, event) => {
+    if (progressJob.id !== job.id) return;
+    sendEvent(event);
+    if (jobManager.isFinished(progressJob)) cleanup();
+  };
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    jobManager.off("progress", onProgress);
+    res.end();
+  }
+
+  jobManager.on("progress", onProgress);
+  req.on("close", cleanup);
+});
+
+/**
+ * Sends a HAR log as a download, narrowed to one page when ?page=<url> is given
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|null} har - HAR document
+ * @param {string} name - File name without extension
+ */
+function sendHar(req, res, har, name) {
+  if (!har) return res.status(404).json({ error: "No HAR captured for this analysis" });
+
+  const { page } = req.query;
+  const body = page ? filterHarByPage(har, page) : har;
+  if (!body) return res.status(404).json({ error: "Page not found in HAR" });
+
+  res.set("Content-Disposition", `attachment; filename="${name}.har"`);
+  return res.type("application/json").send(JSON.stringify(body));
+}
+
+app.get("/api/jobs/:id/har", async (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  try {
+    // Once the run is saved the log only lives in the run store
+    const har = job.har || (jobManager.isFinished(job) ? await runStore.getRunHar(job.id) : null);
+    return sendHar(req, res, har, job.id);
+  } catch (error) {
+    console.error("Error loading HAR:", error);
+    return res.status(500).json({
+      error: "Failed to load HAR",
+      message: error.message,
+    });
+  }
+});
 
-    console.log(`Starting complete website analysis for ${url}`);
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  if (jobManager.isFinished(job)) {
+    return res.status(409).json({
+      error: "Job already finished",
+      status: job.status,
+    });
+  }
 
-    const analysisOptions = {
-      maxPages: Math.min(options.maxPages || 15, 50),
-      maxDepth: Math.min(options.maxDepth || 3, 5),
+  jobManager.cancelJob(job.id);
+  return res.json(jobManager.serializeJob(job));
+});
+
+app.get("/api/runs", async (req, res) => {
+  const { site, from, to, status } = req.query;
+  const filtersError = validateRunFilters({ from, to });
+  if (filtersError) return res.status(400).json({ error: filtersError });
+
+  try {
+    const runs = await runStore.listRuns({ site, from, to, status });
+    return res.json({ runs });
+  } catch (error) {
+    console.error("Error listing runs:", error);
+    return res.status(500).json({
+      error: "Failed to list analysis runs",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/api/runs/:id", async (req, res) => {
+  try {
+    const run = await runStore.getRun(req.params.id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+
+    return res.json(run);
+  } catch (error) {
+    console.error("Error loading run:", error);
+    return res.status(500).json({
+      error: "Failed to load analysis run",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/api/runs/:id/har", async (req, res) => {
+  try {
+    // Runs are saved after their job finishes; until then the log is still held by the job
+    const job = jobManager.getJob(req.params.id);
+    if (job?.har) return sendHar(req, res, job.har, job.id);
+
+    const run = await runStore.getRun(req.params.id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+
+    return sendHar(req, res, await runStore.getRunHar(run.id), run.id);
+  } catch (error) {
+    console.error("Error loading HAR:", error);
+    return res.status(500).json({
+      error: "Failed to load HAR",
+      message: error.message,
+    });
+  }
+});
+
+app.post("/api/compare", async (req, res) => {
+  try {
+    const { baselineRunId, currentRunId } = req.body;
+
+    const loadSide = async (runId, uploaded) => {
+      if (runId) return unwrapAnalysisResult(await runStore.getRun(runId));
+      return unwrapAnalysisResult(uploaded);
     };
 
-    console.log("Phase 1: Crawling website and discovering API calls...");
-    const crawler = new WebsiteCrawler(analysisOptions);
-    const crawlResults = await crawler.crawlWebsite(url);
-
-    console.log("Phase 2: Analyzing API impact on frontend metrics...");
-    const correlator = new ApiPerformanceCorrelator();
-    const enhancedApiCalls = await correlator.analyzeApiImpact(crawlResults.apiCalls, url);
-
-    console.log("Phase 3: Running Lighthouse analysis...");
-    const lighthouseResults = [];
-    const keyPages = Array.from(crawlResults.visitedUrls).slice(0, 5);
-
-    for (const pageUrl of keyPages) {
-      try {
-        const result = await analyzeSite(pageUrl, "overall");
-        lighthouseResults.push({ url: pageUrl, ...result });
-      } catch (error) {
-        console.error(`Lighthouse analysis failed for ${pageUrl}: ${error.message}`);
-      }
+    const baseline = await loadSide(baselineRunId, req.body.baseline);
+    const current = await loadSide(currentRunId, req.body.current);
+
+    if (!baseline || !current) {
+      return res.status(400).json({
+        error: "Both baseline and current analysis results are required",
+      });
     }
 
-    const analysis = generateWebsiteAnalysis(crawlResults, enhancedApiCalls, lighthouseResults);
-
-    let performance = 0,
-      accessibility = 0,
-      bestPractices = 0,
-      seo = 0;
-
-    if (lighthouseResults.length > 0) {
-      performance = Math.round(
-        (lighthouseResults.reduce((sum, r) => sum + (r.performance || 0), 0) /
-          lighthouseResults.length) *
-          100
-      );
-      accessibility = Math.round(
-        (lighthouseResults.reduce((sum, r) => sum + (r.accessibility || 0), 0) /
-          lighthouseResults.length) *
-          100
-      );
-      bestPractices = Math.round(
-        (lighthouseResults.reduce((sum, r) => sum + (r.bestPractices || 0), 0) /
-          lighthouseResults.length) *
-          100
-      );
-      seo = Math.round(
-        (lighthouseResults.reduce((sum, r) => sum + (r.seo || 0), 0) /
-          lighthouseResults.length) *
-          100
-      );
+    const baselineSite = getResultSite(baseline);
+    const currentSite = getResultSite(current);
+    if (baselineSite !== currentSite) {
+      return res.status(400).json({
+        error: "Analyses belong to different sites",
+        baselineSite,
+        currentSite,
+      });
     }
 
-    const results = {
-      performance,
-      accessibility,
-      bestPractices,
-      seo,
-      summary: {
-        totalPagesAnalyzed: crawlResults.totalPages,
-        totalApiCallsFound: crawlResults.totalApiCalls,
-        averageApiResponseTime: calculateAverageResponseTime(enhancedApiCalls),
-        pagesWithSlowApis: countPagesWithSlowApis(enhancedApiCalls),
-        criticalIssuesFound: analysis.criticalIssues?.length || 0,
-      },
-      websiteStructure: {
-        visitedUrls: crawlResults.visitedUrls,
-        pageData: crawlResults.pageData,
-        totalPages: crawlResults.totalPages,
-        maxDepthReached: crawlResults.maxDepthReached,
-      },
-      apiAnalysis: {
-        totalApiCalls: crawlResults.totalApiCalls,
-        apiCalls: enhancedApiCalls,
-        slowestApis: enhancedApiCalls.filter((call) => call.duration > 1000),
-        errorApis: enhancedApiCalls.filter((call) => call.status >= 400),
-        highImpactApis: enhancedApiCalls.filter(
-          (call) => call.frontendImpact?.renderingImpact === "high"
-        ),
-      },
-      lighthouseResults,
-      performanceInsights: analysis,
-    };
+    return res.json(compareAnalysisResults(baseline, current));
+  } catch (error) {
+    console.error("Error comparing runs:", error);
+    return res.status(500).json({
+      error: "Failed to compare analysis runs",
+      message: error.message,
+    });
+  }
+});
 
-    console.log(
-      `Complete website analysis finished: ${results.summary.totalPagesAnalyzed} pages, ${results.summary.totalApiCallsFound} API calls`
-    );
+app.get("/api/schedules", (req, res) => {
+  return res.json({ schedules: scheduler.list() });
+});
 
-    return res.json({
-      success: true,
-      data: results,
-      analysisCompleted: new Date().toISOString(),
-    });
+app.post("/api/schedules", async (req, res) => {
+  const validationError = validateScheduleInput(req.body);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const schedule = await scheduler.create(req.body);
+    return res.status(201).json(schedule);
   } catch (error) {
-    console.error("Complete website analysis failed:", error);
+    console.error("Error creating schedule:", error);
     return res.status(500).json({
-      error: "Failed to analyze complete website",
+      error: "Failed to create schedule",
       message: error.message,
     });
   }
 });
 
-app.post("/api/analyze-frontend", async (req, res) => {
+app.patch("/api/schedules/:id", async (req, res) => {
+  if (typeof req.body.paused !== "boolean") {
+    return res.status(400).json({ error: "paused must be a boolean" });
+  }
+
   try {
-    const { url, scenario } = req.body;
+    const schedule = await scheduler.setPaused(req.params.id, req.body.paused);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
 
-    if (!url) return res.status(400).json({ error: "URL is required" });
+    return res.json(schedule);
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    return res.status(500).json({
+      error: "Failed to update schedule",
+      message: error.message,
+    });
+  }
+});
 
-    console.log(`Analyzing ${url} for scenario: ${scenario || "overall"}`);
-    const results = await analyzeSite(url, scenario);
+app.delete("/api/schedules/:id", async (req, res) => {
+  try {
+    const removed = await scheduler.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Schedule not found" });
 
-    return res.json(results);
+    return res.status(204).end();
   } catch (error) {
-    console.error("Error analyzing site:", error);
+    console.error("Error deleting schedule:", error);
     return res.status(500).json({
-      error: "Failed to analyze the website",
+      error: "Failed to delete schedule",
       message: error.message,
     });
   }
 });
 
-function calculateAverageResponseTime(apiCalls) {
-  if (!apiCalls || apiCalls.length === 0) return 0;
-  const total = apiCalls.reduce((sum, call) => sum + (call.duration || 0), 0);
-  return Math.round(total / apiCalls.length);
-}
+app.get("/api/budgets/:site", async (req, res) => {
+  try {
+    const budget = await budgetStore.getBudget(req.params.site);
+    if (!budget) return res.status(404).json({ error: "No budget defined for this site" });
 
-function countPagesWithSlowApis(apiCalls) {
-  if (!apiCalls || apiCalls.length === 0) return 0;
-  const slowApiCalls = apiCalls.filter((call) => call.duration > 1000);
-  const pagesWithSlowApis = new Set(slowApiCalls.map((call) => call.page));
-  return pagesWithSlowApis.size;
-}
+    return res.json(budget);
+  } catch (error) {
+    console.error("Error loading budget:", error);
+    return res.status(500).json({
+      error: "Failed to load budget",
+      message: error.message,
+    });
+  }
+});
 
-function generateWebsiteAnalysis(crawlResults, apiCalls, lighthouseResults) {
-  const criticalIssues = [];
-  const recommendations = [];
+app.put("/api/budgets/:site", async (req, res) => {
+  const validationError = validateBudget(req.body);
+  if (validationError) return res.status(400).json({ error: validationError });
 
-  const slowApis = apiCalls.filter((call) => call.duration > 1000);
-  if (slowApis.length > 0) {
-    criticalIssues.push({
-      type: "api_performance",
-      severity: "high",
-      message: `${slowApis.length} slow API calls detected across the website`,
-      affectedApis: slowApis.map((api) => api.url),
+  try {
+    return res.json(await budgetStore.saveBudget(req.params.site, req.body));
+  } catch (error) {
+    console.error("Error saving budget:", error);
+    return res.status(500).json({
+      error: "Failed to save budget",
+      message: error.message,
     });
+  }
+});
+
+app.delete("/api/budgets/:site", async (req, res) => {
+  try {
+    const removed = await budgetStore.deleteBudget(req.params.site);
+    if (!removed) return res.status(404).json({ error: "No budget defined for this site" });
 
-    recommendations.push({
-      type: "api_optimization",
-      priority: "high",
-      message: "Optimize slow API endpoints or implement caching strategies",
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    return res.status(500).json({
+      error: "Failed to delete budget",
+      message: error.message,
     });
   }
+});
 
-  const highImpactApis = apiCalls.filter(
-    (call) => call.frontendImpact?.renderingImpact === "high"
-  );
+app.post("/api/budgets/:site/evaluate", async (req, res) => {
+  try {
+    const budget = await budgetStore.getBudget(req.params.site);
+    if (!budget) return res.status(404).json({ error: "No budget defined for this site" });
+
+    let results = unwrapAnalysisResult(req.body.data);
+    let runId = null;
+
+    if (!results) {
+      // Fall back to the requested run, or the latest completed run for the site
+      runId =
+        req.body.runId ||
+        (await runStore.listRuns({ site: req.params.site, status: "completed" }))[0]?.id;
+      results = runId ? unwrapAnalysisResult(await runStore.getRun(runId)) : null;
+    }
+
+    if (!results) return res.status(404).json({ error: "No analysis results to evaluate" });
 
-  if (highImpactApis.length > 0) {
-    criticalIssues.push({
-      type: "frontend_impact",
-      severity: "medium",
-      message: `${highImpactApis.length} API calls significantly impact frontend performance`,
-      affectedApis: highImpactApis.map((api) => api.url),
+    return res.json({
+      site: req.params.site,
+      runId,
+      ...evaluateBudget(budget, results),
+    });
+  } catch (error) {
+    console.error("Error evaluating budget:", error);
+    return res.status(500).json({
+      error: "Failed to evaluate budget",
+      message: error.message,
     });
   }
+});
 
-  return {
-    criticalIssues,
-    recommendations,
-    overallScore: calculateOverallScore(crawlResults, apiCalls, lighthouseResults),
-  };
-}
+app.post("/api/analyze-frontend", async (req, res) => {
+  try {
+    const { url, scenario, auth, har, separateApiRun, routePatterns } = req.body;
 
-function calculateOverallScore(crawlResults, apiCalls, lighthouseResults) {
-  let score = 100;
+    if (!url) return res.status(400).json({ error: "URL is required" });
 
-  const slowApis = apiCalls.filter((call) => call.duration > 1000);
-  score -= slowApis.length * 5;
+    const authError = validateAuthOptions(auth);
+    if (authError) return res.status(400).json({ error: authError });
 
-  const errorApis = apiCalls.filter((call) => call.status >= 400);
-  score -= errorApis.length * 10;
+    const routePatternsError = validateRoutePatterns(routePatterns);
+    if (routePatternsError) return res.status(400).json({ error: routePatternsError });
 
-  if (lighthouseResults.length > 0) {
-    const avgPerformanceScore =
-      lighthouseResults.reduce((sum, result) => sum + (result.performance || 0), 0) /
-      lighthouseResults.length;
-    score = Math.min(score, avgPerformanceScore * 100);
+    console.log(`Analyzing ${url} for scenario: ${scenario || "overall"}`);
+    const authSession = auth ? await prepareAuthSession(auth, url, { browserPool }) : null;
+    const results = await analyzeSite(url, scenario, {
+      browserPool,
+      authSession,
+      captureHar: Boolean(har),
+      separateApiRun: Boolean(separateApiRun),
+      routePatterns: routePatterns || [],
+    });
+
+    return res.json(results);
+  } catch (error) {
+    console.error("Error analyzing site:", error);
+    return res.status(500).json({
+      error: "Failed to analyze the website",
+      message: error.message,
+    });
   }
+});
 
-  return Math.max(0, Math.round(score));
-}
+app.post("/api/analyze-har", (req, res) => {
+  const { har, routePatterns } = req.body;
+
+  const validationError = validateHar(har) || validateRoutePatterns(routePatterns);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    return res.json(analyzeHar(har, { routePatterns: routePatterns || [] }));
+  } catch (error) {
+    console.error("Error analyzing HAR:", error);
+    return res.status(500).json({
+      error: "Failed to analyze the HAR file",
+      message: error.message,
+    });
+  }
+});
 
 app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+  res.status(200).json({ status: "ok", browserPool: browserPool.stats() });
 });
 
+scheduler
+  .load()
+  .then(() => scheduler.start())
+  .catch((error) => console.error("Failed to start analysis scheduler:", error));
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Complete website analysis: POST /api/analyze-complete-website`);
+  console.log(`Analysis jobs: GET/DELETE /api/jobs/:id, progress stream: GET /api/jobs/:id/events`);
+  console.log(`Run history: GET /api/runs, GET /api/runs/:id`);
+  console.log(`HAR export: GET /api/jobs/:id/har, GET /api/runs/:id/har (?page=<url> for one page)`);
+  console.log(`Run comparison: POST /api/compare`);
+  console.log(`Schedules: GET/POST /api/schedules, PATCH/DELETE /api/schedules/:id`);
+  console.log(`Budgets: GET/PUT/DELETE /api/budgets/:site, POST /api/budgets/:site/evaluate`);
   console.log(`Frontend analysis: POST /api/analyze-frontend`);
+  console.log(`Offline HAR analysis: POST /api/analyze-har`);
 });
 
 export default app;
\ No newline at end of file
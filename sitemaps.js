@@ -0,0 +1,87 @@
+import { gunzipSync } from "zlib";
+
+const FETCH_TIMEOUT = 15000;
+const MAX_SITEMAP_FILES = 25;
+const MAX_INDEX_DEPTH = 3;
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity])
+    .trim();
+}
+
+/**
+ * Extracts page or child sitemap locations from sitemap XML
+ * @param {string} xml - Sitemap or sitemap index document
+ * @returns {Object} - { isIndex, locations }
+ */
+function parseSitemapXml(xml) {
+  const isIndex = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml);
+  const entryTag = isIndex ? "sitemap" : "url";
+  const entryPattern = new RegExp(`<(?:\\w+:)?${entryTag}[\\s>][\\s\\S]*?<\\/(?:\\w+:)?${entryTag}>`, "gi");
+
+  const locations = (xml.match(entryPattern) || [])
+    .map((entry) => entry.match(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i)?.[1])
+    .filter(Boolean)
+    .map(decodeXml);
+
+  return { isIndex, locations };
+}
+
+async function fetchSitemap(url, { userAgent, signal }) {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT);
+  const response = await fetch(url, {
+    headers: { "User-Agent": userAgent },
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  let body = Buffer.from(await response.arrayBuffer());
+  // Gzipped sitemaps are served both as .xml.gz files and with a gzip content type;
+  // fetch already undoes Content-Encoding, so only check the payload's magic bytes
+  if (body[0] === 0x1f && body[1] === 0x8b) body = gunzipSync(body);
+  return body.toString("utf8");
+}
+
+/**
+ * Collects page URLs from sitemaps, following sitemap indexes
+ * @param {Array<string>} sitemapUrls - Sitemap or sitemap index URLs to start from
+ * @param {Object} options - { userAgent, signal, maxUrls }
+ * @returns {Promise<Object>} - { urls, errors: [{ url, reason }] }
+ */
+async function loadSitemapUrls(sitemapUrls, { userAgent, signal, maxUrls = 1000 } = {}) {
+  const urls = [];
+  const errors = [];
+  const seenSitemaps = new Set();
+  const queue = sitemapUrls.map((url) => ({ url, depth: 0 }));
+
+  while (queue.length > 0 && seenSitemaps.size < MAX_SITEMAP_FILES && urls.length < maxUrls) {
+    signal?.throwIfAborted();
+    const { url, depth } = queue.shift();
+    if (seenSitemaps.has(url)) continue;
+    seenSitemaps.add(url);
+
+    try {
+      const { isIndex, locations } = parseSitemapXml(await fetchSitemap(url, { userAgent, signal }));
+
+      if (isIndex) {
+        if (depth < MAX_INDEX_DEPTH) queue.push(...locations.map((location) => ({ url: location, depth: depth + 1 })));
+        else errors.push({ url, reason: "Sitemap index nested too deeply" });
+      } else {
+        urls.push(...locations.slice(0, maxUrls - urls.length));
+      }
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn(`Could not load sitemap ${url}: ${error.message}`);
+      errors.push({ url, reason: `Sitemap could not be loaded: ${error.message}` });
+    }
+  }
+
+  console.log(`Loaded ${urls.length} URLs from ${seenSitemaps.size} sitemaps`);
+  return { urls, errors };
+}
+
+export { parseSitemapXml, loadSitemapUrls };
@@ -0,0 +1,185 @@
+const MAX_INTERACTIONS = 10;
+const INTERACTION_SETTLE_TIME = 500;
+const RESTORE_TIMEOUT = 10000;
+
+// Controls a crawler may click: anchors are followed through their href instead
+const INTERACTIVE_SELECTOR = [
+  "button",
+  "[role='button']",
+  "[role='link']",
+  "[role='tab']",
+  "[role='menuitem']",
+  "[onclick]",
+  ".btn",
+].join(", ");
+
+// Controls that change server state, spend money or end the session are never clicked
+const UNSAFE_CONTROL_PATTERN =
+  "log\\s?-?out|sign\\s?-?out|log\\s?-?off|delete|remove|unsubscribe|deactivate|checkout|purchase|\\bbuy\\b|\\bpay\\b";
+
+/**
+ * Runs in every new document before its own scripts: records client-side navigations made
+ * through the History API or the location hash, so routes reached without an anchor are visible
+ */
+function recordClientNavigations() {
+  const routes = [];
+  Object.defineProperty(window, "__responsiveTracerRoutes", { value: routes });
+  const record = (type) => routes.push({ type, url: window.location.href });
+
+  ["pushState", "replaceState"].forEach((method) => {
+    const original = window.history[method];
+    window.history[method] = function (...args) {
+      const result = original.apply(this, args);
+      record(method);
+      return result;
+    };
+  });
+  window.addEventListener("hashchange", () => record("hashchange"));
+  window.addEventListener("popstate", () => record("popstate"));
+}
+
+/**
+ * Installs the navigation recorder; call before the page navigates
+ * @param {Object} page - Puppeteer page
+ */
+async function installRouteRecorder(page) {
+  await page.evaluateOnNewDocument(recordClientNavigations);
+}
+
+/**
+ * Returns and clears the navigations recorded since the last call
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Array>} - [{ type, url }]
+ */
+async function takeRecordedRoutes(page) {
+  try {
+    return await page.evaluate(() => (window.__responsiveTracerRoutes || []).splice(0));
+  } catch {
+    // The document was replaced by a full navigation, taking its records with it
+    return [];
+  }
+}
+
+/**
+ * Finds router link elements that render without an href: Vue's <router-link to>, Angular's
+ * routerLink and data-href/data-route attributes used by click-handler navigation
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Array>} - [{ url, text, attribute }]
+ */
+async function collectRouterLinks(page) {
+  return page.evaluate(() => {
+    const attributes = ["to", "routerlink", "ng-reflect-router-link", "data-href", "data-route"];
+    const selector = "router-link[to], [routerlink], [ng-reflect-router-link], [data-href], [data-route]";
+    // Hash-mode routers resolve "/about" to "#/about"
+    const hashPrefix = window.location.hash.match(/^#!?(?=\/)/)?.[0];
+
+    return Array.from(document.querySelectorAll(selector))
+      .map((element) => {
+        // Anchors with an href are already followed as plain links
+        if (element.matches("a[href]")) return null;
+        const attribute = attributes.find((name) => element.hasAttribute(name));
+        const target = attribute && element.getAttribute(attribute).trim();
+        // Bound expressions such as [routerLink]="['/user', id]" cannot be resolved statically
+        if (!target || target.startsWith("[") || target.startsWith("{")) return null;
+
+        try {
+          const url =
+            hashPrefix && target.startsWith("/")
+              ? `${window.location.origin}${window.location.pathname}${hashPrefix}${target}`
+              : new URL(target, document.baseURI).href;
+          return { url, text: element.textContent?.trim().slice(0, 80) || "", attribute };
+        } catch {
+          return null;
+        }
+      })
+      .filter((link) => link !== null);
+  });
+}
+
+async function listInteractionTargets(page) {
+  return page.$$eval(
+    INTERACTIVE_SELECTOR,
+    (elements, unsafeSource) => {
+      const unsafe = new RegExp(unsafeSource, "i");
+      return elements.map((element, index) => {
+        const text = (element.textContent || element.getAttribute("aria-label") || element.value || "")
+          .replace(/\s+/g, " ")
+          .trim()
+          .slice(0, 60);
+        const label = `${element.tagName.toLowerCase()} "${text}"`;
+        const rect = element.getBoundingClientRect();
+        const clickable =
+          element.closest("a[href]") === null &&
+          !element.disabled &&
+          rect.width > 0 &&
+          rect.height > 0 &&
+          // Submitting forms would post data to the site
+          !(element.type === "submit" && element.form) &&
+          !unsafe.test(text);
+        return { index, label, clickable };
+      });
+    },
+    UNSAFE_CONTROL_PATTERN
+  );
+}
+
+/**
+ * Clicks the page's safe interactive controls one at a time and records the client-side routes
+ * each click navigates to, returning to the page after every navigation
+ * @param {Object} page - Puppeteer page, already loaded with the recorder installed
+ * @param {Object} options - { signal } for cancellation, { maxInteractions } clicks to try
+ * @returns {Promise<Array>} - [{ url, type, interaction }] where interaction describes the clicked control
+ */
+async function discoverRoutesByInteraction(page, { signal, maxInteractions = MAX_INTERACTIONS } = {}) {
+  const startUrl = page.url();
+  const discovered = [];
+
+  try {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight / 2));
+    await page.waitForTimeout(INTERACTION_SETTLE_TIME);
+
+    const targets = (await listInteractionTargets(page)).filter((target) => target.clickable).slice(0, maxInteractions);
+
+    for (const target of targets) {
+      signal?.throwIfAborted();
+
+      // Re-query every time: earlier clicks may have re-rendered the page
+      const current = await listInteractionTargets(page);
+      const match = current[target.index]?.label === target.label
+        ? current[target.index]
+        : current.find((candidate) => candidate.label === target.label);
+      if (!match) continue;
+
+      const handles = await page.$$(INTERACTIVE_SELECTOR);
+      try {
+        await handles[match.index].click();
+        await page.waitForTimeout(INTERACTION_SETTLE_TIME);
+      } catch {
+        continue;
+      } finally {
+        await Promise.all(handles.map((handle) => handle.dispose().catch(() => {})));
+      }
+
+      const interaction = `click ${target.label}`;
+      const routes = await takeRecordedRoutes(page);
+      routes.forEach((route) => discovered.push({ ...route, interaction }));
+
+      const currentUrl = page.url();
+      if (currentUrl === startUrl) continue;
+      if (!routes.some((route) => route.url === currentUrl)) {
+        discovered.push({ type: "navigation", url: currentUrl, interaction });
+      }
+
+      await page.goBack({ waitUntil: "domcontentloaded", timeout: RESTORE_TIMEOUT }).catch(() => null);
+      await takeRecordedRoutes(page);
+      if (page.url() !== startUrl) break;
+    }
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.log("Error during route discovery:", error.message);
+  }
+
+  return discovered;
+}
+
+export { installRouteRecorder, takeRecordedRoutes, collectRouterLinks, discoverRoutesByInteraction };
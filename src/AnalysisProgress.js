@@ -0,0 +1,121 @@
+import React from 'react';
+
+export const initialProgress = {
+  phase: null,
+  totalPhases: null,
+  phaseMessage: '',
+  pages: [],
+  apiCalls: [],
+  lighthouse: {},
+  errors: [],
+};
+
+// Folds one server-sent progress event into the panel state
+export function applyProgressEvent(progress, event) {
+  switch (event.type) {
+    case 'phase':
+      return { ...progress, phase: event.phase, totalPhases: event.totalPhases, phaseMessage: event.message };
+    case 'page-crawled':
+      return { ...progress, pages: [...progress.pages, event] };
+    case 'api-call':
+      return { ...progress, apiCalls: [...progress.apiCalls, event] };
+    case 'lighthouse-started':
+      return {
+        ...progress,
+        lighthouse: { ...progress.lighthouse, [event.url]: { status: 'running' } },
+      };
+    case 'lighthouse-finished':
+      return {
+        ...progress,
+        lighthouse: { ...progress.lighthouse, [event.url]: { status: 'done', performance: event.performance } },
+      };
+    case 'error':
+      return {
+        ...progress,
+        errors: [...progress.errors, event],
+        lighthouse: event.stage === 'lighthouse'
+          ? { ...progress.lighthouse, [event.url]: { status: 'failed' } }
+          : progress.lighthouse,
+      };
+    default:
+      return progress;
+  }
+}
+
+// Pending and failed calls have no status, and calls without a recorded end no duration
+function formatCallOutcome(call) {
+  if (call.pending) return 'pending';
+  const status = call.failed ? 'failed' : call.status ?? 'no status';
+  return `${status} · ${Number.isFinite(call.duration) ? `${call.duration}ms` : 'unmeasured'}`;
+}
+
+function AnalysisProgress({ progress }) {
+  const lighthousePages = Object.entries(progress.lighthouse);
+
+  return (
+    <div className="progress-panel">
+      <div className="progress-phase">
+        {progress.phase ? `Phase ${progress.phase}/${progress.totalPhases}: ${progress.phaseMessage}` : 'Waiting for analysis to start...'}
+      </div>
+
+      <div className="progress-columns">
+        <div className="progress-column">
+          <h4>Pages Crawled ({progress.pages.length})</h4>
+          <ul className="progress-list">
+            {progress.pages.map((page) => (
+              <li key={page.id}>
+                <span className="progress-url" title={page.url}>{page.url}</span>
+                <span className="page-info">(depth {page.depth}, APIs: {page.apiCalls})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="progress-column">
+          <h4>API Calls Captured ({progress.apiCalls.length})</h4>
+          <ul className="progress-list">
+            {progress.apiCalls.map((call) => (
+              <li key={call.id}>
+                <span className={`method-tag method-${call.method?.toLowerCase() || 'get'}`}>{call.method}</span>
+                <span className="progress-url" title={call.url}>{call.url}</span>
+                <span className="page-info">{formatCallOutcome(call)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {lighthousePages.length > 0 && (
+        <div className="progress-column">
+          <h4>Lighthouse</h4>
+          <ul className="progress-list">
+            {lighthousePages.map(([pageUrl, state]) => (
+              <li key={pageUrl}>
+                <span className="progress-url" title={pageUrl}>{pageUrl}</span>
+                <span className={`progress-state progress-state-${state.status}`}>
+                  {state.status === 'done'
+                    ? `${Math.round((state.performance || 0) * 100)}/100`
+                    : state.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {progress.errors.length > 0 && (
+        <div className="progress-column">
+          <h4>Errors ({progress.errors.length})</h4>
+          <ul className="progress-list">
+            {progress.errors.map((error) => (
+              <li key={error.id} className="error-message">
+                [{error.stage}] {error.url}: {error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisProgress;
@@ -1,9 +1,20 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import "./App.css";
 import AlertsView from './alerts-view.js';
 import './alerts.css';
 import SessionSimulator from './SessionSimulator.js';
 import DbLatency from './DbLatency.js';
+import AnalysisProgress, { initialProgress, applyProgressEvent } from './AnalysisProgress.js';
+import HistoryView from './HistoryView.js';
+import CompareView from './CompareView.js';
+import SchedulesView from './SchedulesView.js';
+import BudgetsView from './BudgetsView.js';
+import HarImportView from './HarImportView.js';
+import EndpointStatsTable from './EndpointStatsTable.js';
+import RedundantCallsTable from './RedundantCallsTable.js';
+import EndpointImpactTable from './EndpointImpactTable.js';
+import ResilienceTable from './ResilienceTable.js';
+import WaterfallView from './WaterfallView.js';
 
 function DonutChart({ value = 0, label, color }) {
  
@@ -46,69 +57,153 @@ function DonutChart({ value = 0, label, color }) {
 }
 
 const API_BASE = 'http://localhost:5000';
+const JOB_POLL_INTERVAL = 2000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Tooltip for a crawled API call's timing breakdown; phases that did not happen are left out
+function formatTimingPhases(timing) {
+  if (!timing) return undefined;
+  const phases = Object.entries(timing).filter(([, value]) => value != null);
+  return phases.length ? phases.map(([phase, value]) => `${phase}: ${Math.round(value)}ms`).join(', ') : undefined;
+}
+
+// Only generate alerts from frontend metrics (lighthouseResults)
+function buildFrontendAlerts(data) {
+  const newAlerts = [];
+  if (data.lighthouseResults && Array.isArray(data.lighthouseResults)) {
+    data.lighthouseResults.forEach(page => {
+      if (page.lcp && parseFloat(page.lcp) > 4) {
+        newAlerts.push({
+          type: 'critical',
+          category: 'Core Web Vitals',
+          message: `LCP is slow on ${page.url}`,
+          metric: 'Largest Contentful Paint (LCP)',
+          value: page.lcp,
+          threshold: '4s',
+          recommendation: 'Optimize images and critical content for faster LCP',
+          details: [`LCP for ${page.url}: ${page.lcp}`]
+        });
+      }
+      if (page.fcp && parseFloat(page.fcp) > 2) {
+        newAlerts.push({
+          type: 'warning',
+          category: 'Core Web Vitals',
+          message: `FCP is slow on ${page.url}`,
+          metric: 'First Contentful Paint (FCP)',
+          value: page.fcp,
+          threshold: '2s',
+          recommendation: 'Reduce render-blocking resources for faster FCP',
+          details: [`FCP for ${page.url}: ${page.fcp}`]
+        });
+      }
+      // Add more metrics as needed
+    });
+  }
+
+  return newAlerts;
+}
 
 function App() {
   const [url, setUrl] = useState("");
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState("Enter a URL to start analysis");
   const [rawResponse, setRawResponse] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [harPage, setHarPage] = useState("");
   const [activePage, setActivePage] = useState("overview");
   const [maxPages, setMaxPages] = useState("4");
+  const [useSitemap, setUseSitemap] = useState(false);
+  const [impactTest, setImpactTest] = useState(false);
+  const [resilienceTest, setResilienceTest] = useState(false);
   const [alerts, setAlerts] = useState([]);
   const [sessionData, setSessionData] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [progress, setProgress] = useState(initialProgress);
+  const activeJobRef = useRef(null);
+
+  const subscribeToProgress = (id) => {
+    const source = new EventSource(`${API_BASE}/api/jobs/${id}/events`);
+    source.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+      setProgress((prev) => applyProgressEvent(prev, event));
+      // The server ends the stream once the job finishes; don't let EventSource reconnect
+      if (event.type === 'status' && ['completed', 'failed', 'cancelled'].includes(event.status)) {
+        source.close();
+      }
+    };
+    return source;
+  };
+
+  const pollJob = async (id) => {
+    while (activeJobRef.current === id) {
+      const response = await fetch(`${API_BASE}/api/jobs/${id}`);
+      if (!response.ok) {
+        throw new Error(`Job status request failed: ${response.status}`);
+      }
+      const job = await response.json();
+
+      if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+        return job;
+      }
+
+      setStatus(job.status === 'queued'
+        ? `Analysis queued (position ${job.queuePosition})...`
+        : job.status === 'cancelling'
+          ? 'Cancelling analysis...'
+          : 'Analyzing website...');
+      await wait(JOB_POLL_INTERVAL);
+    }
+    return null;
+  };
+
+  const handleCancelAnalysis = async () => {
+    if (!jobId) return;
+    setStatus('Cancelling analysis...');
+    try {
+      await fetch(`${API_BASE}/api/jobs/${jobId}`, { method: 'DELETE' });
+    } catch (error) {
+      setStatus(`Cancel failed: ${error.message}`);
+    }
+  };
 
   const handleCompleteWebsiteAnalysis = async () => {
     if (!url) return;
-    setStatus("Starting complete website analysis...");
+    setStatus("Submitting complete website analysis...");
     setLoading(true);
+    setProgress(initialProgress);
+    let progressSource = null;
     try {
       const response = await fetch(`${API_BASE}/api/analyze-complete-website`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           url,
-          options: { maxPages: parseInt(maxPages) || 10, maxDepth: 3 }
+          options: { maxPages: parseInt(maxPages) || 10, maxDepth: 3, useSitemap, impactTest, resilienceTest }
         })
       });
       if (!response.ok) {
         throw new Error(`Analysis failed: ${response.status}`);
       }
-      const result = await response.json();
-      setRawResponse(result.data);
+      const submission = await response.json();
+      activeJobRef.current = submission.jobId;
+      setJobId(submission.jobId);
+      progressSource = subscribeToProgress(submission.jobId);
 
-      // Only generate alerts from frontend metrics (lighthouseResults)
-      const newAlerts = [];
-      if (result.data.lighthouseResults && Array.isArray(result.data.lighthouseResults)) {
-        result.data.lighthouseResults.forEach(page => {
-          if (page.lcp && parseFloat(page.lcp) > 4) {
-            newAlerts.push({
-              type: 'critical',
-              category: 'Core Web Vitals',
-              message: `LCP is slow on ${page.url}`,
-              metric: 'Largest Contentful Paint (LCP)',
-              value: page.lcp,
-              threshold: '4s',
-              recommendation: 'Optimize images and critical content for faster LCP',
-              details: [`LCP for ${page.url}: ${page.lcp}`]
-            });
-          }
-          if (page.fcp && parseFloat(page.fcp) > 2) {
-            newAlerts.push({
-              type: 'warning',
-              category: 'Core Web Vitals',
-              message: `FCP is slow on ${page.url}`,
-              metric: 'First Contentful Paint (FCP)',
-              value: page.fcp,
-              threshold: '2s',
-              recommendation: 'Reduce render-blocking resources for faster FCP',
-              details: [`FCP for ${page.url}: ${page.fcp}`]
-            });
-          }
-          // Add more metrics as needed
-        });
+      const result = await pollJob(submission.jobId);
+      if (!result) return;
+      if (result.status === 'cancelled') {
+        setStatus("Analysis cancelled");
+        return;
       }
+      if (result.status === 'failed') {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setRawResponse(result.data);
+      setRunId(result.id);
+      setHarPage("");
 
-      setAlerts(newAlerts);
+      setAlerts(buildFrontendAlerts(result.data));
 
       setStatus("Complete website analysis finished!");
       setActivePage("overview");
@@ -116,10 +211,23 @@ function App() {
       setStatus(`Analysis failed: ${error.message}`);
       setAlerts([]);
     } finally {
+      progressSource?.close();
+      activeJobRef.current = null;
+      setJobId(null);
       setLoading(false);
     }
   };
 
+  const handleOpenRun = (run) => {
+    setRawResponse(run.data);
+    setRunId(run.id);
+    setHarPage("");
+    setAlerts(buildFrontendAlerts(run.data));
+    setUrl(run.url);
+    setStatus(`Loaded analysis of ${run.site} from ${new Date(run.createdAt).toLocaleString()}`);
+    setActivePage("overview");
+  };
+
   const handleSessionComplete = (session) => {
     if (!session || !session.metrics) return;
 
@@ -217,7 +325,9 @@ function App() {
           </div>
           <div className="summary-card">
             <h3>AVG API RESPONSE</h3>
-            <span className="metric-value">{summary.averageApiResponseTime}ms</span>
+            <span className="metric-value">
+              {summary.averageApiResponseTime != null ? `${summary.averageApiResponseTime}ms` : "n/a"}
+            </span>
           </div>
           <div className="summary-card">
             <h3>PAGES W/ SLOW APIS</h3>
@@ -238,6 +348,11 @@ function App() {
                   <span className="page-info">
                     (APIs: {websiteStructure.pageData[pageUrl]?.apiCalls || 0})
                   </span>
+                  {websiteStructure.pageData[pageUrl]?.discoveredBy?.interaction && (
+                    <span className="page-route-source">
+                      via {websiteStructure.pageData[pageUrl].discoveredBy.interaction}
+                    </span>
+                  )}
                 </li>
               ))}
               {websiteStructure.visitedUrls.length > 10 && (
@@ -245,6 +360,22 @@ function App() {
               )}
             </ul>
           </div>
+          {websiteStructure.skippedUrls?.length > 0 && (
+            <div className="pages-list">
+              <h4>Skipped URLs ({websiteStructure.skippedUrls.length}):</h4>
+              <ul>
+                {websiteStructure.skippedUrls.slice(0, 10).map((skipped, index) => (
+                  <li key={index}>
+                    {skipped.url}
+                    <span className="page-info">({skipped.reason})</span>
+                  </li>
+                ))}
+                {websiteStructure.skippedUrls.length > 10 && (
+                  <p>...and {websiteStructure.skippedUrls.length - 10} more</p>
+                )}
+              </ul>
+            </div>
+          )}
         </div>
         <div className="analysis-section">
           <h3>API Analysis Summary</h3>
@@ -307,10 +438,37 @@ function App() {
     if (!rawResponse?.apiAnalysis?.apiCalls) {
       return <div>No API calls data available.</div>;
     }
-    const { apiCalls } = rawResponse.apiAnalysis;
+    const { apiCalls, endpoints, redundancy, endpointImpacts } = rawResponse.apiAnalysis;
     return (
       <div className="api-calls-container">
         <h2>API Calls Analysis</h2>
+        {runId && rawResponse.networkCapture && (
+          <div className="har-export">
+            <select value={harPage} onChange={(e) => setHarPage(e.target.value)}>
+              <option value="">All pages ({rawResponse.networkCapture.entries} requests)</option>
+              {rawResponse.websiteStructure?.visitedUrls.map((pageUrl) => (
+                <option key={pageUrl} value={pageUrl}>{pageUrl}</option>
+              ))}
+            </select>
+            <a
+              className="har-download"
+              href={`${API_BASE}/api/runs/${runId}/har${harPage ? `?page=${encodeURIComponent(harPage)}` : ""}`}
+              download
+            >
+              Download HAR
+            </a>
+          </div>
+        )}
+        {endpoints && (
+          <>
+            <h3>By Endpoint</h3>
+            <EndpointStatsTable endpoints={endpoints} />
+            <RedundantCallsTable redundancy={redundancy} />
+            <EndpointImpactTable endpointImpacts={endpointImpacts} />
+            <ResilienceTable resilience={rawResponse.resilience} />
+            <h3>All Calls</h3>
+          </>
+        )}
         <div className="api-table-container">
           <table className="modern-table">
             <thead>
@@ -326,23 +484,33 @@ function App() {
             <tbody>
               {apiCalls.map((call, index) => (
                 <tr key={index}>
-                  <td title={call.url}>{call.url}</td>
+                  <td title={call.url}>
+                    {call.url}
+                    {call.graphql && <div className="page-route-source">{call.graphql.label}</div>}
+                  </td>
                   <td>
                     <span className={`method-tag method-${call.method?.toLowerCase() || "get"}`}>
                       {call.method}
                     </span>
                   </td>
                   <td>{call.page}</td>
-                  <td>{call.duration || 0}ms</td>
+                  <td title={formatTimingPhases(call.timing)}>
+                    {call.duration != null ? `${call.duration}ms` : "-"}
+                  </td>
                   <td>
-                    <span className={`status-tag status-${Math.floor(call.status / 100)}`}>
-                      {call.status}
+                    <span className={`status-tag status-${Math.floor(call.status / 100)}`} title={call.error || undefined}>
+                      {call.status ?? "Failed"}
                     </span>
+                    {call.graphql?.errors?.length > 0 && (
+                      <span className="status-tag status-5" title={call.graphql.errors.join("\n")}>
+                        GraphQL errors
+                      </span>
+                    )}
                   </td>
                   <td>
                     {call.frontendImpact?.renderingImpact && (
                       <span className={`impact-${call.frontendImpact.renderingImpact}`}>
-                        {call.frontendImpact.renderingImpact}
+                        {call.frontendImpact.renderingImpact} ({call.frontendImpact.impact}ms)
                       </span>
                     )}
                   </td>
@@ -404,12 +572,24 @@ function App() {
           onClick={() => setActivePage("api")}>API Calls</div>
         <div className={`sidebar-item ${activePage === "frontend" ? "active" : ""}`}
           onClick={() => setActivePage("frontend")}>Frontend Metrics</div>
+        <div className={`sidebar-item ${activePage === "waterfall" ? "active" : ""}`}
+          onClick={() => setActivePage("waterfall")}>Waterfall</div>
         <div className={`sidebar-item ${activePage === "db" ? "active" : ""}`}
           onClick={() => setActivePage("db")}>DB Latency</div>
         <div className={`sidebar-item ${activePage === "alerts" ? "active" : ""}`}
           onClick={() => setActivePage("alerts")}>Alerts</div>
         <div className={`sidebar-item ${activePage === "session" ? "active" : ""}`}
           onClick={() => setActivePage("session")}>Session Analysis</div>
+        <div className={`sidebar-item ${activePage === "history" ? "active" : ""}`}
+          onClick={() => setActivePage("history")}>History</div>
+        <div className={`sidebar-item ${activePage === "compare" ? "active" : ""}`}
+          onClick={() => setActivePage("compare")}>Compare Runs</div>
+        <div className={`sidebar-item ${activePage === "schedules" ? "active" : ""}`}
+          onClick={() => setActivePage("schedules")}>Schedules</div>
+        <div className={`sidebar-item ${activePage === "budgets" ? "active" : ""}`}
+          onClick={() => setActivePage("budgets")}>Budgets</div>
+        <div className={`sidebar-item ${activePage === "har-import" ? "active" : ""}`}
+          onClick={() => setActivePage("har-import")}>Import HAR</div>
       </div>
       <div className="main-content">
         <h1>Responsive Tracer</h1>
@@ -436,6 +616,30 @@ function App() {
                   />
                 </label>
               </div>
+              <label className="sitemap-option">
+                <input
+                  type="checkbox"
+                  checked={useSitemap}
+                  onChange={(e) => setUseSitemap(e.target.checked)}
+                />
+                Seed from sitemap.xml
+              </label>
+              <label className="sitemap-option">
+                <input
+                  type="checkbox"
+                  checked={impactTest}
+                  onChange={(e) => setImpactTest(e.target.checked)}
+                />
+                Measure frontend impact of each API
+              </label>
+              <label className="sitemap-option">
+                <input
+                  type="checkbox"
+                  checked={resilienceTest}
+                  onChange={(e) => setResilienceTest(e.target.checked)}
+                />
+                Test resilience to API failures
+              </label>
             </div>
             <button
               className="analyze-button"
@@ -444,19 +648,33 @@ function App() {
             >
               {loading ? "Analyzing..." : "Analyze Website"}
             </button>
+            {loading && jobId && (
+              <button className="cancel-button" onClick={handleCancelAnalysis}>
+                Cancel
+              </button>
+            )}
           </div>
         )}
         <div className="status-section">
           <p className={status.includes("failed") ? "error-message" : ""}>{status}</p>
         </div>
+        {activePage === "overview" && loading && jobId && (
+          <AnalysisProgress progress={progress} />
+        )}
         {/* Content */}
         <div className="report-section">
           {activePage === "overview" && renderOverview()}
           {activePage === "api" && renderApiCalls()}
           {activePage === "frontend" && renderFrontendMetrics()}
+          {activePage === "waterfall" && <WaterfallView key={runId} pages={rawResponse?.lighthouseResults} />}
           {activePage === "db" && <DbLatency />}
           {activePage === "alerts" && <AlertsView alerts={alerts} />}
           {activePage === "session" && <SessionSimulator url={url} onSessionComplete={handleSessionComplete} />}
+          {activePage === "history" && <HistoryView apiBase={API_BASE} onOpenRun={handleOpenRun} />}
+          {activePage === "compare" && <CompareView apiBase={API_BASE} />}
+          {activePage === "schedules" && <SchedulesView apiBase={API_BASE} defaultUrl={url} />}
+          {activePage === "budgets" && <BudgetsView apiBase={API_BASE} currentUrl={url} report={rawResponse} />}
+          {activePage === "har-import" && <HarImportView apiBase={API_BASE} />}
         </div>
       </div>
     </div>
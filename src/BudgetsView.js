@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+
+const EXAMPLE_BUDGET = {
+  metrics: { fcp: 1800, lcp: 2500, cls: 0.1, tbt: 200, tti: 3800, si: 3400 },
+  minScores: { performance: 90, accessibility: 90, bestPractices: 80, seo: 80 },
+  apiDurations: [{ pattern: '/api/**', maxDuration: 1000 }],
+  maxTransferSize: 1600000,
+  maxRequestCount: 80,
+};
+
+const siteFromUrl = (value) => {
+  try {
+    return new URL(value).host;
+  } catch {
+    return value || '';
+  }
+};
+
+function BudgetsView({ apiBase, currentUrl, report }) {
+  const [site, setSite] = useState(siteFromUrl(currentUrl));
+  const [budgetText, setBudgetText] = useState('');
+  const [verdict, setVerdict] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const budgetUrl = `${apiBase}/api/budgets/${encodeURIComponent(site)}`;
+
+  const run = async (action) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const readError = async (response) => {
+    const result = await response.json().catch(() => ({}));
+    return new Error(result.error || `Request failed: ${response.status}`);
+  };
+
+  const loadBudget = () => run(async () => {
+    const response = await fetch(budgetUrl);
+    if (response.status === 404) {
+      setBudgetText(JSON.stringify(EXAMPLE_BUDGET, null, 2));
+      setMessage('No budget saved for this site yet; starting from an example.');
+      return;
+    }
+    if (!response.ok) throw await readError(response);
+    setBudgetText(JSON.stringify(await response.json(), null, 2));
+  });
+
+  const saveBudget = () => run(async () => {
+    let budget;
+    try {
+      budget = JSON.parse(budgetText);
+    } catch {
+      throw new Error('Budget is not valid JSON');
+    }
+    const response = await fetch(budgetUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(budget),
+    });
+    if (!response.ok) throw await readError(response);
+    setMessage('Budget saved.');
+  });
+
+  const evaluate = (useCurrentReport) => run(async () => {
+    const response = await fetch(`${budgetUrl}/evaluate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(useCurrentReport ? { data: report } : {}),
+    });
+    if (!response.ok) throw await readError(response);
+    setVerdict(await response.json());
+  });
+
+  return (
+    <div className="budgets-container">
+      <h2>Performance Budgets</h2>
+      <div className="history-filters">
+        <input type="text" placeholder="example.com" value={site} onChange={(e) => setSite(e.target.value)} />
+        <button className="history-button" onClick={loadBudget} disabled={!site}>Load Budget</button>
+        <button className="history-button" onClick={saveBudget} disabled={!site || !budgetText}>Save Budget</button>
+      </div>
+
+      <textarea
+        className="budget-editor"
+        value={budgetText}
+        onChange={(e) => setBudgetText(e.target.value)}
+        placeholder="Load a site's budget to edit it"
+        rows={16}
+      />
+
+      <div className="history-filters">
+        <button className="history-button" onClick={() => evaluate(true)} disabled={!site || !report}>
+          Evaluate Current Report
+        </button>
+        <button className="history-button" onClick={() => evaluate(false)} disabled={!site}>
+          Evaluate Latest Saved Run
+        </button>
+      </div>
+
+      {message && <div className="loading-message">{message}</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {verdict && (
+        <div className="analysis-section">
+          <div className={`budget-verdict ${verdict.passed ? 'trend-improved' : 'trend-regressed'}`}>
+            {verdict.passed ? 'PASS' : 'FAIL'} – {verdict.violations.length} violations in {verdict.checks} checks
+          </div>
+          {verdict.violations.length > 0 && (
+            <table className="modern-table">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Page / Endpoint</th>
+                  <th>Limit</th>
+                  <th>Actual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {verdict.violations.map((violation, index) => (
+                  <tr key={index} title={violation.message}>
+                    <td>{violation.rule}: {violation.key}</td>
+                    <td>{violation.endpoint || violation.page}</td>
+                    <td>{violation.limit}</td>
+                    <td className="trend-regressed">{Math.round(violation.actual * 1000) / 1000}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {verdict.skipped.length > 0 && (
+            <p className="page-info">{verdict.skipped.length} checks skipped because the value was not measured.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BudgetsView;
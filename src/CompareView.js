@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+
+const SCORE_LABELS = {
+  performance: 'Performance',
+  accessibility: 'Accessibility',
+  bestPractices: 'Best Practices',
+  seo: 'SEO',
+};
+
+const METRIC_LABELS = {
+  fcp: 'FCP',
+  lcp: 'LCP',
+  cls: 'CLS',
+  tbt: 'TBT',
+  tti: 'TTI',
+  si: 'SI',
+};
+
+// Site scores are 0-100, page scores 0-1, everything else is a raw Lighthouse value
+const formatters = {
+  siteScore: { value: (v) => Math.round(v), change: (c) => Math.round(c) },
+  pageScore: { value: (v) => Math.round(v * 100), change: (c) => Math.round(c * 100) },
+  cls: { value: (v) => v.toFixed(3), change: (c) => c.toFixed(3) },
+  ms: { value: (v) => `${Math.round(v)}ms`, change: (c) => `${Math.round(c)}ms` },
+};
+
+function DeltaCell({ kind, delta }) {
+  const format = formatters[kind];
+  return (
+    <td className={`trend-${delta.trend}`}>
+      {delta.current === null ? '-' : format.value(delta.current)}
+      {delta.change !== null && delta.change !== 0 && (
+        <small className="delta-change"> ({delta.change > 0 ? '+' : ''}{format.change(delta.change)})</small>
+      )}
+    </td>
+  );
+}
+
+function RunSource({ label, runs, source, onChange }) {
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      onChange({ type: 'upload', name: file.name, json: JSON.parse(await file.text()) });
+    } catch {
+      onChange({ type: 'upload', name: file.name, json: null, error: 'File is not valid JSON' });
+    }
+  };
+
+  return (
+    <div className="compare-source">
+      <h4>{label}</h4>
+      <input type="file" accept="application/json,.json" onChange={handleFile} />
+      <div className="compare-or">or</div>
+      <select
+        value={source?.type === 'run' ? source.runId : ''}
+        onChange={(e) => onChange(e.target.value ? { type: 'run', runId: e.target.value } : null)}
+      >
+        <option value="">Select a saved run...</option>
+        {runs.map((run) => (
+          <option key={run.id} value={run.id}>
+            {run.site} – {new Date(run.createdAt).toLocaleString()}
+          </option>
+        ))}
+      </select>
+      {source?.error && <div className="error-message">{source.error}</div>}
+    </div>
+  );
+}
+
+function CompareView({ apiBase }) {
+  const [runs, setRuns] = useState([]);
+  const [baseline, setBaseline] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetch(`${apiBase}/api/runs?status=completed`)
+      .then((res) => (res.ok ? res.json() : { runs: [] }))
+      .then((result) => setRuns(result.runs))
+      .catch(() => setRuns([]));
+  }, [apiBase]);
+
+  const toRequestSide = (source, side) =>
+    source.type === 'run' ? { [`${side}RunId`]: source.runId } : { [side]: source.json };
+
+  const handleCompare = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiBase}/api/compare`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...toRequestSide(baseline, 'baseline'),
+          ...toRequestSide(current, 'current'),
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Comparison failed: ${response.status}`);
+      setComparison(result);
+    } catch (err) {
+      setError(err.message);
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canCompare = baseline && current && !baseline.error && !current.error && !loading;
+
+  return (
+    <div className="compare-container">
+      <h2>Compare Runs</h2>
+      <div className="compare-sources">
+        <RunSource label="Baseline (before)" runs={runs} source={baseline} onChange={setBaseline} />
+        <RunSource label="Current (after)" runs={runs} source={current} onChange={setCurrent} />
+      </div>
+      <button className="history-button" onClick={handleCompare} disabled={!canCompare}>
+        {loading ? 'Comparing...' : 'Compare'}
+      </button>
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {comparison && (
+        <div className="compare-results">
+          <div className="summary-cards">
+            <div className="summary-card">
+              <h3>IMPROVED</h3>
+              <span className="metric-value trend-improved">{comparison.summary.improved}</span>
+            </div>
+            <div className="summary-card">
+              <h3>REGRESSED</h3>
+              <span className="metric-value trend-regressed">{comparison.summary.regressed}</span>
+            </div>
+            <div className="summary-card">
+              <h3>NEW ALERTS</h3>
+              <span className="metric-value">{comparison.summary.newAlerts}</span>
+            </div>
+            <div className="summary-card">
+              <h3>RESOLVED ALERTS</h3>
+              <span className="metric-value">{comparison.summary.resolvedAlerts}</span>
+            </div>
+          </div>
+
+          <div className="analysis-section">
+            <h3>Site Scores ({comparison.site})</h3>
+            <table className="modern-table">
+              <thead>
+                <tr>
+                  {Object.values(SCORE_LABELS).map((label) => <th key={label}>{label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  {Object.keys(SCORE_LABELS).map((key) => (
+                    <DeltaCell key={key} kind="siteScore" delta={comparison.scores[key]} />
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="analysis-section">
+            <h3>Pages</h3>
+            <div className="api-table-container">
+              <table className="modern-table">
+                <thead>
+                  <tr>
+                    <th>Page</th>
+                    {Object.values(SCORE_LABELS).map((label) => <th key={label}>{label}</th>)}
+                    {Object.values(METRIC_LABELS).map((label) => <th key={label}>{label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.pages.map((page) => (
+                    <tr key={page.url}>
+                      <td title={page.url}>
+                        {page.url}
+                        {page.presence !== 'both' && <small className="page-info"> ({page.presence})</small>}
+                      </td>
+                      {Object.keys(SCORE_LABELS).map((key) => (
+                        <DeltaCell key={key} kind="pageScore" delta={page.scores[key]} />
+                      ))}
+                      {Object.keys(METRIC_LABELS).map((key) => (
+                        <DeltaCell key={key} kind={key === 'cls' ? 'cls' : 'ms'} delta={page.metrics[key]} />
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="analysis-section">
+            <h3>API Endpoints</h3>
+            <div className="api-table-container">
+              <table className="modern-table">
+                <thead>
+                  <tr>
+                    <th>Endpoint</th>
+                    <th>Calls (before → after)</th>
+                    <th>Avg Duration</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.endpoints.map((endpoint) => (
+                    <tr key={endpoint.endpoint}>
+                      <td title={endpoint.endpoint}>
+                        {endpoint.endpoint}
+                        {endpoint.presence !== 'both' && <small className="page-info"> ({endpoint.presence})</small>}
+                      </td>
+                      <td>{endpoint.baseline?.count ?? 0} → {endpoint.current?.count ?? 0}</td>
+                      <DeltaCell kind="ms" delta={endpoint.duration} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="analysis-section">
+            <h3>Alerts</h3>
+            <h4>New ({comparison.alerts.new.length})</h4>
+            <ul className="compare-alerts">
+              {comparison.alerts.new.map((alert, index) => (
+                <li key={index} className="trend-regressed">
+                  [{alert.type}] {alert.message}{alert.page ? ` – ${alert.page}` : ''}
+                </li>
+              ))}
+            </ul>
+            <h4>Resolved ({comparison.alerts.resolved.length})</h4>
+            <ul className="compare-alerts">
+              {comparison.alerts.resolved.map((alert, index) => (
+                <li key={index} className="trend-improved">
+                  [{alert.type}] {alert.message}{alert.page ? ` – ${alert.page}` : ''}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompareView;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { formatMs } from './EndpointStatsTable.js';
+
+const formatDelta = (value, format = formatMs) => {
+  if (value === null || value === undefined) return 'n/a';
+  return value > 0 ? `+${format(value)}` : format(value);
+};
+
+const formatCls = (value) => String(value);
+
+const describeDeltas = (deltas) =>
+  deltas
+    ? `LCP ${formatDelta(deltas.lcp)}, CLS ${formatDelta(deltas.cls, formatCls)}, ` +
+      `TBT ${formatDelta(deltas.tbt)}, visually complete ${formatDelta(deltas.visuallyComplete)}`
+    : 'n/a';
+
+// Change in rendering metrics with each endpoint delayed or blocked, most impactful first
+function EndpointImpactTable({ endpointImpacts }) {
+  if (!endpointImpacts || endpointImpacts.length === 0) return null;
+
+  return (
+    <>
+      <h3>Measured Frontend Impact</h3>
+      <p className="page-info">
+        Each page was reloaded with one endpoint delayed by {formatMs(endpointImpacts[0].injectedDelay)} and with it
+        blocked. Impact is how much later the page reached its final render with the endpoint delayed.
+      </p>
+      <div className="api-table-container">
+        <table className="modern-table">
+          <thead>
+            <tr>
+              <th>Endpoint</th>
+              <th>Page</th>
+              <th>Impact</th>
+              <th>Delayed: LCP</th>
+              <th>Delayed: Visually Complete</th>
+              <th>Delayed: TBT</th>
+              <th>Blocked: LCP</th>
+              <th>Blocked: CLS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {endpointImpacts.map((impact) => (
+              <tr key={`${impact.page} ${impact.endpoint}`}>
+                <td title={impact.intercepted === false ? 'Not requested during the modified loads' : undefined}>
+                  {impact.endpoint}
+                </td>
+                <td>{impact.page}</td>
+                {impact.error ? (
+                  <td colSpan={6} title={impact.error}>
+                    Measurement failed
+                  </td>
+                ) : (
+                  <>
+                    <td
+                      title={`Noise between unmodified loads: LCP ${formatMs(impact.noise.lcp)}, ` +
+                        `visually complete ${formatMs(impact.noise.visuallyComplete)}`}
+                    >
+                      <span className={`impact-${impact.renderingImpact}`}>{formatMs(impact.impact)}</span>
+                    </td>
+                    <td title={describeDeltas(impact.delayed)}>{formatDelta(impact.delayed.lcp)}</td>
+                    <td>{formatDelta(impact.delayed.visuallyComplete)}</td>
+                    <td>{formatDelta(impact.delayed.tbt)}</td>
+                    <td title={describeDeltas(impact.blocked)}>{formatDelta(impact.blocked.lcp)}</td>
+                    <td>{formatDelta(impact.blocked.cls, formatCls)}</td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+export default EndpointImpactTable;
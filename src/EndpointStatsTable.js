@@ -0,0 +1,66 @@
+import React from 'react';
+
+const formatMs = (value) => (value !== null && value !== undefined ? `${value}ms` : 'n/a');
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'n/a';
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+};
+
+// One row per route template (e.g. GET /api/products/:id) with latency percentiles
+function EndpointStatsTable({ endpoints }) {
+  if (!endpoints || endpoints.length === 0) return null;
+
+  return (
+    <div className="api-table-container">
+      <table className="modern-table">
+        <thead>
+          <tr>
+            <th>Endpoint</th>
+            <th>Method</th>
+            <th>Calls</th>
+            <th>p50</th>
+            <th>p90</th>
+            <th>p95</th>
+            <th>p99</th>
+            <th>Max</th>
+            <th>Error Rate</th>
+            <th>Avg Payload</th>
+          </tr>
+        </thead>
+        <tbody>
+          {endpoints.map((endpoint) => (
+            <tr key={endpoint.key}>
+              <td title={endpoint.sampleUrls.join('\n')}>
+                {endpoint.host}
+                {endpoint.template}
+              </td>
+              <td>
+                <span className={`method-tag method-${endpoint.method.toLowerCase()}`}>{endpoint.method}</span>
+              </td>
+              <td title={endpoint.measuredCount < endpoint.count ? `${endpoint.measuredCount} with timing` : undefined}>
+                {endpoint.count}
+              </td>
+              <td>{formatMs(endpoint.p50)}</td>
+              <td>{formatMs(endpoint.p90)}</td>
+              <td>{formatMs(endpoint.p95)}</td>
+              <td>{formatMs(endpoint.p99)}</td>
+              <td>{formatMs(endpoint.max)}</td>
+              <td>
+                <span className={endpoint.errorCount > 0 ? 'status-tag status-5' : undefined}>
+                  {(endpoint.errorRate * 100).toFixed(1)}%
+                </span>
+              </td>
+              <td>{formatSize(endpoint.averagePayloadSize)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export { formatMs, formatSize };
+export default EndpointStatsTable;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import AlertsView from './alerts-view.js';
+import EndpointStatsTable from './EndpointStatsTable.js';
+
+function HarImportView({ apiBase }) {
+  const [fileName, setFileName] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResult(null);
+    setError(null);
+
+    let har;
+    try {
+      har = JSON.parse(await file.text());
+    } catch {
+      setError('File is not valid JSON');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${apiBase}/api/analyze-har`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ har }),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error || `Request failed: ${response.status}`);
+      setResult(body);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="har-import-container">
+      <h2>Import HAR</h2>
+      <p className="page-info">
+        Analyze API calls from a HAR file captured elsewhere, e.g. by QA or a customer. Nothing is crawled.
+      </p>
+      <div className="history-filters">
+        <input type="file" accept=".har,application/json" onChange={handleFile} />
+      </div>
+
+      {loading && <div className="loading-message">Analyzing {fileName}...</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {result && (
+        <>
+          <div className="analysis-section">
+            <h3>{fileName}</h3>
+            <div className="api-stats">
+              <div className="stat-item">
+                <strong>Requests in HAR:</strong> {result.source.entries}
+              </div>
+              <div className="stat-item">
+                <strong>API Calls:</strong> {result.analysis.totalApiCalls}
+              </div>
+              <div className="stat-item">
+                <strong>Average Response Time:</strong>{' '}
+                {result.analysis.averageResponseTime !== null ? `${result.analysis.averageResponseTime}ms` : 'n/a'}
+                {result.analysis.unmeasuredApiCalls > 0 && ` (${result.analysis.unmeasuredApiCalls} without timing)`}
+              </div>
+              <div className="stat-item">
+                <strong>Slow / Large / Failing:</strong> {result.analysis.slowestApis.length} /{' '}
+                {result.analysis.highPayloadApis.length} / {result.analysis.errorProneApis.length}
+              </div>
+            </div>
+            {result.source.creator && <p className="page-info">Captured with {result.source.creator}</p>}
+          </div>
+
+          <AlertsView alerts={result.alerts} />
+
+          <EndpointStatsTable endpoints={result.analysis.endpoints} />
+
+          <div className="api-table-container">
+            <table className="modern-table">
+              <thead>
+                <tr>
+                  <th>Endpoint</th>
+                  <th>Method</th>
+                  <th>Page</th>
+                  <th>Response Time</th>
+                  <th>Status</th>
+                  <th>Payload</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.apiCalls.map((call, index) => (
+                  <tr key={index}>
+                    <td title={call.url}>{call.endpoint}</td>
+                    <td>
+                      <span className={`method-tag method-${call.method.toLowerCase()}`}>{call.method}</span>
+                    </td>
+                    <td>{call.page || '-'}</td>
+                    <td title={call.timingSource === 'unavailable' ? 'No timing recorded in the HAR' : undefined}>
+                      {call.timeTaken !== null ? `${call.timeTaken}ms` : 'n/a'}
+                    </td>
+                    <td>
+                      <span
+                        className={`status-tag status-${call.failed ? 5 : Math.floor(call.status / 100)}`}
+                        title={call.errors}
+                      >
+                        {call.failed ? 'Failed' : call.status}
+                      </span>
+                    </td>
+                    <td>{call.payloadSize}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HarImportView;
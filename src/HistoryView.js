@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const formatScore = (value) => (value === undefined || value === null ? '-' : value);
+
+function HistoryView({ apiBase, onOpenRun }) {
+  const [runs, setRuns] = useState([]);
+  const [filters, setFilters] = useState({ site: '', from: '', to: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadRuns = useCallback(async (activeFilters) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (activeFilters.site) params.set('site', activeFilters.site);
+      if (activeFilters.from) params.set('from', new Date(activeFilters.from).toISOString());
+      if (activeFilters.to) params.set('to', new Date(`${activeFilters.to}T23:59:59`).toISOString());
+
+      const response = await fetch(`${apiBase}/api/runs?${params}`);
+      if (!response.ok) throw new Error(`Failed to load runs: ${response.status}`);
+      const result = await response.json();
+      setRuns(result.runs);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    loadRuns({ site: '', from: '', to: '' });
+  }, [loadRuns]);
+
+  const openRun = async (id) => {
+    try {
+      const response = await fetch(`${apiBase}/api/runs/${id}`);
+      if (!response.ok) throw new Error(`Failed to load run: ${response.status}`);
+      onOpenRun(await response.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="history-container">
+      <h2>Analysis History</h2>
+      <div className="history-filters">
+        <input
+          type="text"
+          placeholder="Site (e.g. example.com)"
+          value={filters.site}
+          onChange={updateFilter('site')}
+        />
+        <label>
+          From <input type="date" value={filters.from} onChange={updateFilter('from')} />
+        </label>
+        <label>
+          To <input type="date" value={filters.to} onChange={updateFilter('to')} />
+        </label>
+        <button className="history-button" onClick={() => loadRuns(filters)}>Filter</button>
+      </div>
+
+      {error && <div className="error-message">Error: {error}</div>}
+      {loading ? (
+        <div className="loading-message">Loading analysis history...</div>
+      ) : runs.length === 0 ? (
+        <div>No analysis runs recorded yet.</div>
+      ) : (
+        <div className="api-table-container">
+          <table className="modern-table">
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Started</th>
+                <th>Status</th>
+                <th>Perf</th>
+                <th>Pages</th>
+                <th>Alerts</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id}>
+                  <td title={run.url}>{run.site}</td>
+                  <td>{new Date(run.createdAt).toLocaleString()}</td>
+                  <td>
+                    <span className={`run-status run-status-${run.status}`}>{run.status}</span>
+                  </td>
+                  <td>{formatScore(run.scores?.performance)}</td>
+                  <td>{run.totalPages}</td>
+                  <td>
+                    {run.alertCounts.critical} critical / {run.alertCounts.warning} warning
+                  </td>
+                  <td>
+                    {run.status === 'completed' && (
+                      <button className="history-button" onClick={() => openRun(run.id)}>Open</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryView;
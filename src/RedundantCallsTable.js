@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatMs, formatSize } from './EndpointStatsTable.js';
+
+const FINDING_LABELS = {
+  'duplicate': 'Duplicate',
+  'n-plus-one': 'N+1',
+  'unused-response': 'Unused response',
+  'abandoned-request': 'Abandoned request',
+};
+
+// Duplicate, N+1, unused and abandoned API calls found per page, most wasteful first
+function RedundantCallsTable({ redundancy }) {
+  if (!redundancy || redundancy.findings.length === 0) return null;
+
+  return (
+    <>
+      <h3>Redundant Calls</h3>
+      <p className="page-info">
+        {formatMs(redundancy.wastedTime)} and {formatSize(redundancy.wastedBytes)} wasted across{' '}
+        {redundancy.findings.length} findings
+      </p>
+      <div className="api-table-container">
+        <table className="modern-table">
+          <thead>
+            <tr>
+              <th>Finding</th>
+              <th>Endpoint</th>
+              <th>Method</th>
+              <th>Page</th>
+              <th>Calls</th>
+              <th>Wasted Time</th>
+              <th>Wasted Bytes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {redundancy.findings.map((finding, index) => (
+              <tr key={index}>
+                <td>
+                  {FINDING_LABELS[finding.type]}
+                  {finding.type === 'n-plus-one' && (
+                    <div className="page-route-source">{finding.sequential ? 'sequential' : 'parallel'}</div>
+                  )}
+                </td>
+                <td title={finding.urls.join('\n')}>{finding.endpoint}</td>
+                <td>
+                  <span className={`method-tag method-${finding.method.toLowerCase()}`}>{finding.method}</span>
+                </td>
+                <td>{finding.page || '-'}</td>
+                <td>{finding.count}</td>
+                <td>{formatMs(finding.wastedTime)}</td>
+                <td>{formatSize(finding.wastedBytes)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+export default RedundantCallsTable;
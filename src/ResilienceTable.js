@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+const VERDICT_CLASSES = {
+  broken: 'impact-high',
+  degraded: 'impact-medium',
+  graceful: 'impact-low',
+};
+
+function describeFault(result) {
+  return [
+    ...result.reasons,
+    ...(result.uncaughtExceptions || []).map((message) => `Uncaught: ${message}`),
+    ...(result.consoleErrors || []).map((message) => `Console: ${message}`),
+  ].join('\n');
+}
+
+// Per endpoint, how the page coped with each injected failure; screenshots for the broken and degraded loads
+function ResilienceTable({ resilience }) {
+  const [expanded, setExpanded] = useState(null);
+  if (!resilience || resilience.endpoints.length === 0) return null;
+
+  const { summary, faults, endpoints } = resilience;
+
+  return (
+    <>
+      <h3>Resilience to API Failures</h3>
+      <p className="page-info">
+        {summary.broken} endpoints break the page, {summary.degraded} degrade it and {summary.graceful} fail
+        gracefully{summary.untested > 0 && ` (${summary.untested} could not be tested)`}
+      </p>
+      <div className="api-table-container">
+        <table className="modern-table">
+          <thead>
+            <tr>
+              <th>Endpoint</th>
+              <th>Page</th>
+              <th>Verdict</th>
+              {faults.map(({ fault, label }) => (
+                <th key={fault}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {endpoints.map((endpoint) => {
+              const rowKey = `${endpoint.page} ${endpoint.endpoint}`;
+              const screenshots = endpoint.faults.filter((result) => result.screenshot);
+
+              return (
+                <React.Fragment key={rowKey}>
+                  <tr
+                    className={screenshots.length > 0 ? 'resilience-row-expandable' : undefined}
+                    onClick={() => screenshots.length > 0 && setExpanded(expanded === rowKey ? null : rowKey)}
+                  >
+                    <td>{endpoint.endpoint}</td>
+                    <td>{endpoint.page}</td>
+                    <td title={endpoint.error}>
+                      {endpoint.verdict ? (
+                        <span className={VERDICT_CLASSES[endpoint.verdict]}>{endpoint.verdict}</span>
+                      ) : (
+                        'not tested'
+                      )}
+                    </td>
+                    {faults.map(({ fault }) => {
+                      const result = endpoint.faults.find((candidate) => candidate.fault === fault);
+                      return (
+                        <td key={fault} title={result ? describeFault(result) : undefined}>
+                          {result?.verdict ? (
+                            <span className={VERDICT_CLASSES[result.verdict]}>{result.verdict}</span>
+                          ) : (
+                            '-'
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                  {expanded === rowKey && (
+                    <tr>
+                      <td colSpan={3 + faults.length}>
+                        <div className="resilience-screenshots">
+                          <figure>
+                            <img src={`data:image/jpeg;base64,${screenshots[0].baselineScreenshot}`} alt="Unmodified page" />
+                            <figcaption>Unmodified</figcaption>
+                          </figure>
+                          {screenshots.map((result) => (
+                            <figure key={result.fault}>
+                              <img src={`data:image/jpeg;base64,${result.screenshot}`} alt={`Page with ${result.label}`} />
+                              <figcaption>
+                                {result.label}: {result.reasons.join(', ')}
+                              </figcaption>
+                            </figure>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+export default ResilienceTable;
@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const emptyForm = {
+  url: '',
+  mode: 'interval',
+  intervalMinutes: '60',
+  cron: '0 6 * * *',
+  maxPages: '10',
+  maxDepth: '3',
+  scenario: 'overall',
+};
+
+const describeTiming = (schedule) =>
+  schedule.cron ? `cron: ${schedule.cron}` : `every ${schedule.intervalMinutes} min`;
+
+function SchedulesView({ apiBase, defaultUrl }) {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState({ ...emptyForm, url: defaultUrl || '' });
+  const [error, setError] = useState(null);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBase}/api/schedules`);
+      if (!response.ok) throw new Error(`Failed to load schedules: ${response.status}`);
+      const result = await response.json();
+      setSchedules(result.schedules);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const request = async (path, init) => {
+    setError(null);
+    try {
+      const response = await fetch(`${apiBase}${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...init,
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Request failed: ${response.status}`);
+      }
+      await loadSchedules();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await request('/api/schedules', {
+      method: 'POST',
+      body: JSON.stringify({
+        url: form.url,
+        ...(form.mode === 'cron' ? { cron: form.cron } : { intervalMinutes: Number(form.intervalMinutes) }),
+        options: {
+          maxPages: parseInt(form.maxPages) || 10,
+          maxDepth: parseInt(form.maxDepth) || 3,
+          scenario: form.scenario,
+        },
+      }),
+    });
+    if (created) setForm({ ...emptyForm, url: form.url });
+  };
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="schedules-container">
+      <h2>Scheduled Analyses</h2>
+      <form className="schedule-form" onSubmit={handleCreate}>
+        <input type="url" placeholder="https://example.com" value={form.url} onChange={updateField('url')} required />
+        <select value={form.mode} onChange={updateField('mode')}>
+          <option value="interval">Fixed interval</option>
+          <option value="cron">Cron expression</option>
+        </select>
+        {form.mode === 'cron' ? (
+          <input type="text" value={form.cron} onChange={updateField('cron')} placeholder="0 6 * * *" />
+        ) : (
+          <label>
+            Every <input type="number" min="5" value={form.intervalMinutes} onChange={updateField('intervalMinutes')} /> min
+          </label>
+        )}
+        <label>
+          Max Pages <input type="number" min="1" max="50" value={form.maxPages} onChange={updateField('maxPages')} />
+        </label>
+        <label>
+          Max Depth <input type="number" min="1" max="5" value={form.maxDepth} onChange={updateField('maxDepth')} />
+        </label>
+        <select value={form.scenario} onChange={updateField('scenario')}>
+          <option value="overall">Overall</option>
+          <option value="frontend">Frontend only</option>
+          <option value="api">API</option>
+        </select>
+        <button type="submit" className="history-button">Add Schedule</button>
+      </form>
+
+      {error && <div className="error-message">Error: {error}</div>}
+
+      {schedules.length === 0 ? (
+        <div>No schedules configured.</div>
+      ) : (
+        <div className="api-table-container">
+          <table className="modern-table">
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Timing</th>
+                <th>Options</th>
+                <th>Next Run</th>
+                <th>Last Run</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map((schedule) => (
+                <tr key={schedule.id} className={schedule.paused ? 'schedule-paused' : ''}>
+                  <td title={schedule.url}>{schedule.url}</td>
+                  <td>{describeTiming(schedule)}</td>
+                  <td>
+                    {schedule.options.maxPages} pages, depth {schedule.options.maxDepth}, {schedule.options.scenario}
+                  </td>
+                  <td>{schedule.paused ? 'Paused' : new Date(schedule.nextRunAt).toLocaleString()}</td>
+                  <td>
+                    {schedule.lastRunAt ? (
+                      <>
+                        <span className={`run-status run-status-${schedule.lastStatus}`}>{schedule.lastStatus}</span>
+                        {schedule.lastAlertCounts && (
+                          <small className="page-info">
+                            {schedule.lastAlertCounts.critical} critical / {schedule.lastAlertCounts.warning} warning
+                          </small>
+                        )}
+                        {schedule.lastAlerts?.length > 0 && (
+                          <ul className="schedule-alerts">
+                            {schedule.lastAlerts.map((alert, index) => (
+                              <li key={index} title={alert.page || schedule.url}>
+                                {alert.message}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </>
+                    ) : (
+                      'Never'
+                    )}
+                  </td>
+                  <td className="schedule-actions">
+                    <button
+                      className="history-button"
+                      onClick={() => request(`/api/schedules/${schedule.id}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify({ paused: !schedule.paused }),
+                      })}
+                    >
+                      {schedule.paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button
+                      className="history-button danger"
+                      onClick={() => request(`/api/schedules/${schedule.id}`, { method: 'DELETE' })}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SchedulesView;
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+
+const MARK_LABELS = { fcp: 'FCP', lcp: 'LCP', load: 'Load', tti: 'TTI' };
+
+const PHASE_LABELS = {
+  queued: 'Queued',
+  dns: 'DNS',
+  connect: 'Connect',
+  tls: 'TLS',
+  ttfb: 'Waiting (TTFB)',
+  download: 'Download',
+};
+
+const formatMs = (value) => (value !== null && value !== undefined ? `${Math.round(value)}ms` : 'n/a');
+
+function shortenUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`.slice(0, 60) || parsed.host;
+  } catch {
+    return url.slice(0, 60);
+  }
+}
+
+function describeTiming(request) {
+  const phases = Object.entries(request.timing || {})
+    .filter(([, value]) => value !== null)
+    .map(([phase, value]) => `${PHASE_LABELS[phase]}: ${formatMs(value)}`);
+  return [`${request.method} ${request.url}`, `${formatMs(request.start)} → ${formatMs(request.end)}`, ...phases].join('\n');
+}
+
+function RequestDetails({ request, requests, serialChain }) {
+  const initiator = request.initiatorId !== null ? requests[request.initiatorId] : null;
+
+  return (
+    <div className="waterfall-details">
+      <h4>
+        {request.method} {request.url}
+      </h4>
+      <div className="api-stats">
+        <div className="stat-item">
+          <strong>Status:</strong> {request.status ?? 'Failed'}
+        </div>
+        <div className="stat-item">
+          <strong>Start:</strong> {formatMs(request.start)}
+        </div>
+        <div className="stat-item">
+          <strong>Duration:</strong> {formatMs(request.duration)}
+        </div>
+        <div className="stat-item">
+          <strong>Started before LCP / TTI:</strong> {request.startedBeforeLcp ? 'yes' : 'no'} /{' '}
+          {request.startedBeforeTti ? 'yes' : 'no'}
+        </div>
+      </div>
+      <ul className="waterfall-phases">
+        {Object.entries(request.timing || {}).map(([phase, value]) => (
+          <li key={phase}>
+            {PHASE_LABELS[phase]}: {value !== null ? formatMs(value) : '-'}
+          </li>
+        ))}
+      </ul>
+      <p className="page-info">
+        Initiated by {initiator ? initiator.url : request.initiatorUrl || 'the browser'}
+        {request.onCriticalChain && ' · on the critical chain to LCP'}
+        {serialChain &&
+          ` · chained after ${serialChain.requestIds.indexOf(request.id)} other API call(s) from the same script`}
+      </p>
+    </div>
+  );
+}
+
+function WaterfallView({ pages }) {
+  const pagesWithWaterfall = (pages || []).filter((page) => page.waterfall);
+  const [pageUrl, setPageUrl] = useState(pagesWithWaterfall[0]?.url || '');
+  const [apiOnly, setApiOnly] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (pagesWithWaterfall.length === 0) {
+    return <div>No waterfall data available. Run a website analysis first.</div>;
+  }
+
+  const page = pagesWithWaterfall.find((candidate) => candidate.url === pageUrl) || pagesWithWaterfall[0];
+  const { marks, requests, serialApiChains } = page.waterfall;
+  const rows = requests.filter((request) => !apiOnly || request.isApi || request.onCriticalChain);
+  const totalTime = Math.max(
+    1,
+    ...requests.map((request) => request.end ?? request.start),
+    ...Object.values(marks).filter((value) => value !== null)
+  );
+  const percent = (value) => `${Math.min(100, (value / totalTime) * 100)}%`;
+  const selected = selectedId !== null ? requests[selectedId] : null;
+
+  const markLines = Object.entries(marks)
+    .filter(([, value]) => value !== null)
+    .map(([mark, value]) => (
+      <div key={mark} className={`waterfall-mark waterfall-mark-${mark}`} style={{ left: percent(value) }} />
+    ));
+
+  return (
+    <div className="waterfall-container">
+      <h2>Request Waterfall</h2>
+      <div className="history-filters">
+        <select
+          value={page.url}
+          onChange={(e) => {
+            setPageUrl(e.target.value);
+            setSelectedId(null);
+          }}
+        >
+          {pagesWithWaterfall.map((candidate) => (
+            <option key={candidate.url} value={candidate.url}>
+              {candidate.url}
+            </option>
+          ))}
+        </select>
+        <label className="sitemap-option">
+          <input type="checkbox" checked={apiOnly} onChange={(e) => setApiOnly(e.target.checked)} />
+          API calls and critical chain only
+        </label>
+      </div>
+
+      <div className="waterfall-legend">
+        {Object.entries(marks)
+          .filter(([, value]) => value !== null)
+          .map(([mark, value]) => (
+            <span key={mark} className={`waterfall-legend-item waterfall-mark-${mark}`}>
+              {MARK_LABELS[mark]} {formatMs(value)}
+            </span>
+          ))}
+        <span className="waterfall-legend-item waterfall-bar-api">API call</span>
+        <span className="waterfall-legend-item waterfall-bar-critical">Critical chain</span>
+        <span className="waterfall-legend-item waterfall-bar-serial">Serial API chain</span>
+      </div>
+
+      {serialApiChains.length > 0 && (
+        <div className="analysis-section">
+          <h3>Serially chained API calls</h3>
+          <p className="page-info">
+            These calls started only after the previous one finished. Unless a call needs the previous response,
+            running them in parallel would save the time shown.
+          </p>
+          <ul>
+            {serialApiChains.map((chain, index) => (
+              <li key={index}>
+                {chain.requestIds.map((id) => shortenUrl(requests[id].url)).join(' → ')}: {formatMs(chain.totalTime)}{' '}
+                total, {formatMs(chain.potentialSaving)} could be saved
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="waterfall-chart">
+        {rows.map((request) => {
+          const classes = [
+            'waterfall-bar',
+            request.isApi && 'waterfall-bar-api',
+            request.onCriticalChain && 'waterfall-bar-critical',
+            request.serialChain !== null && 'waterfall-bar-serial',
+          ]
+            .filter(Boolean)
+            .join(' ');
+
+          return (
+            <div
+              key={request.id}
+              className={`waterfall-row ${selectedId === request.id ? 'selected' : ''}`}
+              onClick={() => setSelectedId(selectedId === request.id ? null : request.id)}
+              title={describeTiming(request)}
+            >
+              <div className="waterfall-label">{shortenUrl(request.url)}</div>
+              <div className="waterfall-track">
+                {markLines}
+                <div
+                  className={classes}
+                  style={{
+                    left: percent(request.start),
+                    width: request.end !== null ? percent(Math.max(request.end - request.start, totalTime / 500)) : '2px',
+                  }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {selected && (
+        <RequestDetails
+          request={selected}
+          requests={requests}
+          serialChain={selected.serialChain !== null ? serialApiChains[selected.serialChain] : null}
+        />
+      )}
+    </div>
+  );
+}
+
+export default WaterfallView;
@@ -0,0 +1,53 @@
+/**
+ * Compiles a user-supplied URL pattern into a RegExp.
+ * "regex:<source>" patterns are case-insensitive regular expressions tested against the full URL.
+ * Anything else is a glob: "**" matches any characters, "*" matches within one path segment
+ * and "?" matches one character. Globs containing "://" are matched against the full URL,
+ * all others against the path.
+ * @param {string|RegExp} pattern - Glob or regex pattern
+ * @returns {{ regex: RegExp, matchFullUrl: boolean }} - Compiled pattern
+ */
+function compileUrlPattern(pattern) {
+  if (pattern instanceof RegExp) return { regex: pattern, matchFullUrl: true };
+
+  if (pattern.startsWith("regex:")) {
+    return { regex: new RegExp(pattern.slice("regex:".length), "i"), matchFullUrl: true };
+  }
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += ".";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return { regex: new RegExp(`^${source}$`, "i"), matchFullUrl: pattern.includes("://") };
+}
+
+/**
+ * Tests a URL against a glob or regex pattern (see compileUrlPattern)
+ * @param {string} url - Absolute URL or path
+ * @param {string|Object} pattern - Pattern string or result of compileUrlPattern
+ * @returns {boolean} - Whether the URL matches
+ */
+function matchesUrlPattern(url, pattern) {
+  const { regex, matchFullUrl } = typeof pattern === "object" && pattern.regex ? pattern : compileUrlPattern(pattern);
+
+  if (matchFullUrl) return regex.test(url);
+
+  try {
+    return regex.test(new URL(url).pathname);
+  } catch {
+    return regex.test(url);
+  }
+}
+
+export { compileUrlPattern, matchesUrlPattern };
@@ -0,0 +1,390 @@
+import { analyzeSite } from "./lighthouse-service.js";
+import { WebsiteCrawler } from "./website-crawler.js";
+import { ApiPerformanceCorrelator } from "./api-performance-correlator.js";
+import { ResilienceTester } from "./resilience-tester.js";
+import { BrowserPool } from "./browser-pool.js";
+import { prepareAuthSession } from "./auth-session.js";
+import { DEFAULT_USER_AGENT } from "./robots-txt.js";
+import { DEFAULT_STRIP_QUERY_PARAMS } from "./crawl-scope.js";
+import { aggregateEndpoints, isFailedCall } from "./endpoint-templates.js";
+import { detectRedundantCalls } from "./api-redundancy.js";
+import { generateApiAlerts, generatePerformanceAlerts, generateResilienceAlerts } from "./performance-alerts.js";
+
+const SCENARIOS = ["overall", "frontend", "api"];
+const MAX_LIGHTHOUSE_CONCURRENCY = 4;
+const MAX_CRAWL_CONCURRENCY = 8;
+const MAX_REQUESTS_PER_SECOND = 20;
+// Every measured endpoint costs two extra page loads, so the impact measurement stays small
+const MAX_IMPACT_PAGES = 10;
+const MAX_IMPACT_ENDPOINTS_PER_PAGE = 20;
+
+// Count options of an analysis request; each must be a positive integer when given
+const INTEGER_OPTIONS = [
+  "maxPages",
+  "maxDepth",
+  "lighthouseConcurrency",
+  "crawlConcurrency",
+  "requestsPerSecond",
+  "impactMaxPages",
+  "impactMaxEndpointsPerPage",
+];
+
+/**
+ * Validates the numeric options of an analysis request before normalizeAnalysisOptions caps them
+ * @param {Object} options - Analysis options
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAnalysisOptions(options = {}) {
+  for (const key of INTEGER_OPTIONS) {
+    const value = options[key];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 1) return `${key} must be a positive integer`;
+  }
+  return null;
+}
+
+function normalizeAnalysisOptions(options = {}) {
+  return {
+    maxPages: Math.min(options.maxPages || 15, 50),
+    maxDepth: Math.min(options.maxDepth || 3, 5),
+    scenario: SCENARIOS.includes(options.scenario) ? options.scenario : "overall",
+    lighthouseConcurrency: Math.min(options.lighthouseConcurrency || 2, MAX_LIGHTHOUSE_CONCURRENCY),
+    crawlConcurrency: Math.min(options.crawlConcurrency || 1, MAX_CRAWL_CONCURRENCY),
+    requestsPerSecond: Math.min(options.requestsPerSecond || 2, MAX_REQUESTS_PER_SECOND),
+    useSitemap: Boolean(options.useSitemap),
+    respectRobots: options.respectRobots !== false,
+    userAgent: (typeof options.userAgent === "string" && options.userAgent.trim()) || DEFAULT_USER_AGENT,
+    includePatterns: options.includePatterns || [],
+    excludePatterns: options.excludePatterns || [],
+    stripQueryParams: options.stripQueryParams || DEFAULT_STRIP_QUERY_PARAMS,
+    useDefaultExcludes: options.useDefaultExcludes !== false,
+    trailingSlash: options.trailingSlash || "strip",
+    captureHar: options.captureHar !== false,
+    harIncludeBodies: Boolean(options.harIncludeBodies),
+    separateApiRun: Boolean(options.separateApiRun),
+    routePatterns: options.routePatterns || [],
+    impactTest: Boolean(options.impactTest),
+    impactMaxPages: Math.min(options.impactMaxPages || 3, MAX_IMPACT_PAGES),
+    impactMaxEndpointsPerPage: Math.min(options.impactMaxEndpointsPerPage || 5, MAX_IMPACT_ENDPOINTS_PER_PAGE),
+    resilienceTest: Boolean(options.resilienceTest),
+  };
+}
+
+/**
+ * Runs the complete website pipeline: crawl, API impact correlation when analysisOptions.impactTest is set,
+ * Lighthouse and, when analysisOptions.resilienceTest is set, API fault injection
+ * @param {string} url - The seed URL to analyze
+ * @param {Object} analysisOptions - Options produced by normalizeAnalysisOptions
+ * @param {Object} context - Run context ({ signal } for cancellation, { onProgress } for progress events,
+ *   { browserPool } to share browsers across runs, { auth } validated auth options for protected sites).
+ *   Every Lighthouse audit holds a browser of its own, so a shared pool caps lighthouseConcurrency at its size.
+ * @returns {Object} - Aggregated website analysis results, with the crawl's HAR log as har when captured
+ */
+async function runCompleteWebsiteAnalysis(url, analysisOptions, { signal, onProgress = () => {}, browserPool, auth } = {}) {
+  // Without a shared pool, the run still reuses browsers across phases; one per concurrent Lighthouse audit,
+  // with enough tabs for every concurrent crawl page
+  const pool =
+    browserPool ||
+    new BrowserPool({
+      maxBrowsers: analysisOptions.lighthouseConcurrency || 1,
+      maxTabsPerBrowser: Math.max(analysisOptions.crawlConcurrency || 1, 4),
+    });
+
+  const lighthouseConcurrency = Math.min(analysisOptions.lighthouseConcurrency || 1, pool.maxBrowsers);
+  if (lighthouseConcurrency < analysisOptions.lighthouseConcurrency) {
+    console.warn(
+      `lighthouseConcurrency ${analysisOptions.lighthouseConcurrency} exceeds the ${pool.maxBrowsers} browsers ` +
+        `of the browser pool; running ${lighthouseConcurrency} Lighthouse audits at a time`
+    );
+  }
+
+  try {
+    return await runAnalysisPipeline(
+      url,
+      { ...analysisOptions, lighthouseConcurrency },
+      { signal, onProgress, browserPool: pool, auth }
+    );
+  } finally {
+    if (!browserPool) await pool.close();
+  }
+}
+
+async function runAnalysisPipeline(url, analysisOptions, { signal, onProgress, browserPool, auth }) {
+  console.log(`Starting complete website analysis for ${url}`);
+
+  // Optional phases are left out of the numbering, so progress reads "phase 2 of 3" rather than skipping numbers
+  const totalPhases = 2 + Number(analysisOptions.impactTest) + Number(analysisOptions.resilienceTest);
+  let phase = 0;
+  const startPhase = (message) => {
+    phase += 1;
+    console.log(`Phase ${phase}/${totalPhases}: ${message}`);
+    onProgress({ type: "phase", phase, totalPhases, message });
+  };
+
+  // Log in once; the crawler, correlator and Lighthouse all reuse the resulting session
+  const authSession = auth ? await prepareAuthSession(auth, url, { browserPool, signal }) : null;
+
+  startPhase("Crawling website and discovering API calls...");
+  const crawler = new WebsiteCrawler({ ...analysisOptions, signal, onProgress, browserPool, authSession });
+  const crawlResults = await crawler.crawlWebsite(url);
+  signal?.throwIfAborted();
+
+  let enhancedApiCalls = crawlResults.apiCalls;
+  let endpointImpacts = [];
+  if (analysisOptions.impactTest) {
+    startPhase("Measuring API impact by delaying and blocking each endpoint...");
+    const correlator = new ApiPerformanceCorrelator({
+      browserPool,
+      authSession,
+      onProgress,
+      routePatterns: analysisOptions.routePatterns,
+      maxPages: analysisOptions.impactMaxPages,
+      maxEndpointsPerPage: analysisOptions.impactMaxEndpointsPerPage,
+    });
+    ({ apiCalls: enhancedApiCalls, endpointImpacts } = await correlator.analyzeApiImpact(crawlResults.apiCalls, url, {
+      signal,
+    }));
+    signal?.throwIfAborted();
+  }
+
+  startPhase("Running Lighthouse analysis...");
+  const lighthouseResults = [];
+  const keyPages = Array.from(crawlResults.visitedUrls).slice(0, 5);
+
+  // Each audit leases its own browser from the pool, so concurrent audits never share a renderer.
+  // Results are appended in completion order and a failed page does not hold up the others.
+  await mapWithConcurrency(keyPages, analysisOptions.lighthouseConcurrency || 1, async (pageUrl) => {
+    signal?.throwIfAborted();
+    onProgress({ type: "lighthouse-started", url: pageUrl });
+    try {
+      const result = await analyzeSite(pageUrl, analysisOptions.scenario, {
+        signal,
+        browserPool,
+        authSession,
+        separateApiRun: analysisOptions.separateApiRun,
+        routePatterns: analysisOptions.routePatterns,
+      });
+      lighthouseResults.push({ url: pageUrl, ...result });
+      if (result.apiAnalysisError) {
+        onProgress({ type: "error", stage: "api-analysis", url: pageUrl, message: result.apiAnalysisError });
+      }
+      onProgress({
+        type: "lighthouse-finished",
+        url: pageUrl,
+        performance: result.performance,
+        accessibility: result.accessibility,
+        bestPractices: result.bestPractices,
+        seo: result.seo,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Lighthouse analysis failed for ${pageUrl}: ${error.message}`);
+      onProgress({ type: "error", stage: "lighthouse", url: pageUrl, message: error.message });
+    }
+  });
+
+  let resilience = null;
+  if (analysisOptions.resilienceTest) {
+    startPhase("Injecting API failures to test frontend resilience...");
+    const tester = new ResilienceTester({
+      browserPool,
+      authSession,
+      onProgress,
+      routePatterns: analysisOptions.routePatterns,
+    });
+    resilience = await tester.testEndpoints(enhancedApiCalls, url, { signal });
+    signal?.throwIfAborted();
+  }
+
+  const analysis = generateWebsiteAnalysis(crawlResults, enhancedApiCalls, lighthouseResults);
+  const redundancy = detectRedundantCalls(enhancedApiCalls, { routePatterns: analysisOptions.routePatterns });
+  const endpoints = aggregateEndpoints(enhancedApiCalls, { routePatterns: analysisOptions.routePatterns });
+
+  let performance = 0,
+    accessibility = 0,
+    bestPractices = 0,
+    seo = 0;
+
+  if (lighthouseResults.length > 0) {
+    performance = Math.round(
+      (lighthouseResults.reduce((sum, r) => sum + (r.performance || 0), 0) /
+        lighthouseResults.length) *
+        100
+    );
+    accessibility = Math.round(
+      (lighthouseResults.reduce((sum, r) => sum + (r.accessibility || 0), 0) /
+        lighthouseResults.length) *
+        100
+    );
+    bestPractices = Math.round(
+      (lighthouseResults.reduce((sum, r) => sum + (r.bestPractices || 0), 0) /
+        lighthouseResults.length) *
+        100
+    );
+    seo = Math.round(
+      (lighthouseResults.reduce((sum, r) => sum + (r.seo || 0), 0) /
+        lighthouseResults.length) *
+        100
+    );
+  }
+
+  const results = {
+    url,
+    performance,
+    accessibility,
+    bestPractices,
+    seo,
+    summary: {
+      totalPagesAnalyzed: crawlResults.totalPages,
+      totalApiCallsFound: crawlResults.totalApiCalls,
+      averageApiResponseTime: calculateAverageResponseTime(enhancedApiCalls),
+      pagesWithSlowApis: countPagesWithSlowApis(enhancedApiCalls),
+      criticalIssuesFound: analysis.criticalIssues?.length || 0,
+    },
+    websiteStructure: {
+      visitedUrls: crawlResults.visitedUrls,
+      pageData: crawlResults.pageData,
+      totalPages: crawlResults.totalPages,
+      maxDepthReached: crawlResults.maxDepthReached,
+      skippedUrls: crawlResults.skippedUrls,
+      discoveredRoutes: crawlResults.discoveredRoutes,
+    },
+    apiAnalysis: {
+      totalApiCalls: crawlResults.totalApiCalls,
+      // Duplicate, N+1, unused and abandoned calls per crawled page
+      redundancy,
+      apiCalls: enhancedApiCalls,
+      // One row per route template (e.g. GET /api/products/:id) with latency percentiles
+      endpoints,
+      slowestApis: enhancedApiCalls.filter((call) => call.duration > 1000),
+      errorApis: enhancedApiCalls.filter(isFailedCall),
+      highImpactApis: enhancedApiCalls.filter(
+        (call) => call.frontendImpact?.renderingImpact === "high"
+      ),
+      // Change in LCP, CLS, TBT and visually complete time with each endpoint delayed or blocked
+      endpointImpacts,
+    },
+    lighthouseResults,
+    // How each page copes with its endpoints failing (HTTP 500, timeout, malformed JSON), when requested
+    resilience,
+    alerts: [
+      // API alerts come from the crawl, which saw every page's calls with their bodies and outcomes; the
+      // audited pages only add their Lighthouse metrics, so no API finding is reported twice
+      ...lighthouseResults.flatMap((result) =>
+        generatePerformanceAlerts(result).map((alert) => ({ ...alert, page: result.url }))
+      ),
+      ...generateApiAlerts({ apiCalls: enhancedApiCalls, analysis: { endpoints, redundancy } }),
+      ...generateResilienceAlerts(resilience),
+    ],
+    performanceInsights: analysis,
+    networkCapture: crawlResults.har
+      ? {
+          pages: crawlResults.har.log.pages.length,
+          entries: crawlResults.har.log.entries.length,
+          includesBodies: analysisOptions.harIncludeBodies,
+        }
+      : null,
+    // Full HAR log of the crawl; callers store it apart from the results because of its size
+    har: crawlResults.har,
+  };
+
+  console.log(
+    `Complete website analysis finished: ${results.summary.totalPagesAnalyzed} pages, ${results.summary.totalApiCallsFound} API calls`
+  );
+
+  return results;
+}
+
+/**
+ * Calls fn for every item with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function receiving each item
+ * @returns {Promise<void>} - Resolves when all calls finish, rejects on the first failure
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      await fn(items[nextIndex++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function calculateAverageResponseTime(apiCalls) {
+  // Requests still pending when a page was left have no duration and are not averaged as 0ms
+  const measuredApiCalls = (apiCalls || []).filter((call) => call.timingSource === "measured");
+  if (measuredApiCalls.length === 0) return null;
+  const total = measuredApiCalls.reduce((sum, call) => sum + call.duration, 0);
+  return Math.round(total / measuredApiCalls.length);
+}
+
+function countPagesWithSlowApis(apiCalls) {
+  if (!apiCalls || apiCalls.length === 0) return 0;
+  const slowApiCalls = apiCalls.filter((call) => call.duration > 1000);
+  const pagesWithSlowApis = new Set(slowApiCalls.map((call) => call.page));
+  return pagesWithSlowApis.size;
+}
+
+function generateWebsiteAnalysis(crawlResults, apiCalls, lighthouseResults) {
+  const criticalIssues = [];
+  const recommendations = [];
+
+  const slowApis = apiCalls.filter((call) => call.duration > 1000);
+  if (slowApis.length > 0) {
+    criticalIssues.push({
+      type: "api_performance",
+      severity: "high",
+      message: `${slowApis.length} slow API calls detected across the website`,
+      affectedApis: slowApis.map((api) => api.url),
+    });
+
+    recommendations.push({
+      type: "api_optimization",
+      priority: "high",
+      message: "Optimize slow API endpoints or implement caching strategies",
+    });
+  }
+
+  const highImpactApis = apiCalls.filter(
+    (call) => call.frontendImpact?.renderingImpact === "high"
+  );
+
+  if (highImpactApis.length > 0) {
+    criticalIssues.push({
+      type: "frontend_impact",
+      severity: "medium",
+      message: `${highImpactApis.length} API calls significantly impact frontend performance`,
+      affectedApis: highImpactApis.map((api) => api.url),
+    });
+  }
+
+  return {
+    criticalIssues,
+    recommendations,
+    overallScore: calculateOverallScore(crawlResults, apiCalls, lighthouseResults),
+  };
+}
+
+function calculateOverallScore(crawlResults, apiCalls, lighthouseResults) {
+  let score = 100;
+
+  const slowApis = apiCalls.filter((call) => call.duration > 1000);
+  score -= slowApis.length * 5;
+
+  const errorApis = apiCalls.filter(isFailedCall);
+  score -= errorApis.length * 10;
+
+  if (lighthouseResults.length > 0) {
+    const avgPerformanceScore =
+      lighthouseResults.reduce((sum, result) => sum + (result.performance || 0), 0) /
+      lighthouseResults.length;
+    score = Math.min(score, avgPerformanceScore * 100);
+  }
+
+  return Math.max(0, Math.round(score));
+}
+
+export { runCompleteWebsiteAnalysis, normalizeAnalysisOptions, validateAnalysisOptions };
@@ -1,211 +1,518 @@
-import puppeteer from "puppeteer";
 import { URL } from "url";
+import { BrowserPool } from "./browser-pool.js";
+import { applyAuthSession, redactSessionHeaders } from "./auth-session.js";
+import { DEFAULT_USER_AGENT, loadRobotsTxt } from "./robots-txt.js";
+import { loadSitemapUrls } from "./sitemaps.js";
+import { CrawlScope } from "./crawl-scope.js";
+import { HostRateLimiter } from "./host-rate-limiter.js";
+import { NetworkRecorder } from "./network-recorder.js";
+import { ResponseUsageTracker } from "./response-usage.js";
+import { buildHar } from "./har-builder.js";
+import { collectRequests, getTimingPhases } from "./network-events.js";
+import { isGraphqlRequest, analyzeGraphqlCall } from "./graphql-operations.js";
+import { installRouteRecorder, takeRecordedRoutes, collectRouterLinks, discoverRoutesByInteraction } from "./spa-routes.js";
+
+const MAX_CRAWL_DELAY = 30;
+const MAX_THROTTLE_RETRIES = 3;
+const THROTTLE_STATUSES = new Set([429, 503]);
 
 class WebsiteCrawler {
   constructor(options = {}) {
     this.maxPages = options.maxPages || 20;
     this.maxDepth = options.maxDepth || 3;
+    this.concurrency = options.crawlConcurrency || 1;
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.signal = options.signal || null;
+    this.onProgress = options.onProgress || (() => {});
+    this.browserPool = options.browserPool || null;
+    this.authSession = options.authSession || null;
+    this.captureHar = Boolean(options.captureHar);
+    this.harIncludeBodies = Boolean(options.harIncludeBodies);
+    this.useSitemap = Boolean(options.useSitemap);
+    this.respectRobots = options.respectRobots !== false;
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.scope = new CrawlScope(options);
+    // Maps each canonical URL to the first crawled page that claimed it
+    this.canonicalPages = new Map();
     this.visitedUrls = new Set();
     this.discoveredUrls = new Set();
+    // Items still waiting in the queue, so a shallower rediscovery can lower their depth
+    this.queuedItems = new Map();
+    this.skippedUrls = [];
+    // Routes reached without an anchor: history/hash navigations and router link elements
+    this.discoveredRoutes = [];
     this.pageData = new Map();
+    // Per-page network recordings, turned into one HAR log for the run
+    this.harPages = [];
     this.apiCalls = [];
   }
 
   async crawlWebsite(baseUrl) {
-    const browser = await puppeteer.launch({
-      args: ["--no-sandbox", "--disable-dev-shm-usage"],
-      headless: "new",
-    });
+    // Standalone crawls get a private browser with a tab per concurrent page
+    const browserPool = this.browserPool || new BrowserPool({ maxBrowsers: 1, maxTabsPerBrowser: this.concurrency });
+    // In-flight page tasks mapped to their depth
+    const activePages = new Map();
 
     try {
-      const crawlQueue = [{ url: baseUrl, depth: 0, parentUrl: null }];
-
-      while (crawlQueue.length > 0 && this.visitedUrls.size < this.maxPages) {
-        const { url: currentUrl, depth, parentUrl } = crawlQueue.shift();
+      const robots = this.respectRobots
+        ? await loadRobotsTxt(baseUrl, { userAgent: this.userAgent, signal: this.signal })
+        : null;
+      this.rateLimiter = new HostRateLimiter({
+        requestsPerSecond: this.requestsPerSecond,
+        minInterval: Math.min(robots?.crawlDelay || 0, MAX_CRAWL_DELAY) * 1000,
+      });
 
-        if (this.visitedUrls.has(currentUrl) || depth > this.maxDepth) {
-          continue;
+      // The seed is always crawled, even when scoping rules would exclude it
+      const seedUrl = this.scope.normalize(baseUrl);
+      const seedItem = { url: seedUrl, depth: 0, parentUrl: null };
+      const crawlQueue = [seedItem];
+      this.discoveredUrls.add(seedUrl);
+      this.queuedItems.set(seedUrl, seedItem);
+      if (this.useSitemap) await this.seedFromSitemaps(baseUrl, robots, crawlQueue);
+
+      while (true) {
+        this.signal?.throwIfAborted();
+
+        // In-flight pages already count as visited, so maxPages holds across tabs
+        while (activePages.size < this.concurrency && this.visitedUrls.size < this.maxPages) {
+          const item = this.takeNextItem(crawlQueue, activePages);
+          if (!item) break;
+          if (!this.shouldCrawl(item, robots)) continue;
+
+          this.visitedUrls.add(item.url);
+          const task = this.crawlPage(item, { baseUrl, browserPool, crawlQueue }).finally(() =>
+            activePages.delete(task)
+          );
+          activePages.set(task, item.depth);
         }
 
-        console.log(`Crawling: ${currentUrl} (depth: ${depth})`);
-        this.visitedUrls.add(currentUrl);
+        if (activePages.size === 0) break;
+        await Promise.race(activePages.keys());
+      }
 
-        const page = await browser.newPage();
+      return this.generateCrawlResults();
+    } finally {
+      // Let in-flight pages settle before their tabs and browser go away
+      await Promise.allSettled(activePages.keys());
+      if (!this.browserPool) await browserPool.close();
+    }
+  }
 
-        try {
-          await page.setRequestInterception(true);
+  /**
+   * Takes the shallowest queued item, unless a page two or more levels above it is still
+   * being crawled and could yet discover the same URL at a shallower depth
+   * @param {Array} crawlQueue - Pending items
+   * @param {Map} activePages - In-flight tasks mapped to their depth
+   * @returns {Object|null} - Next item to crawl, or null when none may start yet
+   */
+  takeNextItem(crawlQueue, activePages) {
+    if (crawlQueue.length === 0) return null;
+
+    let index = 0;
+    crawlQueue.forEach((item, i) => {
+      if (item.depth < crawlQueue[index].depth) index = i;
+    });
 
-          const apiCallsForPage = [];
+    const item = crawlQueue[index];
+    if (activePages.size > 0 && item.depth > Math.min(...activePages.values()) + 1) return null;
 
-          page.on("request", (request) => {
-            const isApiCall = this.isApiRequest(
-              request.url(),
-              request.resourceType()
-            );
+    crawlQueue.splice(index, 1);
+    this.queuedItems.delete(item.url);
+    return item;
+  }
 
-            if (isApiCall) {
-              const apiCall = {
-                id: this.generateUniqueId(),
-                url: request.url(),
-                method: request.method(),
-                headers: request.headers(),
-                postData: request.postData(),
-                resourceType: request.resourceType(),
-                startTime: Date.now(),
-                page: currentUrl,
-                depth: depth,
-              };
+  shouldCrawl({ url, depth }, robots) {
+    if (this.visitedUrls.has(url)) return false;
 
-              apiCallsForPage.push(apiCall);
-            }
+    const canonicalOwner = this.canonicalPages.get(url);
+    if (canonicalOwner && canonicalOwner !== url) {
+      this.skipUrl(url, `Canonical page already crawled as ${canonicalOwner}`);
+      return false;
+    }
+    if (depth > this.maxDepth) {
+      this.skipUrl(url, `Deeper than maxDepth (${this.maxDepth})`);
+      return false;
+    }
+    if (robots && !robots.isAllowed(url)) {
+      this.skipUrl(url, `Disallowed by robots.txt for ${this.userAgent}`);
+      return false;
+    }
+    return true;
+  }
 
-            request.continue();
-          });
-
-          page.on("response", async (response) => {
-            const request = response.request();
-            const isApiCall = this.isApiRequest(
-              request.url(),
-              request.resourceType()
-            );
-
-            if (isApiCall) {
-              const apiCall = apiCallsForPage.find(
-                (call) =>
-                  call.url === request.url() &&
-                  call.method === request.method()
-              );
-
-              if (apiCall) {
-                apiCall.endTime = Date.now();
-                apiCall.duration = apiCall.endTime - apiCall.startTime;
-                apiCall.status = response.status();
-                apiCall.statusText = response.statusText();
-                apiCall.responseHeaders = response.headers();
-                apiCall.responseSize = response.headers()["content-length"] || 0;
+  async crawlPage({ url: currentUrl, depth, parentUrl, discoveredBy }, { baseUrl, browserPool, crawlQueue }) {
+    console.log(`Crawling: ${currentUrl} (depth: ${depth})`);
+
+    // Authenticated pages get their own context so session cookies stay out of shared tabs
+    const lease = await browserPool.acquirePage({ signal: this.signal, isolated: Boolean(this.authSession) });
+    const { page } = lease;
+
+    // Closing the tab makes any in-flight navigation reject immediately
+    const closeOnAbort = () => page.close().catch(() => {});
+    this.signal?.addEventListener("abort", closeOnAbort, { once: true });
+    // Every page is recorded for API call timing; the recording doubles as the page's HAR
+    const recorder = new NetworkRecorder({
+      includeBodies: this.captureHar && this.harIncludeBodies,
+      // GraphQL failures only show in the response body
+      captureBodiesFor: isGraphqlRequest,
+    });
+    // Which fetch and XHR responses the page reads before it is left, for the unused-response findings
+    const responseUsage = new ResponseUsageTracker();
+    // Traffic of navigations the server throttled stays in the HAR but is not counted as API calls
+    let firstEventIndex = 0;
+
+    try {
+      await applyAuthSession(page, this.authSession);
+      // Pages identify with the token robots.txt was evaluated for, appended so sites still see a browser
+      await page.setUserAgent(`${await page.browser().userAgent()} ${this.userAgent}`);
+      await recorder.start(page);
+      await installRouteRecorder(page);
+      await responseUsage.start(page);
+
+      page.on("response", (response) => {
+        const request = response.request();
+        if (THROTTLE_STATUSES.has(response.status()) && this.isApiRequest(request.url(), request.resourceType())) {
+          this.rateLimiter.backOff(request.url(), response.headers()["retry-after"]);
+        }
+      });
+
+      await this.navigateWithBackoff(page, currentUrl, () => {
+        firstEventIndex = recorder.events.length;
+        responseUsage.clear();
+      });
+
+      const pageInfo = await page.evaluate((baseUrl) => {
+        const anchorElements = Array.from(document.querySelectorAll("a[href]"));
+        const baseHost = new URL(baseUrl).host;
+
+        const links = anchorElements
+          .map((anchor) => {
+            try {
+              const href = anchor.getAttribute("href");
+              if (!href) return null;
+
+              // Resolve against the page itself so relative links on nested pages stay correct
+              const absoluteUrl = new URL(href, document.baseURI);
+
+              if (absoluteUrl.host === baseHost) {
+                return {
+                  url: absoluteUrl.href,
+                  text: anchor.textContent?.trim() || "",
+                  title: anchor.title || "",
+                  download: anchor.hasAttribute("download"),
+                };
               }
+              return null;
+            } catch (e) {
+              return null;
             }
-          });
-
-          await page.goto(currentUrl, {
-            waitUntil: ["networkidle0", "domcontentloaded"],
-            timeout: 30000,
-          });
-
-          const pageInfo = await page.evaluate((baseUrl) => {
-            const anchorElements = Array.from(document.querySelectorAll("a[href]"));
-            const baseHost = new URL(baseUrl).host;
-
-            const links = anchorElements
-              .map((anchor) => {
-                try {
-                  const href = anchor.getAttribute("href");
-                  if (!href) return null;
-
-                  const absoluteUrl = new URL(href, baseUrl);
-
-                  if (absoluteUrl.host === baseHost) {
-                    return {
-                      url: absoluteUrl.href,
-                      text: anchor.textContent?.trim() || "",
-                      title: anchor.title || "",
-                    };
-                  }
-                  return null;
-                } catch (e) {
-                  return null;
-                }
-              })
-              .filter((link) => link !== null);
-
-            return {
-              links,
-              title: document.title,
-              description:
-                document.querySelector('meta[name="description"]')?.content || "",
-              h1Count: document.querySelectorAll("h1").length,
-              imageCount: document.querySelectorAll("img").length,
-              scriptCount: document.querySelectorAll("script").length,
-            };
-          }, baseUrl);
-
-          this.pageData.set(currentUrl, {
-            ...pageInfo,
-            linkCount: pageInfo.links.length,
-            depth,
-            parentUrl,
-            apiCalls: apiCallsForPage.length,
-          });
-
-          this.apiCalls.push(...apiCallsForPage);
-
-          pageInfo.links.forEach((link) => {
-            if (
-              !this.visitedUrls.has(link.url) &&
-              !this.discoveredUrls.has(link.url)
-            ) {
-              this.discoveredUrls.add(link.url);
-              crawlQueue.push({
-                url: link.url,
-                depth: depth + 1,
-                parentUrl: currentUrl,
-              });
-            }
-          });
-
-          await this.simulateUserInteractions(page);
-        } catch (error) {
-          console.error(`Error crawling ${currentUrl}: ${error.message}`);
-          this.pageData.set(currentUrl, {
-            error: error.message,
-            depth,
-            parentUrl,
-          });
-        } finally {
-          await page.close();
-        }
+          })
+          .filter((link) => link !== null);
+
+        return {
+          links,
+          title: document.title,
+          description:
+            document.querySelector('meta[name="description"]')?.content || "",
+          h1Count: document.querySelectorAll("h1").length,
+          imageCount: document.querySelectorAll("img").length,
+          scriptCount: document.querySelectorAll("script").length,
+          canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+        };
+      }, baseUrl);
+
+      const canonicalUrl = this.resolveCanonicalUrl(pageInfo.canonical, baseUrl);
+      const duplicateOf = canonicalUrl && canonicalUrl !== currentUrl ? this.canonicalPages.get(canonicalUrl) : null;
+      if (duplicateOf) {
+        // Same content as a page already crawled; give the page budget back
+        this.visitedUrls.delete(currentUrl);
+        this.skipUrl(currentUrl, `Duplicate of ${duplicateOf} (rel=canonical ${canonicalUrl})`);
+        return;
       }
+      // Routes the app navigated to on its own while loading, e.g. a redirect to a default view
+      const loadRoutes = await takeRecordedRoutes(page);
+      const routerLinks = await collectRouterLinks(page);
+
+      if (!this.canonicalPages.has(currentUrl)) this.canonicalPages.set(currentUrl, currentUrl);
+      if (canonicalUrl && !this.canonicalPages.has(canonicalUrl)) this.canonicalPages.set(canonicalUrl, currentUrl);
+
+      pageInfo.links.forEach((link) => {
+        this.queueUrl(crawlQueue, link.url, {
+          depth: depth + 1,
+          parentUrl: currentUrl,
+          skipReason: link.download ? "Download link" : null,
+          discoveredBy: { type: "anchor", interaction: null },
+        });
+      });
 
-      return this.generateCrawlResults();
+      const interactionRoutes = await discoverRoutesByInteraction(page, { signal: this.signal });
+      [
+        ...loadRoutes.map((route) => ({ ...route, interaction: "page load" })),
+        ...routerLinks.map((link) => ({ type: "router-link", url: link.url, interaction: `router link "${link.text}"` })),
+        ...interactionRoutes,
+      ].forEach((route) => this.queueRoute(crawlQueue, route, { baseUrl, depth: depth + 1, parentUrl: currentUrl }));
+
+      // Calls made by the interactions count too; stopping first makes sizes and end times final
+      const apiCallsForPage = await this.recordApiCalls(recorder, firstEventIndex, {
+        page: currentUrl,
+        depth,
+        responseUsage,
+      });
+
+      this.pageData.set(currentUrl, {
+        ...pageInfo,
+        canonical: canonicalUrl,
+        linkCount: pageInfo.links.length,
+        depth,
+        parentUrl,
+        discoveredBy,
+        apiCalls: apiCallsForPage.length,
+      });
+
+      this.onProgress({
+        type: "page-crawled",
+        url: currentUrl,
+        depth,
+        title: pageInfo.title,
+        linkCount: pageInfo.links.length,
+        apiCalls: apiCallsForPage.length,
+      });
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      console.error(`Error crawling ${currentUrl}: ${error.message}`);
+      this.onProgress({ type: "error", stage: "crawl", url: currentUrl, message: error.message });
+      // Calls made before the failure are often the reason for it
+      const apiCallsForPage = await this.recordApiCalls(recorder, firstEventIndex, {
+        page: currentUrl,
+        depth,
+        responseUsage,
+      });
+      this.pageData.set(currentUrl, {
+        error: error.message,
+        depth,
+        parentUrl,
+        apiCalls: apiCallsForPage.length,
+      });
     } finally {
-      await browser.close();
+      this.signal?.removeEventListener("abort", closeOnAbort);
+      const recording = await recorder.stop();
+      // Failed pages keep their traffic too; it is often what a bug report needs
+      if (this.captureHar) {
+        // Bodies recorded only for GraphQL analysis stay out of the HAR unless bodies were asked for
+        const { events, bodies, postData } = recording;
+        this.harPages.push({ url: currentUrl, events, ...(this.harIncludeBodies && { bodies, postData }) });
+      }
+      await lease.release();
     }
   }
 
-  async simulateUserInteractions(page) {
-    try {
-      await page.evaluate(() => {
-        window.scrollTo(0, document.body.scrollHeight / 2);
+  /**
+   * Stops a page's recording and adds its API calls to the crawl, correlated by DevTools requestId
+   * so repeated calls to one endpoint stay apart. Failed and aborted requests are included.
+   * @param {NetworkRecorder} recorder - The page's recorder
+   * @param {number} firstEventIndex - Events before this index belong to throttled navigation attempts
+   * @param {Object} context - { page, depth } of the crawled page, { responseUsage } its ResponseUsageTracker
+   * @returns {Promise<Array>} - The page's API calls
+   */
+  async recordApiCalls(recorder, firstEventIndex, { page, depth, responseUsage }) {
+    const { events, bodies, postData } = await recorder.stop();
+
+    const recordedCalls = collectRequests(events.slice(firstEventIndex))
+      .filter((request) => this.isApiRequest(request.request.url, request.resourceType?.toLowerCase()))
+      .map((request) => {
+        const { response } = request;
+        const requestBody = request.request.postData ?? postData.get(request.requestId);
+        const startTime = Math.round(request.wallTime * 1000);
+        const duration =
+          request.endTimestamp !== undefined ? Math.round((request.endTimestamp - request.startTimestamp) * 1000) : null;
+
+        return {
+          id: this.generateUniqueId(),
+          url: request.request.url,
+          method: request.request.method,
+          headers: redactSessionHeaders(request.request.headers, this.authSession),
+          postData: requestBody,
+          resourceType: request.resourceType?.toLowerCase() || "other",
+          startTime,
+          endTime: duration !== null ? startTime + duration : null,
+          duration,
+          timingSource: duration !== null ? "measured" : "unavailable",
+          timing: getTimingPhases(request),
+          status: response?.status ?? null,
+          statusText: response?.statusText || request.error || "",
+          responseHeaders: response ? redactSessionHeaders(response.headers, this.authSession) : {},
+          // Bytes on the wire (headers plus compressed body) and the decoded body size
+          responseSize: request.encodedDataLength,
+          encodedSize: request.encodedDataLength,
+          decodedSize: request.dataLength,
+          mimeType: response?.mimeType || null,
+          fromCache: Boolean(response?.fromDiskCache || response?.fromServiceWorker || response?.fromPrefetchCache),
+          redirectedTo: request.redirectURL || null,
+          failed: Boolean(request.error) || request.endTimestamp === undefined,
+          error: request.error || (request.endTimestamp === undefined ? "Still pending when the page was left" : null),
+          aborted: request.canceled,
+          pending: request.endTimestamp === undefined,
+          graphql: analyzeGraphqlCall(
+            { url: request.request.url, postData: requestBody },
+            decodeBody(bodies.get(request.requestId))
+          ),
+          page,
+          depth,
+        };
       });
-      await page.waitForTimeout(1000);
-
-      const clickableElements = await page.$$(
-        "button, [role='button'], .btn"
-      );
-      for (let i = 0; i < Math.min(clickableElements.length, 3); i++) {
-        try {
-          await clickableElements[i].click();
-          await page.waitForTimeout(500);
-        } catch (e) {}
+    // Whether the page read each response before it was left, or null when the tracker did not see the call
+    const apiCalls = responseUsage.annotate(recordedCalls);
+
+    apiCalls.forEach((apiCall) => {
+      this.onProgress({
+        type: "api-call",
+        page,
+        url: apiCall.url,
+        method: apiCall.method,
+        status: apiCall.status,
+        duration: apiCall.duration,
+        failed: apiCall.failed,
+        pending: apiCall.pending,
+      });
+    });
+    this.apiCalls.push(...apiCalls);
+    return apiCalls;
+  }
+
+  /**
+   * Navigates within the host's rate limit, retrying after a back-off while the server throttles
+   * @param {Object} page - Puppeteer page
+   * @param {string} url - Page URL
+   * @param {Function} onRetry - Called before each retry to discard data from the throttled attempt
+   * @returns {Promise<Object>} - Navigation response
+   */
+  async navigateWithBackoff(page, url, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.wait(url, this.signal);
+      const response = await page.goto(url, {
+        waitUntil: ["networkidle0", "domcontentloaded"],
+        timeout: 30000,
+      });
+
+      const status = response?.status();
+      if (!THROTTLE_STATUSES.has(status)) {
+        this.rateLimiter.recordSuccess(url);
+        return response;
       }
-    } catch (error) {
-      console.log("Error during user interaction simulation:", error.message);
+      if (attempt >= MAX_THROTTLE_RETRIES) {
+        throw new Error(`Still throttled (HTTP ${status}) after ${MAX_THROTTLE_RETRIES} retries`);
+      }
+
+      const delay = this.rateLimiter.backOff(url, response.headers()["retry-after"]);
+      this.onProgress({ type: "throttled", url, status, retryInMs: delay });
+      onRetry();
     }
   }
 
+  /**
+   * Queues same-host pages listed in the site's sitemaps (from robots.txt, or /sitemap.xml)
+   * @param {string} baseUrl - Seed URL
+   * @param {Object|null} robots - Result of loadRobotsTxt
+   * @param {Array} crawlQueue - Queue to append to
+   */
+  async seedFromSitemaps(baseUrl, robots, crawlQueue) {
+    const sitemapUrls = robots?.sitemaps.length > 0 ? robots.sitemaps : [new URL("/sitemap.xml", baseUrl).href];
+    const { urls, errors } = await loadSitemapUrls(sitemapUrls, {
+      userAgent: this.userAgent,
+      signal: this.signal,
+      maxUrls: this.maxPages * 10,
+    });
+
+    errors.forEach(({ url, reason }) => this.skipUrl(url, reason));
+
+    const baseHost = new URL(baseUrl).host;
+    urls.forEach((url) => {
+      let pageUrl;
+      try {
+        pageUrl = new URL(url);
+      } catch {
+        this.skipUrl(url, "Invalid URL in sitemap");
+        return;
+      }
+
+      if (pageUrl.host !== baseHost) {
+        this.skipUrl(url, "Sitemap entry outside the crawled host");
+      } else {
+        this.queueUrl(crawlQueue, pageUrl.href, {
+          depth: 1,
+          parentUrl: null,
+          discoveredBy: { type: "sitemap", interaction: null },
+        });
+      }
+    });
+
+    this.onProgress({ type: "sitemap-loaded", urls: urls.length, sitemaps: sitemapUrls });
+  }
+
+  /**
+   * Normalizes a discovered URL and queues it once, unless scoping rules exclude it
+   * @param {Array} crawlQueue - Queue to append to
+   * @param {string} url - Absolute URL
+   * @param {Object} item - { depth, parentUrl, discoveredBy, skipReason } where skipReason forces a skip
+   */
+  queueUrl(crawlQueue, url, { depth, parentUrl, discoveredBy = null, skipReason = null }) {
+    const normalizedUrl = this.scope.normalize(url);
+    if (this.visitedUrls.has(normalizedUrl)) return;
+
+    if (this.discoveredUrls.has(normalizedUrl)) {
+      const queued = this.queuedItems.get(normalizedUrl);
+      if (queued && queued.depth > depth) Object.assign(queued, { depth, parentUrl, discoveredBy });
+      return;
+    }
+    this.discoveredUrls.add(normalizedUrl);
+
+    const reason = skipReason || this.scope.getSkipReason(normalizedUrl);
+    if (reason) {
+      this.skipUrl(normalizedUrl, reason);
+      return;
+    }
+
+    const item = { url: normalizedUrl, depth, parentUrl, discoveredBy };
+    crawlQueue.push(item);
+    this.queuedItems.set(normalizedUrl, item);
+  }
+
+  /**
+   * Records a route found through client-side navigation and queues it like a link
+   * @param {Array} crawlQueue - Queue to append to
+   * @param {Object} route - { url, type, interaction } from spa-routes.js
+   * @param {Object} item - { baseUrl, depth, parentUrl }
+   */
+  queueRoute(crawlQueue, { url, type, interaction }, { baseUrl, depth, parentUrl }) {
+    // History API calls cannot leave the origin, but router link targets can
+    if (new URL(url).host !== new URL(baseUrl).host) return;
+    // Routers often replaceState the current URL on startup
+    if (this.scope.normalize(url) === parentUrl) return;
+
+    const discoveredBy = { type, interaction };
+    this.discoveredRoutes.push({ url, page: parentUrl, ...discoveredBy });
+    this.queueUrl(crawlQueue, url, { depth, parentUrl, discoveredBy });
+  }
+
+  resolveCanonicalUrl(canonical, baseUrl) {
+    if (!canonical) return null;
+    try {
+      const canonicalUrl = new URL(canonical);
+      // Cross-host canonicals point at other sites, which this crawl does not cover
+      if (canonicalUrl.host !== new URL(baseUrl).host) return null;
+      return this.scope.normalize(canonicalUrl.href);
+    } catch {
+      return null;
+    }
+  }
+
+  skipUrl(url, reason) {
+    console.log(`Skipping ${url}: ${reason}`);
+    this.skippedUrls.push({ url, reason });
+  }
+
   isApiRequest(url, resourceType) {
-    const apiPatterns = [
-      /\/api\//i,
-      /\/graphql/i,
-      /\/rest\//i,
-      /\/v\d+\//i,
-      /\.json$/i,
-    ];
-
-    const isXhrOrFetch = resourceType === "xhr" || resourceType === "fetch";
-    const matchesPattern = apiPatterns.some((pattern) => pattern.test(url));
-
-    return isXhrOrFetch || matchesPattern;
+    return isApiRequest(url, resourceType);
   }
 
   generateUniqueId() {
@@ -219,6 +526,11 @@ class WebsiteCrawler {
       totalPages: this.visitedUrls.size,
       totalApiCalls: this.apiCalls.length,
       apiCalls: this.apiCalls,
+      skippedUrls: this.skippedUrls,
+      discoveredRoutes: this.discoveredRoutes,
+      har: this.captureHar
+        ? buildHar(this.harPages, { redactHeaders: (headers) => redactSessionHeaders(headers, this.authSession) })
+        : null,
       maxDepthReached: Math.max(
         ...Array.from(this.pageData.values()).map((p) => p.depth || 0)
       ),
@@ -226,4 +538,30 @@ class WebsiteCrawler {
   }
 }
 
-export { WebsiteCrawler };
+/**
+ * Decides whether a request is an API call: any XHR/fetch, or a URL that looks like an API
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Lower-case resource type as reported by Puppeteer or HAR _resourceType
+ * @returns {boolean} - Whether the request counts as an API call
+ */
+function isApiRequest(url, resourceType) {
+  const apiPatterns = [
+    /\/api\//i,
+    /\/graphql/i,
+    /\/rest\//i,
+    /\/v\d+\//i,
+    /\.json$/i,
+  ];
+
+  const isXhrOrFetch = resourceType === "xhr" || resourceType === "fetch";
+  const matchesPattern = apiPatterns.some((pattern) => pattern.test(url));
+
+  return isXhrOrFetch || matchesPattern;
+}
+
+function decodeBody(body) {
+  if (!body) return null;
+  return body.base64Encoded ? Buffer.from(body.body, "base64").toString("utf8") : body.body;
+}
+
+export { WebsiteCrawler, isApiRequest };